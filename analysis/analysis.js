@@ -0,0 +1,1783 @@
+// ============================================================
+// titan-free :: standalone analysis board (extension page)
+// ============================================================
+//
+// a full analysis board that needs no chess.com tab: its own
+// board (boardview.js), the rules module for legal moves, and
+// stockfish through a TitanUci client (uci.js) on the shared
+// engine host — no DOM scraping anywhere.
+//
+// open it from the popup (OPEN ANALYSIS BOARD), or directly at
+// analysis/analysis.html — add ?fen=<fen> to start from a
+// position.
+//
+// === SETUP MODE ===
+//
+// SETUP turns the board into an editor: pick a piece from the
+// palette and click squares to place it (clicking the same piece
+// again, or using ✕, clears the square), and set side to move,
+// castling rights, en passant square and the move counters. the
+// FEN field becomes editable — paste a FEN and LOAD it, or COPY
+// the one being built. TitanRules.validateFen() runs on every
+// change; DONE stays disabled until the position is playable,
+// and then starts a fresh game from it.
+//
+// === GAME MODEL ===
+//
+// the moves live in a game object from pgn.js (startFen + a list
+// of nodes with san/uci/fen), and `ply` is how many of them are
+// on the board. playing a move when you're not at the end either
+// steps forward (same move as the next one) or cuts the line
+// there and starts a new one — there are no side variations.
+//
+// === DRAWINGS ===
+//
+// right-click drag draws arrows, a right-click circles a square
+// (colors and toggling in shapes.js). each drawing belongs to the
+// displayed move — game.shapes before the first one — so stepping
+// through the game brings them back, COPY PGN and EXPORT write
+// them as [%cal] / [%csl], and a library game stores them with
+// its record. imported PGNs from lichess or chess.com studies
+// show theirs.
+//
+// === OPENING ===
+//
+// the MOVES panel names the opening up to the displayed move
+// (TitanEco, matched by position), and COPY PGN exports the game
+// with [ECO] / [Opening] tags.
+//
+// === REVIEW & LIBRARY ===
+//
+// REVIEW runs TitanReview over the game on the board with the
+// page's engine (TitanUci's evaluate) — the same per-move
+// classification, accuracy and eval graph as the widget's review.
+// the move list then marks every move, and stepping through the
+// game names the move and what the engine preferred. EXPORT
+// downloads it as annotated PGN (TitanReview.annotate).
+//
+// every reviewed, imported or self-played game goes to the game
+// library (TitanLibrary, the `games` store of TitanDb) — reviews
+// in the widget get there through the service worker. the LIBRARY
+// panel filters it by date, our color, result, speed, opening and
+// opponent; clicking a game puts it on the board with its review.
+// playing a different move leaves the library game behind.
+//
+// === BATCH REVIEW ===
+//
+// drop a PGN file (or OPEN FILE) on the BATCH REVIEW panel and
+// every game not yet reviewed is queued (TitanBatch, kept in
+// TitanDb). the queue is reviewed on a second TitanUci client
+// with 'batch' priority, so the shared engine host puts the
+// board's own analysis first, and each game lands
+// in the library with its review. the queue and the positions
+// done so far survive a reload — opening the page resumes it.
+// CANCEL empties it.
+//
+// === REPERTOIRE & DRILL ===
+//
+// the REPERTOIRE panel lists our moves (cyan) and the replies we
+// prepared for (grey) at the displayed position, for the white or
+// black repertoire (TitanRepertoire, stored in IndexedDB). ADD
+// LINE stores the game up to the current move; IMPORT takes a PGN
+// with variations, EXPORT downloads one.
+//
+// DRILL quizzes the due positions: the board turns to our side,
+// the engine goes quiet, and we play the move. a wrong answer
+// draws the repertoire move in green next to ours in red and
+// brings the position back at the end of the session.
+//
+// === PUZZLES ===
+//
+// reviews in the widget turn our blunders into puzzles
+// (TitanPuzzles), which the service worker keeps in TitanDb.
+// SOLVE plays the due ones: find the engine's line move by move —
+// its replies are played for us — and a wrong move shows the
+// whole solution. drill and puzzles share the trainer panel and
+// the TitanSrs schedule: a miss comes back in 10 minutes (and once
+// more at the end of the session), a solve pushes it out by days.
+//
+// === ENDGAMES ===
+//
+// the ENDGAMES panel lists the technique positions from
+// endgames.js (basic mates, Lucena, Philidor, pawn endings). one
+// click plays it out on the trainer panel against stockfish at the
+// unlimited level; TitanEndgames.judge() decides after every move
+// whether we converted (or held) within the move limit. RETRY
+// starts over, and the tally per position is kept in
+// chrome.storage (`endgameStats`).
+//
+// === PLAY VS COMPUTER ===
+//
+// the PLAY panel starts a game against stockfish from the position
+// on the board, at one of the widget's strength levels (ELO_CONFIG
+// / COMBAT_CONFIG from strength.js, applied with UCI_LimitStrength
+// and Skill Level) — sparring is what those levels are for. pick a
+// color (or random) and an optional clock. during the game the
+// board only takes our moves on our turn; TAKEBACK goes back to
+// before our last move, the engine accepts a draw only when it
+// thinks it's worse (or it's dead level after move 40), and at
+// the end SAVE PGN downloads the game. EXIT hands the board back
+// to analysis with the game loaded.
+//
+// === ENGINE ===
+//
+// every time the displayed position changes the engine restarts
+// on it at full strength, with the MultiPV count from the LINES
+// buttons (shared with the widget's ENGINE LINES setting,
+// `multiPv` in chrome.storage). lines and ranked arrows repaint
+// as info lines come in. the fair-play lock doesn't apply here:
+// this page never sees a live game.
+//
+// THREAT adds what the side that just moved is threatening: a
+// null-move search (TitanThreat) on a second TitanUci client,
+// drawn as a dashed red arrow with a one-line summary under the
+// eval ('threatens Nxf7 winning the exchange'). it runs wherever
+// the lines do — analysis and a finished review, never during a
+// match or a trainer session. the switch is kept in chrome.storage
+// (`showThreat`).
+//
+// a KQK, KRK, KPK or KBNK position isn't searched at all:
+// TitanBitbase's exact result ('White wins in 12', 'Draw') is the
+// eval, the eval bar and the one line (marked TB) instead.
+// ============================================================
+
+(() => {
+    const R = window.TitanRules;
+    const Pgn = window.TitanPgn;
+    const Shapes = window.TitanShapes;
+    const Mpv = window.TitanMultiPv;
+    const Score = window.TitanScore;
+    const Bitbase = window.TitanBitbase;
+    const Threat = window.TitanThreat;
+    const Uci = window.TitanUci;
+    const Eco = window.TitanEco;
+
+    const Srs = window.TitanSrs;
+    const Puz = window.TitanPuzzles;
+    const Db = window.TitanDb;
+    const S = window.TitanStrength;
+    const Eg = window.TitanEndgames;
+    const Rep = window.TitanRepertoire;
+    const Rev = window.TitanReview;
+    const Acc = window.TitanAccuracy;
+    const Graph = window.TitanGraph;
+    const Lib = window.TitanLibrary;
+    const Batch = window.TitanBatch;
+
+    const ANALYSIS_DEPTH = 22;
+    const THREAT_DEPTH = 16;
+    const PAINT_MS = 150;
+    const ENGINE_START_TIMEOUT = 12000;
+    const DRILL_SIZE = 20;
+    const DRILL_NEXT_MS = 700;
+    const PUZZLE_SIZE = 10;
+    const PUZZLE_REPLY_MS = 400;
+    const LIBRARY_ROWS = 100;
+    const BATCH_ROWS = 20;
+    const BATCH_LOCK = 'titan-batch-review';
+    // PLAY clocks: base and increment in ms
+    const CLOCKS = {
+        '3+2': { base: 3 * 60000, inc: 2000 },
+        '5+0': { base: 5 * 60000, inc: 0 },
+        '10+0': { base: 10 * 60000, inc: 0 },
+        '15+10': { base: 15 * 60000, inc: 10000 }
+    };
+    const CLOCK_TICK_MS = 100;
+    const LOW_TIME_MS = 20000;
+    const MIN_THINK_MS = 100;
+    const ENGINE_MIN_MS = 300;
+    const DRAW_ACCEPT_CP = -50;
+    const DRAW_LEVEL_CP = 15;
+    const DRAW_LEVEL_MOVE = 40;
+    // the level endgames are played against: `unlimited: true`
+    const UNLIMITED_ELO = S.ELO_LEVELS.map(String).find(k => S.ELO_CONFIG[k].unlimited);
+    const RIGHT_COLOR = '#22c55e';
+    const WRONG_COLOR = '#ef4444';
+
+    let game = Pgn.newGame(R.START_FEN);
+    let ply = 0;
+    let engineOn = true;
+    let multiPv = 3;
+    let lines = [];
+    let linesFen = '';
+    let tablebase = null;     // TitanBitbase.probe() of linesFen
+    let threatOn = false;
+    let threat = null;        // TitanThreat.find() for linesFen
+    let paintedAt = 0;
+
+    // setup mode state: { pos, piece } or null. pos only needs to
+    // be well-formed — it can be illegal while being edited.
+    let setup = null;
+
+    // review of the game on the board (TitanReview) and the job
+    // running one, if any
+    let review = null;
+    let reviewJob = null;
+    // the game library (TitanDb `games`), its filters, and the
+    // record the game on the board came from
+    let library = [];
+    let libFilter = {};
+    let libraryId = null;
+    // the batch queue's own engine, started on first use
+    let batchEngine = null;
+    let batchStarting = null;
+
+    let repColor = 'w';
+    // puzzle bank (TitanDb `puzzles` store), for the counts
+    let puzzleBank = [];
+    // trainer session (drill or puzzles) or null
+    let session = null;
+
+    // PLAY options (persisted) and the running game against the
+    // engine, see PLAY VS COMPUTER
+    let playElo = '1500';
+    let playCombat = false;
+    let playColor = 'w';
+    let playClock = 'none';
+    let match = null;
+
+    // endgame results per TitanEndgames id: { tries, done }
+    let egStats = {};
+
+    const engine = new Uci.Client();
+    // THREAT's null-move searches, queued ahead of the lines
+    const threatEngine = new Uci.Client();
+    const view = TitanBoardView.create(document.getElementById('board'), { onMove: playMove, onShape: drawShape });
+
+    const $ = (id) => document.getElementById(id);
+
+    // position after the first `n` moves of the game
+    function positionAt(n) {
+        return new R.Position(n === 0 ? game.startFen : game.moves[n - 1].fen);
+    }
+
+    // a legal move from the board: step forward if it's the next
+    // move of the game, otherwise cut the line here and append it
+    function playMove(uci) {
+        if (session) { session.move(uci); return; }
+        if (match) { matchMove(uci); return; }
+        if (reviewJob) return;
+        const pos = positionAt(ply);
+        const move = pos.moveFromUci(uci);
+        if (!move) return;
+        if (ply < game.moves.length && game.moves[ply].uci === uci) {
+            ply++;
+        } else {
+            dropReview();
+            game.moves = game.moves.slice(0, ply);
+            game.moves.push(Pgn.makeNode(pos, move));
+            ply = game.moves.length;
+        }
+        refresh();
+    }
+
+    // what the drawings after the first `n` moves hang on
+    function shapeHolder(n) {
+        return n === 0 ? game : game.moves[n - 1];
+    }
+
+    // a drawing from the board on the displayed move (see DRAWINGS)
+    function drawShape(shape) {
+        if (setup || session) return;
+        const holder = shapeHolder(ply);
+        holder.shapes = Shapes.toggle(holder.shapes, shape);
+        view.setShapes(holder.shapes);
+        storeShapes();
+    }
+
+    // a library game keeps its drawings: same id, new PGN
+    function storeShapes() {
+        const record = library.find(r => r.id === libraryId);
+        if (!record) return;
+        const next = Object.assign({}, record, { pgn: Pgn.write(game) });
+        Db.put('games', next).then(() => {
+            library = library.map(r => r.id === next.id ? next : r);
+        }).catch(err => { console.error('[TitanFree] library save failed', err); renderLibrary('Save failed'); });
+    }
+
+    function goTo(n) {
+        if (session || match) return;
+        const next = Math.max(0, Math.min(game.moves.length, n));
+        if (next === ply) return;
+        ply = next;
+        refresh();
+    }
+
+    function refresh() {
+        const pos = positionAt(ply);
+        view.setPosition(pos, ply > 0 ? game.moves[ply - 1].uci : null);
+        view.setShapes(shapeHolder(ply).shapes);
+        $('fenField').value = pos.fen();
+        renderStatus(pos);
+        renderMoves();
+        renderOpening();
+        renderRepertoire();
+        renderReview();
+        analyzeCurrent(pos);
+    }
+
+    function renderStatus(pos) {
+        const side = pos.turn === 'w' ? 'White' : 'Black';
+        let text = `${side} to move`;
+        if (pos.isCheckmate()) text = `Checkmate — ${pos.turn === 'w' ? 'Black' : 'White'} wins`;
+        else if (pos.isStalemate()) text = 'Stalemate — draw';
+        else if (pos.isInsufficientMaterial()) text = 'Insufficient material — draw';
+        else if (pos.isThreefoldRepetition()) text = 'Threefold repetition — draw';
+        else if (pos.isFiftyMoves()) text = 'Fifty-move rule — draw';
+        else if (pos.inCheck(pos.turn)) text = `${side} to move — check`;
+        $('gameStatus').textContent = text;
+    }
+
+    // numbered two-column list; a game starting with black to move
+    // gets a "…" placeholder in the white column. a reviewed game
+    // shows each move's classification symbol.
+    function renderMoves() {
+        const el = $('moveList');
+        let html = '';
+        game.moves.forEach((m, i) => {
+            if (m.color === 'w' || i === 0) html += `<span class="move-num">${m.moveNumber}.</span>`;
+            if (m.color === 'b' && i === 0) html += '<span class="move-cell empty">…</span>';
+            const r = review && review.moves[i];
+            const info = r && Rev.classInfo(r.classification);
+            const mark = info ? `<span class="review-symbol" style="color:${info.color}">${info.symbol}</span>` : '';
+            html += `<span class="move-cell${i + 1 === ply ? ' current' : ''}" data-ply="${i + 1}"${r ? ` title="${r.classification}"` : ''}>${m.san}${mark}</span>`;
+        });
+        el.innerHTML = html || '<div class="move-empty">Make a move on the board</div>';
+        const current = el.querySelector('.move-cell.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    // ECO code and name of the game up to the current move, so
+    // stepping back through the moves shows where it left theory
+    function renderOpening() {
+        const opening = Eco.classify({ startFen: game.startFen, moves: game.moves.slice(0, ply) });
+        $('openingName').innerHTML = opening
+            ? `<span class="opening-eco">${opening.eco}</span>${opening.name}`
+            : '';
+    }
+
+    // ---------- engine ----------
+
+    function analyzeCurrent(pos) {
+        lines = [];
+        linesFen = pos.fen();
+        threat = null;
+        if (threatOn && engineOn && threatEngine.ready && !match && !reviewJob) findThreat(linesFen);
+        else threatEngine.stop();
+        // the board's own lines: not while a match, review, drill
+        // or setup has the board or the engine
+        const free = () => engineOn && !match && !reviewJob && !session && !setup;
+        tablebase = free() && !pos.isGameOver() ? Bitbase.probe(linesFen) : null;
+        const solving = free() && !tablebase ? Bitbase.pending(linesFen) : null;
+        if (solving) {
+            // KBNK is still being solved: search meanwhile, then
+            // take the exact result if the board is still ours
+            const fen = linesFen;
+            solving.then(() => { if (fen === linesFen && free()) analyzeCurrent(pos); });
+        }
+        if (tablebase) {
+            // the exact result takes the engine's place
+            engine.stop();
+            lines = [tablebaseLine(tablebase)];
+        }
+        paintLines(true);
+        if (tablebase || !engineOn || !engine.ready || match || reviewJob) return;
+        if (pos.isGameOver()) { engine.stop(); return; }
+        const fen = linesFen;
+        engine.analyze(fen, { depth: ANALYSIS_DEPTH })
+            .on('lines', (ls) => {
+                if (fen !== linesFen) return;
+                lines = ls;
+                paintLines(false);
+            })
+            .then(res => {
+                if (fen !== linesFen) return;
+                lines = res.lines;
+                paintLines(true);
+            })
+            .catch(Uci.quiet);
+    }
+
+    // what the side that just moved threatens in `fen`; painted
+    // with the lines once it's in
+    function findThreat(fen) {
+        Threat.find(fen, Threat.searcher(threatEngine), { depth: THREAT_DEPTH })
+            .then(t => {
+                if (fen !== linesFen) return;
+                threat = t;
+                paintLines(true);
+            })
+            .catch(Uci.quiet);
+    }
+
+    // a tablebase result as the one line of the lines panel
+    function tablebaseLine(tb) {
+        return { multipv: 1, depth: tb.plies, score: tb.score, bound: null, wdl: tb.wdl, pv: tb.pv };
+    }
+
+    // lines panel, eval and arrows. partial updates are throttled
+    // to one repaint every PAINT_MS.
+    function paintLines(force) {
+        const now = Date.now();
+        if (!force && now - paintedAt < PAINT_MS) return;
+        paintedAt = now;
+
+        const rows = engineOn ? Mpv.describe(linesFen, lines) : [];
+        $('engineEval').textContent = rows.length ? rows[0].score : '—';
+        const exact = tablebase && Bitbase.describe(tablebase);
+        $('engineWdl').textContent = exact ? `${exact} · tablebase` : rows.length ? rows[0].wdl : '';
+        $('pvLines').innerHTML = rows.map(r => `
+            <div class="pv-line" data-move="${r.move}" title="${exact || r.wdl ? `${exact || r.wdl} — ` : ''}${r.san}">
+                <span class="pv-rank">${r.rank}</span>
+                <span class="pv-score">${r.score}</span>
+                <span class="pv-depth">${exact ? 'TB' : `d${r.depth}`}</span>
+                <span class="pv-san">${r.san}</span>
+            </div>`).join('');
+
+        $('engineThreat').textContent = engineOn && threat ? threat.text : '';
+
+        // one line: a plain arrow; several: ranked ones
+        const arrows = Mpv.rankedArrows(lines);
+        if (multiPv === 1) arrows.forEach(a => { delete a.rank; });
+        if (threat) arrows.push(Threat.arrow(threat));
+        view.setArrows(engineOn ? arrows : []);
+        paintEvalBar();
+    }
+
+    // the eval bar: white's win% (TitanAccuracy) from the best live
+    // line, or from the review when there are no lines. only a
+    // mate fills it all the way — +10 still leaves a sliver.
+    function paintEvalBar() {
+        let share = 50, text = '';
+        const best = Mpv.ordered(lines)[0];
+        if (engineOn && best) {
+            const turn = linesFen.split(' ')[1];
+            share = Acc.winPercent(Score.toCp(best.score) * (turn === 'b' ? -1 : 1));
+            text = Score.format(best.score, turn);
+        } else if (engineOn && review && review.positions[ply]) {
+            const p = review.positions[ply];
+            share = Acc.whiteWinPercent(p);
+            text = Score.formatWhite(p.score, p.fen.split(' ')[1]);
+        }
+        const bar = $('evalBar');
+        const flipped = view.getOrientation() === 'black';
+        // the label sits at the end of the side that's ahead
+        bar.classList.toggle('flipped', flipped);
+        bar.classList.toggle('idle', !text);
+        bar.classList.toggle('black-ahead', share < 50);
+        bar.classList.toggle('label-top', flipped !== share < 50);
+        $('evalBarFill').style.height = `${share.toFixed(1)}%`;
+        $('evalBarLabel').textContent = text.replace(/^[+-]/, '');
+        bar.title = text;
+    }
+
+    function flipBoard() {
+        view.flip();
+        paintEvalBar();
+    }
+
+    function setEngineOn(on) {
+        engineOn = on;
+        const btn = $('engineToggle');
+        btn.classList.toggle('active', on);
+        btn.textContent = on ? 'ON' : 'OFF';
+        if (!on) engine.stop();
+        analyzeCurrent(positionAt(ply));
+    }
+
+    function setThreatOn(on) {
+        threatOn = on;
+        $('threatToggle').classList.toggle('active', on);
+        chrome.storage.local.set({ showThreat: on });
+        analyzeCurrent(positionAt(ply));
+    }
+
+    function setMultiPv(n) {
+        multiPv = n;
+        document.querySelectorAll('.pv-count-btn').forEach(b => b.classList.toggle('active', parseInt(b.dataset.lines, 10) === n));
+        engine.setMultiPv(n);
+        chrome.storage.local.set({ multiPv: n });
+        analyzeCurrent(positionAt(ply));
+    }
+
+    function startEngine() {
+        const timer = setTimeout(() => {
+            if (!engine.ready) $('engineStatus').textContent = 'Engine failed to start';
+        }, ENGINE_START_TIMEOUT);
+        Promise.all([engine.init(), threatEngine.init()]).then(() => {
+            clearTimeout(timer);
+            engine.setFullStrength();
+            engine.setMultiPv(multiPv);
+            $('engineStatus').textContent = 'Stockfish (local)';
+            analyzeCurrent(positionAt(ply));
+        }, (err) => {
+            clearTimeout(timer);
+            console.error('[TitanFree] engine host failed to start', err);
+            $('engineStatus').textContent = 'Engine failed to start';
+        });
+    }
+
+    // ---------- setup mode ----------
+
+    // FEN for the setup position with some fields replaced
+    function setupFen(changes) {
+        const p = setup.pos;
+        const f = Object.assign({
+            placement: p.placement(),
+            turn: p.turn,
+            castling: p.castlingString(),
+            ep: p.ep >= 0 ? R.sqName(p.ep) : '-',
+            halfmove: p.halfmove,
+            fullmove: p.fullmove
+        }, changes);
+        return `${f.placement} ${f.turn} ${f.castling || '-'} ${f.ep} ${f.halfmove} ${f.fullmove}`;
+    }
+
+    function updateSetup(changes) {
+        setup.pos = new R.Position(setupFen(changes));
+        renderSetup();
+    }
+
+    function enterSetup() {
+        setup = { pos: positionAt(ply), piece: 'P' };
+        engine.stop();
+        threatEngine.stop();
+        view.setArrows([]);
+        view.setEditing(onSetupSquare);
+        document.body.classList.add('setup-mode');
+        $('fenField').readOnly = false;
+        renderSetup();
+    }
+
+    function leaveSetup() {
+        setup = null;
+        view.setEditing(null);
+        document.body.classList.remove('setup-mode');
+        $('fenField').readOnly = true;
+        refresh();
+    }
+
+    function onSetupSquare(sq) {
+        const p = setup.pos.clone();
+        p.board[sq] = p.board[sq] === setup.piece ? null : (setup.piece || null);
+        updateSetup({ placement: p.placement() });
+    }
+
+    function renderSetup() {
+        const pos = setup.pos;
+        const fen = pos.fen();
+        view.setPosition(pos);
+        $('fenField').value = fen;
+
+        document.querySelectorAll('.palette-btn').forEach(b => b.classList.toggle('active', b.dataset.piece === setup.piece));
+        document.querySelectorAll('[data-turn]').forEach(b => b.classList.toggle('active', b.dataset.turn === pos.turn));
+        const castling = pos.castlingString();
+        document.querySelectorAll('[data-castle]').forEach(c => { c.checked = castling.includes(c.dataset.castle); });
+
+        // en passant targets: the 6th rank with white to move, the 3rd with black
+        const rank = pos.turn === 'w' ? '6' : '3';
+        const ep = pos.ep >= 0 ? R.sqName(pos.ep) : '-';
+        $('setupEp').innerHTML = ['-'].concat('abcdefgh'.split('').map(f => f + rank))
+            .map(sq => `<option value="${sq}"${sq === ep ? ' selected' : ''}>${sq}</option>`).join('');
+        $('setupHalfmove').value = pos.halfmove;
+        $('setupFullmove').value = pos.fullmove;
+
+        const errors = R.validateFen(fen);
+        $('setupErrors').innerHTML = errors.map(e => `<div>${e}</div>`).join('');
+        $('setupDone').classList.toggle('disabled', errors.length > 0);
+    }
+
+    function finishSetup() {
+        const fen = setup.pos.fen();
+        if (R.validateFen(fen).length) return;
+        game = Pgn.newGame(fen);
+        ply = 0;
+        dropReview();
+        leaveSetup();
+    }
+
+    // FEN typed or pasted into the field while in setup mode
+    function loadSetupFen() {
+        const text = $('fenField').value.trim();
+        try {
+            setup.pos = new R.Position(text);
+            renderSetup();
+        } catch (err) {
+            $('setupErrors').innerHTML = '<div>Malformed FEN</div>';
+            $('setupDone').classList.add('disabled');
+        }
+    }
+
+    document.querySelectorAll('.palette-btn').forEach(btn => {
+        btn.addEventListener('click', () => { setup.piece = btn.dataset.piece; renderSetup(); });
+    });
+    document.querySelectorAll('[data-turn]').forEach(btn => {
+        // the old ep square belongs to the other side's rank
+        btn.addEventListener('click', () => updateSetup({ turn: btn.dataset.turn, ep: '-' }));
+    });
+    document.querySelectorAll('[data-castle]').forEach(box => {
+        box.addEventListener('change', () => {
+            const rights = Array.from(document.querySelectorAll('[data-castle]')).filter(c => c.checked).map(c => c.dataset.castle).join('');
+            updateSetup({ castling: rights });
+        });
+    });
+    $('setupEp').addEventListener('change', (e) => updateSetup({ ep: e.target.value }));
+    $('setupHalfmove').addEventListener('change', (e) => updateSetup({ halfmove: Math.max(0, parseInt(e.target.value, 10) || 0) }));
+    $('setupFullmove').addEventListener('change', (e) => updateSetup({ fullmove: Math.max(1, parseInt(e.target.value, 10) || 1) }));
+    $('setupStart').addEventListener('click', () => { setup.pos = new R.Position(); renderSetup(); });
+    $('setupClear').addEventListener('click', () => updateSetup({ placement: '8/8/8/8/8/8/8/8', castling: '-', ep: '-' }));
+    $('setupDone').addEventListener('click', finishSetup);
+    $('setupCancel').addEventListener('click', leaveSetup);
+    $('setupBtn').addEventListener('click', enterSetup);
+    $('fenLoadBtn').addEventListener('click', loadSetupFen);
+    $('fenField').addEventListener('keydown', (e) => { if (e.key === 'Enter' && setup) loadSetupFen(); });
+
+    // save `text` as a .pgn download
+    function downloadPgn(name, text) {
+        const blob = new Blob([text], { type: 'application/x-chess-pgn' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = name;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    // ---------- review ----------
+
+    // the game on the board changed: its review and library record
+    // no longer describe it
+    function dropReview() {
+        if (!review && !libraryId) return;
+        review = null;
+        libraryId = null;
+        renderLibrary();
+    }
+
+    // the move, its class, the engine's choice and the WDL after
+    // it — flagged when the eval's edge is a likely draw anyway.
+    // a tablebase position gives its exact result instead.
+    function describeReviewMove(m) {
+        const head = `${m.moveNumber}${m.color === 'w' ? '.' : '...'} ${m.san} — ${m.classification}`;
+        const text = m.classification === 'best' || !m.bestSan ? head : `${head} · best ${m.bestSan}`;
+        const after = review.positions[m.ply + 1];
+        if (after.tablebase) return `${text} · ${after.tablebase}`;
+        const wdl = Score.formatWdl(after.wdl);
+        if (!wdl) return text;
+        return `${text} · ${wdl}${Rev.drawMargins(review).flags[m.ply + 1] ? ' (drawish)' : ''}`;
+    }
+
+    // accuracy and counts per side, the eval graph, and the
+    // classification of the move just played
+    function renderReview(message) {
+        $('reviewBtn').textContent = reviewJob ? 'STOP' : 'REVIEW';
+        $('reviewExportBtn').style.display = review ? '' : 'none';
+        if (!review) {
+            $('reviewSummary').innerHTML = '';
+            $('evalGraph').innerHTML = '';
+            if (message || !reviewJob) $('reviewStatus').textContent = message || (game.moves.length ? 'Not reviewed yet' : 'Play or open a game to review it');
+            return;
+        }
+        const counts = Rev.summarize(review);
+        const acc = Acc.summarize(review);
+        const margins = Rev.drawMargins(review);
+        const fmt = (v, digits) => v === null ? '—' : v.toFixed(digits);
+        const rows = [
+            `<div class="review-summary-row review-accuracy"><span>ACCURACY</span><span>${fmt(acc.w.accuracy, 1)}%</span><span>${fmt(acc.b.accuracy, 1)}%</span></div>`,
+            `<div class="review-summary-row"><span>AVG CP LOSS</span><span>${fmt(acc.w.acpl, 0)}</span><span>${fmt(acc.b.acpl, 0)}</span></div>`,
+            `<div class="review-summary-row" title="Positions where the side was better on the eval but likely to draw"><span>DRAWISH EDGES</span><span>${margins.w}</span><span>${margins.b}</span></div>`
+        ].concat(['inaccuracy', 'mistake', 'blunder'].map(name => {
+            const info = Rev.classInfo(name);
+            return `<div class="review-summary-row"><span style="color:${info.color}">${info.symbol} ${name.toUpperCase()}</span><span>${counts.w[name]}</span><span>${counts.b[name]}</span></div>`;
+        }));
+        $('reviewSummary').innerHTML = `<div class="review-summary-row review-summary-head"><span></span><span>WHITE</span><span>BLACK</span></div>${rows.join('')}`;
+        Graph.render($('evalGraph'), review, { selected: ply - 1, onSelect: (i) => goTo(i + 1) });
+        const m = review.moves[ply - 1];
+        $('reviewStatus').textContent = message || (m ? describeReviewMove(m) : `${review.moves.length} moves reviewed`);
+    }
+
+    // review the game on the board with the local engine. the board
+    // stays navigable but takes no moves until it's done or STOPped.
+    function startReview() {
+        if (reviewJob) { leaveReview('Review stopped'); return; }
+        if (!engine.ready) { renderReview('Engine not ready yet'); return; }
+        if (!game.moves.length) { renderReview('No moves to review'); return; }
+        const job = reviewJob = { game };
+        review = null;
+        engine.stop();
+        engine.setMultiPv(1);
+        view.setInteractive(false);
+        document.body.classList.add('review-mode');
+        refresh();
+        renderReview(`Analyzing 0/${game.moves.length + 1}`);
+
+        Rev.run(game, (fen, limits) => engine.evaluate(fen, limits), {
+            onProgress: (done, total) => { if (reviewJob === job) renderReview(`Analyzing ${done}/${total}`); },
+            shouldStop: () => reviewJob !== job
+        }).then(res => {
+            if (reviewJob !== job || res.cancelled) return;
+            review = res;
+            // a library game keeps where it came from
+            const record = library.find(r => r.id === libraryId);
+            saveToLibrary(record
+                ? { source: record.source, userColor: record.userColor, now: record.added }
+                : { source: 'analysis' });
+            leaveReview(`${res.moves.length} moves reviewed · saved to the library`);
+        }).catch(err => {
+            // STOP rejects the running search
+            if (reviewJob !== job) return;
+            console.error('[TitanFree] review failed', err);
+            leaveReview('Review failed — try again');
+        });
+    }
+
+    function leaveReview(message) {
+        reviewJob = null;
+        engine.stop();
+        engine.setMultiPv(multiPv);
+        view.setInteractive(true);
+        document.body.classList.remove('review-mode');
+        refresh();
+        renderReview(message);
+    }
+
+    // annotated PGN: NAGs, [%eval] comments and the engine's lines
+    function exportReview() {
+        if (!review) return;
+        downloadPgn(`titan-review-${Lib.normalizeDate(game.tags.Date) || 'game'}.pgn`, Pgn.write(Rev.annotate(review)));
+    }
+
+    // ---------- library ----------
+
+    // PGN text (player names, openings) into HTML
+    function esc(text) {
+        return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+
+    function loadLibrary() {
+        return Db.getAll('games').then(records => {
+            library = records;
+            renderLibrary();
+        });
+    }
+
+    function libraryRow(r) {
+        const outcome = Lib.outcome(r);
+        // our side in bold, when we know it
+        const name = (text, color) => r.userColor === color ? `<b>${esc(text)}</b>` : esc(text);
+        const info = [r.opening, r.source, r.timeControl].filter(Boolean).map(esc).join(' · ');
+        return `<div class="lib-game${r.id === libraryId ? ' current' : ''}" data-game="${r.id}" title="${info}">` +
+            `<span class="lib-date-cell">${r.date || '—'}</span>` +
+            `<span class="lib-players">${name(r.white, 'w')} – ${name(r.black, 'b')}</span>` +
+            `<span class="lib-eco">${esc(r.eco)}</span>` +
+            `<span class="lib-result${outcome ? ' ' + outcome : ''}">${r.result === '1/2-1/2' ? '½-½' : r.result}</span>` +
+            `<span class="lib-reviewed">${r.review ? '★' : ''}</span>` +
+            `<button class="rep-remove" data-remove="${r.id}" title="Remove from the library">✕</button></div>`;
+    }
+
+    function renderLibrary(message) {
+        const list = Lib.search(library, libFilter);
+        $('libStatus').textContent = message || (library.length ? `${list.length} of ${library.length} games` : 'No games yet');
+        if (!list.length) {
+            $('libGames').innerHTML = `<div class="rep-empty">${library.length ? 'No games match the filters' : 'Reviewed, imported and played games show up here'}</div>`;
+            return;
+        }
+        const more = list.length - LIBRARY_ROWS;
+        $('libGames').innerHTML = list.slice(0, LIBRARY_ROWS).map(libraryRow).join('') +
+            (more > 0 ? `<div class="rep-empty">${more} more — narrow the filters</div>` : '');
+    }
+
+    // store the game on the board (with its review, if any).
+    // options go to TitanLibrary.fromGame().
+    function saveToLibrary(options) {
+        const record = Lib.fromGame(game, Object.assign({ review }, options));
+        return Db.put('games', record).then(() => {
+            library = library.filter(r => r.id !== record.id).concat(record);
+            libraryId = record.id;
+            renderLibrary();
+        }).catch(err => { console.error('[TitanFree] library save failed', err); renderLibrary('Save failed'); });
+    }
+
+    // put a library game on the board, with its review if it has one
+    function openLibraryGame(id) {
+        const record = library.find(r => r.id === id);
+        if (!record) return;
+        game = Lib.toGame(record);
+        ply = 0;
+        libraryId = id;
+        review = Lib.toReview(record, game);
+        view.setOrientation(record.userColor === 'b' ? 'black' : 'white');
+        refresh();
+        renderLibrary();
+    }
+
+    function removeLibraryGame(id) {
+        Db.remove('games', id).then(() => {
+            library = library.filter(r => r.id !== id);
+            if (libraryId === id) libraryId = null;
+            renderLibrary();
+        }).catch(err => { console.error('[TitanFree] library remove failed', err); renderLibrary('Remove failed'); });
+    }
+
+    // every game in the pasted PGN; games already in the library
+    // (and their reviews) are left alone
+    function importLibrary() {
+        const games = Pgn.parse($('libImportText').value).filter(g => g.moves.length);
+        if (!games.length) { renderLibrary('No game found'); return; }
+        Db.addMany('games', games.map(g => Lib.fromGame(g, { source: 'import' })))
+            .then(added => loadLibrary().then(() => {
+                $('libImportText').value = '';
+                $('libImport').style.display = 'none';
+                const known = games.length - added;
+                renderLibrary(`Imported ${added} game${added === 1 ? '' : 's'}` + (known ? ` · ${known} already there` : ''));
+            }))
+            .catch(err => { console.error('[TitanFree] library import failed', err); renderLibrary('Import failed'); });
+    }
+
+    $('reviewBtn').addEventListener('click', startReview);
+    $('reviewExportBtn').addEventListener('click', exportReview);
+    $('libSpeed').innerHTML += Lib.SPEEDS.map(s => `<option value="${s}">${s.toUpperCase()}</option>`).join('');
+    document.querySelectorAll('[data-lib-filter]').forEach(input => {
+        input.addEventListener('input', () => { libFilter[input.dataset.libFilter] = input.value; renderLibrary(); });
+    });
+    $('libGames').addEventListener('click', (e) => {
+        const remove = e.target.closest('[data-remove]');
+        if (remove) { removeLibraryGame(remove.dataset.remove); return; }
+        const row = e.target.closest('.lib-game[data-game]');
+        if (row) openLibraryGame(row.dataset.game);
+    });
+    $('libImportToggle').addEventListener('click', () => {
+        const box = $('libImport');
+        box.style.display = box.style.display === 'none' ? 'block' : 'none';
+    });
+    $('libImportBtn').addEventListener('click', importLibrary);
+
+    // ---------- batch review ----------
+
+    function renderBatch(message) {
+        const list = Batch.pending();
+        const running = Batch.isRunning();
+        $('batchCancel').style.display = list.length ? '' : 'none';
+        if (message) $('batchStatus').textContent = message;
+        else if (!running) $('batchStatus').textContent = list.length ? `${list.length} game${list.length === 1 ? '' : 's'} queued` : 'Queue empty';
+        if (!list.length) $('batchFill').style.width = '0';
+        const more = list.length - BATCH_ROWS;
+        $('batchList').innerHTML = list.slice(0, BATCH_ROWS).map((e, i) =>
+            `<div class="batch-game${running && i === 0 ? ' active' : ''}">` +
+            `<span class="lib-players">${esc(e.white)} – ${esc(e.black)}</span>` +
+            `<span class="batch-count">${e.positions.length ? `${e.positions.length}/${e.plies + 1}` : `${e.plies} plies`}</span></div>`
+        ).join('') + (more > 0 ? `<div class="rep-empty">${more} more</div>` : '');
+    }
+
+    function renderBatchProgress(p) {
+        const share = (p.index + p.done / (p.plies + 1)) / p.total;
+        $('batchFill').style.width = `${(share * 100).toFixed(1)}%`;
+        renderBatch(`Game ${p.index + 1} of ${p.total} · position ${p.done}/${p.plies + 1}`);
+    }
+
+    // the queue gets its own engine object with 'batch' priority:
+    // the shared host runs its jobs only when the board's live
+    // lines and reviews (on any page) leave it idle
+    function batchReady() {
+        if (!batchStarting) {
+            batchEngine = new Uci.Client({ priority: 'batch' });
+            // a host that didn't start gets another try next time
+            batchStarting = batchEngine.init().catch(err => {
+                batchStarting = null;
+                throw err;
+            });
+        }
+        return batchStarting;
+    }
+
+    // work through the queue. the lock keeps a second analysis
+    // board tab from reviewing the same games.
+    function startBatch() {
+        if (Batch.isRunning() || !Batch.pending().length) return;
+        navigator.locks.request(BATCH_LOCK, { ifAvailable: true }, (lock) => {
+            if (!lock) { renderBatch('Being reviewed in another tab'); return null; }
+            return batchReady().then(() => Batch.run((fen, limits) => batchEngine.evaluate(fen, limits), {
+                onProgress: renderBatchProgress,
+                onGame: (record) => {
+                    library = library.filter(r => r.id !== record.id).concat(record);
+                    renderLibrary();
+                }
+            })).then(res => {
+                const done = `${res.reviewed} game${res.reviewed === 1 ? '' : 's'} reviewed`;
+                renderBatch(res.cancelled ? `Cancelled · ${done}` : `${done} · saved to the library`);
+            }, err => {
+                console.error('[TitanFree] batch review failed', err);
+                renderBatch('Stopped by an engine error — reload to resume');
+            });
+        });
+    }
+
+    // queue the games of a PGN file that aren't reviewed yet
+    function queueFile(file) {
+        const reviewed = new Set(library.filter(r => r.review).map(r => r.id));
+        return file.text().then(text => Batch.add(text, reviewed)).then(res => {
+            renderBatch(res.added
+                ? `Queued ${res.added} game${res.added === 1 ? '' : 's'}` + (res.skipped ? ` · ${res.skipped} already reviewed or queued` : '')
+                : 'No new games in that file');
+            startBatch();
+        }).catch(err => { console.error('[TitanFree] batch queue failed', err); renderBatch(`Couldn't queue ${file.name}`); });
+    }
+
+    // several files are queued one after the other
+    function queueFiles(files) {
+        Array.from(files).reduce((p, file) => p.then(() => queueFile(file)), Promise.resolve());
+    }
+
+    function cancelBatch() {
+        Batch.cancel()
+            .then(() => renderBatch(Batch.isRunning() ? 'Cancelling…' : 'Cancelled'))
+            .catch(err => { console.error('[TitanFree] batch cancel failed', err); renderBatch('Cancel failed'); });
+        // rejects the search in flight
+        if (batchEngine) batchEngine.stop();
+    }
+
+    $('batchFileBtn').addEventListener('click', () => $('batchFile').click());
+    $('batchFile').addEventListener('change', (e) => {
+        queueFiles(e.target.files);
+        e.target.value = '';
+    });
+    $('batchDrop').addEventListener('dragover', (e) => {
+        e.preventDefault();
+        $('batchDrop').classList.add('over');
+    });
+    $('batchDrop').addEventListener('dragleave', () => $('batchDrop').classList.remove('over'));
+    $('batchDrop').addEventListener('drop', (e) => {
+        e.preventDefault();
+        $('batchDrop').classList.remove('over');
+        queueFiles(e.dataTransfer.files);
+    });
+    $('batchCancel').addEventListener('click', cancelBatch);
+
+    // ---------- repertoire ----------
+
+    function renderRepertoire(message) {
+        document.querySelectorAll('[data-rep-color]').forEach(b => b.classList.toggle('active', b.dataset.repColor === repColor));
+        const c = Rep.counts(repColor);
+        $('repStatus').textContent = message || `${c.moves} moves · ${c.due} due`;
+        $('repDrillBtn').textContent = c.due ? `DRILL (${c.due})` : 'DRILL';
+
+        const moves = Rep.movesAt(repColor, positionAt(ply).fen());
+        $('repMoves').innerHTML = moves.length
+            ? moves.map(r => `<span class="rep-move${r.mine ? ' mine' : ''}" data-uci="${r.uci}" title="${r.mine ? 'Your move' : 'Prepared reply'}">` +
+                `${r.san}<button class="rep-remove" data-id="${r.id}" title="Remove this move and the lines after it">✕</button></span>`).join('')
+            : '<div class="rep-empty">No repertoire moves here</div>';
+    }
+
+    function setRepColor(color) {
+        repColor = color;
+        chrome.storage.local.set({ repertoireColor: color });
+        renderRepertoire();
+    }
+
+    function addLineToRepertoire() {
+        if (new R.Position(game.startFen).key() !== new R.Position().key()) {
+            renderRepertoire('Lines must start from the initial position');
+            return;
+        }
+        if (!ply) { renderRepertoire('Play the line first'); return; }
+        Rep.addLine(repColor, game.moves.slice(0, ply).map(m => m.uci))
+            .then(added => renderRepertoire(added ? `Added ${added} move${added === 1 ? '' : 's'}` : 'Already in the repertoire'))
+            .catch(err => { console.error('[TitanFree] repertoire save failed', err); renderRepertoire('Save failed'); });
+    }
+
+    function importRepertoire() {
+        Rep.importPgn(repColor, $('repImportText').value).then(res => {
+            if (!res.games && !res.skipped) { renderRepertoire('No game found'); return; }
+            $('repImportText').value = '';
+            $('repImport').style.display = 'none';
+            renderRepertoire(`Imported ${res.added} new moves` + (res.skipped ? ` · ${res.skipped} skipped (custom start)` : ''));
+        }).catch(err => { console.error('[TitanFree] repertoire import failed', err); renderRepertoire('Import failed'); });
+    }
+
+    function exportRepertoire() {
+        if (!Rep.counts(repColor).moves) { renderRepertoire('Nothing to export yet'); return; }
+        downloadPgn(`titan-repertoire-${repColor === 'w' ? 'white' : 'black'}.pgn`, Rep.exportPgn(repColor));
+    }
+
+    // ---------- trainer ----------
+    //
+    // drill, puzzles and endgames share the trainer panel. a
+    // session is { title, next(), move(uci), orientation } plus
+    // whatever the trainer keeps; next() shows the next task (or
+    // restarts it — nextLabel names the button), move() takes the
+    // moves played on the board, and an optional onExit() cleans up.
+
+    function startSession(s) {
+        s.orientation = view.getOrientation();
+        session = s;
+        engine.stop();
+        threatEngine.stop();
+        view.setArrows([]);
+        $('trainTitle').textContent = s.title;
+        $('trainNext').textContent = s.nextLabel || 'NEXT';
+        document.body.classList.add('train-mode');
+        s.next();
+    }
+
+    function exitSession() {
+        if (!session) return;
+        if (session.onExit) session.onExit();
+        view.setOrientation(session.orientation);
+        view.setInteractive(true);
+        session = null;
+        document.body.classList.remove('train-mode');
+        refresh();
+    }
+
+    // show (or hide) NEXT: shown while an answer waits to be read
+    function trainNext(shown) {
+        $('trainNext').style.display = shown ? '' : 'none';
+    }
+
+    // end-of-session summary
+    function finishSession(right, wrong, retry) {
+        trainNext(false);
+        view.setArrows([]);
+        view.setInteractive(false);
+        $('trainProgress').textContent = `${right} / ${right + wrong} right`;
+        $('trainPrompt').innerHTML = wrong
+            ? `Session done — the missed ${retry} come back in 10 minutes.`
+            : `<span class="right">Session done — all correct!</span>`;
+    }
+
+    // ---------- drill ----------
+
+    function enterDrill() {
+        const cards = Rep.drillCards(repColor, DRILL_SIZE);
+        if (!cards.length) { renderRepertoire(`No ${repColor === 'w' ? 'white' : 'black'} moves to drill yet`); return; }
+        startSession({
+            title: 'DRILL', next: nextCard, move: drillMove,
+            color: repColor, cards, index: 0, card: null, answered: false,
+            right: 0, wrong: 0, retried: new Set()
+        });
+    }
+
+    function nextCard() {
+        const d = session;
+        if (d.index >= d.cards.length) { finishSession(d.right, d.wrong, 'positions'); return; }
+        trainNext(false);
+        view.setArrows([]);
+        d.card = d.cards[d.index++];
+        d.answered = false;
+        const pos = new R.Position(d.card.fen);
+        view.setOrientation(d.color === 'w' ? 'white' : 'black');
+        view.setPosition(pos);
+        view.setInteractive(true);
+        $('fenField').value = pos.fen();
+        $('trainProgress').textContent = `${d.index} / ${d.cards.length}`;
+        const opening = Eco.lookup(pos.fen());
+        $('trainPrompt').innerHTML = `${pos.turn === 'w' ? 'White' : 'Black'} to move — play your repertoire move.` +
+            (opening ? `<div class="train-note">${opening.eco} ${opening.name}</div>` : '');
+    }
+
+    function drillMove(uci) {
+        const d = session;
+        if (d.answered) return;
+        d.answered = true;
+        const card = d.card;
+        const accepted = Rep.movesAt(d.color, card.fen).filter(r => r.mine);
+        const hit = accepted.find(r => r.uci === uci);
+        // every move we keep here shares the answer
+        Promise.all(accepted.map(r => Rep.grade(r, !!hit)))
+            .then(() => renderRepertoire())
+            .catch(err => console.error('[TitanFree] drill grade failed', err));
+        // a missed card comes back once more at the end
+        if (!hit && !d.retried.has(card.id)) {
+            d.retried.add(card.id);
+            d.cards.push(card);
+        }
+
+        const pos = new R.Position(card.fen);
+        if (hit) {
+            d.right++;
+            pos.makeMove(pos.moveFromUci(uci));
+            view.setPosition(pos, uci);
+            $('trainPrompt').innerHTML = `<span class="right">✓ ${hit.san}</span>`;
+            setTimeout(() => { if (session === d) nextCard(); }, DRILL_NEXT_MS);
+            return;
+        }
+        d.wrong++;
+        view.setInteractive(false);
+        view.setArrows([{ move: uci, color: WRONG_COLOR }].concat(accepted.map(r => ({ move: r.uci, color: RIGHT_COLOR }))));
+        $('trainPrompt').innerHTML = `<span class="wrong">✕ ${Pgn.uciToSan(card.fen, uci) || uci}</span> — the repertoire move is ` +
+            `<span class="right">${accepted.map(r => r.san).join(' or ')}</span>`;
+        trainNext(true);
+    }
+
+    // ---------- puzzles ----------
+
+    function renderPuzzles(message) {
+        const now = Date.now();
+        const due = puzzleBank.filter(p => p.due <= now).length;
+        $('puzStatus').textContent = message || `${puzzleBank.length} puzzles · ${due} due`;
+        $('puzStartBtn').textContent = due ? `SOLVE (${due})` : 'SOLVE';
+        $('puzHint').style.display = puzzleBank.length ? 'none' : '';
+    }
+
+    // the widget adds puzzles (through the service worker) while
+    // this page may be open, so the bank is re-read when it matters
+    function loadPuzzles() {
+        return Db.getAll('puzzles').then(all => {
+            puzzleBank = all;
+            renderPuzzles();
+            return all;
+        });
+    }
+
+    function enterPuzzles() {
+        loadPuzzles().then(all => {
+            const puzzles = Srs.pick(all, PUZZLE_SIZE, Date.now());
+            if (!puzzles.length) { renderPuzzles('No puzzles yet'); return; }
+            startSession({
+                title: 'PUZZLES', next: nextPuzzle, move: puzzleMove,
+                puzzles, index: 0, puzzle: null, pos: null, step: 0, answered: false,
+                right: 0, wrong: 0, retried: new Set()
+            });
+        }).catch(err => { console.error('[TitanFree] puzzle load failed', err); renderPuzzles('Storage unavailable'); });
+    }
+
+    function puzzleTask(p) {
+        if (p.mate) return `mate in ${p.mate}`;
+        return p.kind === 'win' ? 'find the winning line' : 'find the saving move';
+    }
+
+    function nextPuzzle() {
+        const d = session;
+        if (d.index >= d.puzzles.length) { finishSession(d.right, d.wrong, 'puzzles'); return; }
+        trainNext(false);
+        view.setArrows([]);
+        const p = d.puzzle = d.puzzles[d.index++];
+        d.pos = new R.Position(p.fen);
+        d.step = 0;
+        d.answered = false;
+        view.setOrientation(p.side === 'w' ? 'white' : 'black');
+        view.setPosition(d.pos);
+        view.setInteractive(true);
+        $('fenField').value = d.pos.fen();
+        $('trainProgress').textContent = `${d.index} / ${d.puzzles.length}`;
+        const src = p.source;
+        $('trainPrompt').innerHTML = `${p.side === 'w' ? 'White' : 'Black'} to move — ${puzzleTask(p)}.` +
+            `<div class="train-note">${esc(src.white)} – ${esc(src.black)}${src.date ? ` (${esc(src.date)})` : ''}: ` +
+            `${src.moveNumber}${p.side === 'w' ? '.' : '...'} ${esc(p.playedSan)}?? was played</div>`;
+    }
+
+    // attempts / solves and the retry schedule, kept on the session's
+    // copy too so a retry later in the session grades from it
+    function gradePuzzle(p, solved) {
+        Object.assign(p, Srs.schedule(p, solved, Date.now()), {
+            attempts: p.attempts + 1,
+            solves: p.solves + (solved ? 1 : 0)
+        });
+        Db.put('puzzles', Object.assign({}, p))
+            .then(() => loadPuzzles())
+            .catch(err => console.error('[TitanFree] puzzle grade failed', err));
+    }
+
+    function puzzleMove(uci) {
+        const d = session;
+        if (d.answered) return;
+        const p = d.puzzle;
+        const res = Puz.answer(p, d.step, uci);
+
+        if (res.ok) {
+            const san = Pgn.uciToSan(d.pos.fen(), uci);
+            d.pos.makeMove(d.pos.moveFromUci(uci));
+            view.setPosition(d.pos, uci);
+            $('fenField').value = d.pos.fen();
+            if (res.done) {
+                d.answered = true;
+                d.right++;
+                gradePuzzle(p, true);
+                view.setInteractive(false);
+                $('trainPrompt').innerHTML = `<span class="right">✓ ${san} — solved!</span>`;
+                trainNext(true);
+                return;
+            }
+            // the engine's reply, then our turn again
+            view.setInteractive(false);
+            $('trainPrompt').innerHTML = `<span class="right">✓ ${san}</span> — keep going.`;
+            const reply = p.solution[d.step + 1];
+            setTimeout(() => {
+                if (session !== d || d.puzzle !== p) return;
+                d.pos.makeMove(d.pos.moveFromUci(reply));
+                d.step += 2;
+                view.setPosition(d.pos, reply);
+                view.setInteractive(true);
+                $('fenField').value = d.pos.fen();
+            }, PUZZLE_REPLY_MS);
+            return;
+        }
+
+        d.answered = true;
+        d.wrong++;
+        gradePuzzle(p, false);
+        // a missed puzzle comes back once more at the end
+        if (!d.retried.has(p.id)) {
+            d.retried.add(p.id);
+            d.puzzles.push(p);
+        }
+        view.setInteractive(false);
+        view.setArrows([
+            { move: uci, color: WRONG_COLOR },
+            { move: p.solution[d.step], color: RIGHT_COLOR }
+        ]);
+        $('trainPrompt').innerHTML = `<span class="wrong">✕ ${Pgn.uciToSan(d.pos.fen(), uci) || uci}</span> — the solution is ` +
+            `<span class="right">${Puz.solutionSan(p)}</span>`;
+        trainNext(true);
+    }
+
+    document.querySelectorAll('[data-rep-color]').forEach(btn => {
+        btn.addEventListener('click', () => setRepColor(btn.dataset.repColor));
+    });
+    $('repMoves').addEventListener('click', (e) => {
+        const remove = e.target.closest('.rep-remove');
+        if (remove) {
+            Rep.removeMove(remove.dataset.id)
+                .then(n => renderRepertoire(`Removed ${n} move${n === 1 ? '' : 's'}`))
+                .catch(err => console.error('[TitanFree] repertoire remove failed', err));
+            return;
+        }
+        const chip = e.target.closest('.rep-move[data-uci]');
+        if (chip) playMove(chip.dataset.uci);
+    });
+    $('repAddBtn').addEventListener('click', addLineToRepertoire);
+    $('repDrillBtn').addEventListener('click', enterDrill);
+    $('repImportToggle').addEventListener('click', () => {
+        const box = $('repImport');
+        box.style.display = box.style.display === 'none' ? 'block' : 'none';
+    });
+    $('repImportBtn').addEventListener('click', importRepertoire);
+    $('repExportBtn').addEventListener('click', exportRepertoire);
+    $('puzStartBtn').addEventListener('click', enterPuzzles);
+    $('trainNext').addEventListener('click', () => session.next());
+    $('trainExit').addEventListener('click', exitSession);
+
+    // ---------- endgames ----------
+
+    function renderEndgames(message) {
+        let group = null;
+        $('egList').innerHTML = Eg.ENDGAMES.map(e => {
+            const head = e.group !== group ? `<div class="eg-group">${e.group.toUpperCase()}</div>` : '';
+            group = e.group;
+            const goal = e.goal === 'mate' ? 'MATE' : e.goal === 'promote' ? 'WIN' : 'HOLD';
+            const st = egStats[e.id];
+            return head + `<div class="eg-item" data-eg="${e.id}" title="${Eg.task(e)}">` +
+                `<span class="eg-name">${e.name}</span><span class="eg-goal">${goal} · ${e.moves}</span>` +
+                `<span class="eg-score${st && st.done ? ' done' : ''}" title="Converted or held / tries">${st ? `${st.done}/${st.tries}` : '—'}</span></div>`;
+        }).join('');
+        if (message) $('egStatus').textContent = message;
+    }
+
+    // every endgame is played against the unlimited level
+    function enterEndgame(id) {
+        const entry = Eg.get(id);
+        if (!entry) return;
+        if (!engine.ready) { renderEndgames('Engine not ready yet'); return; }
+        engine.setElo(UNLIMITED_ELO);
+        engine.setMultiPv(1);
+        startSession({
+            title: 'ENDGAME', nextLabel: 'RETRY', next: startEndgame, move: endgameMove, onExit: leaveEndgame,
+            entry, cfg: S.config(UNLIMITED_ELO), pos: null, moves: 0, over: false, thinking: false, attempt: 0
+        });
+    }
+
+    function leaveEndgame() {
+        engine.stop();
+        engine.setFullStrength();
+        engine.setMultiPv(multiPv);
+    }
+
+    function startEndgame() {
+        const d = session;
+        if (d.thinking) engine.stop();
+        d.attempt++;
+        d.pos = new R.Position(d.entry.fen);
+        d.moves = 0;
+        d.over = false;
+        d.thinking = false;
+        trainNext(false);
+        view.setArrows([]);
+        view.setOrientation(d.entry.side === 'w' ? 'white' : 'black');
+        showEndgame(null);
+        $('trainPrompt').innerHTML = `${Eg.task(d.entry)}.<div class="train-note">${d.entry.name} — ${d.entry.hint}</div>`;
+        if (d.pos.turn === d.entry.side) view.setInteractive(true);
+        else endgameReply();
+    }
+
+    function showEndgame(lastUci) {
+        const d = session;
+        view.setPosition(d.pos, lastUci);
+        $('fenField').value = d.pos.fen();
+        $('trainProgress').textContent = `move ${d.moves} / ${d.entry.moves}`;
+    }
+
+    function endgameMove(uci) {
+        const d = session;
+        if (d.over || d.thinking || d.pos.turn !== d.entry.side) return;
+        const move = d.pos.moveFromUci(uci);
+        if (!move) return;
+        d.pos.makeMove(move);
+        d.moves++;
+        showEndgame(uci);
+        if (!judgeEndgame()) endgameReply();
+    }
+
+    function endgameReply() {
+        const d = session;
+        const attempt = d.attempt;
+        const startedAt = Date.now();
+        d.thinking = true;
+        view.setInteractive(false);
+        engine.analyze(d.pos.fen(), { depth: d.cfg.depth, movetime: d.cfg.movetime }).then(res => {
+            if (!res.bestmove) return;
+            setTimeout(() => {
+                if (session !== d || d.attempt !== attempt || !d.thinking) return;
+                d.thinking = false;
+                d.pos.makeMove(d.pos.moveFromUci(res.bestmove));
+                showEndgame(res.bestmove);
+                if (!judgeEndgame()) view.setInteractive(true);
+            }, Math.max(0, ENGINE_MIN_MS - (Date.now() - startedAt)));
+        }).catch(Uci.quiet);
+    }
+
+    // score the attempt once TitanEndgames.judge() calls it.
+    // returns true when the drill is over.
+    function judgeEndgame() {
+        const d = session;
+        const verdict = Eg.judge(d.entry, d.pos, d.moves);
+        if (!verdict) return false;
+        d.over = true;
+        view.setInteractive(false);
+        const st = egStats[d.entry.id] || { tries: 0, done: 0 };
+        const rec = egStats[d.entry.id] = { tries: st.tries + 1, done: st.done + (verdict.success ? 1 : 0) };
+        chrome.storage.local.set({ endgameStats: egStats });
+        renderEndgames();
+        const word = d.entry.goal === 'draw'
+            ? (verdict.success ? 'Held' : 'Lost')
+            : (verdict.success ? 'Converted' : 'Not converted');
+        $('trainPrompt').innerHTML = `<span class="${verdict.success ? 'right' : 'wrong'}">${word}</span> — ${verdict.reason}.` +
+            `<div class="train-note">${d.entry.name}: ${rec.done} of ${rec.tries} ${d.entry.goal === 'draw' ? 'held' : 'converted'}</div>`;
+        trainNext(true);
+        return true;
+    }
+
+    $('egList').addEventListener('click', (e) => {
+        const item = e.target.closest('.eg-item[data-eg]');
+        if (item) enterEndgame(item.dataset.eg);
+    });
+
+    // ---------- play vs computer ----------
+
+    function renderPlaySetup(message) {
+        $('playLevel').textContent = `${playElo} · ${S.label(playElo)}`;
+        $('playCombat').classList.toggle('active', playCombat);
+        document.querySelectorAll('[data-play-color]').forEach(b => b.classList.toggle('active', b.dataset.playColor === playColor));
+        document.querySelectorAll('[data-play-clock]').forEach(b => b.classList.toggle('active', b.dataset.playClock === playClock));
+        if (message) $('playStatus').textContent = message;
+    }
+
+    function setPlayOption(changes) {
+        if (changes.step) {
+            const i = S.ELO_LEVELS.indexOf(parseInt(playElo, 10)) + changes.step;
+            playElo = String(S.ELO_LEVELS[Math.max(0, Math.min(S.ELO_LEVELS.length - 1, i))]);
+        }
+        if ('combat' in changes) playCombat = changes.combat;
+        if (changes.color) playColor = changes.color;
+        if (changes.clock) playClock = changes.clock;
+        chrome.storage.local.set({ playElo, playCombat, playColor, playClock });
+        renderPlaySetup();
+    }
+
+    // the match game replayed from its start, so threefold
+    // repetition can be seen (a FEN alone has no history). kept
+    // as match.pos: appendMatchMove() plays each move onto it and
+    // only a takeback replays, so the clock ticks don't.
+    function replayMatch() {
+        const pos = new R.Position(game.startFen);
+        game.moves.forEach(m => pos.play(m.uci));
+        return pos;
+    }
+
+    // ms left on `color`'s clock, counting the running turn
+    function timeLeft(m, color) {
+        return m.left[color] - (m.pos.turn === color && !m.result ? Date.now() - m.since : 0);
+    }
+
+    function startMatch() {
+        if (!engine.ready) { renderPlaySetup('Engine not ready yet'); return; }
+        const start = positionAt(ply);
+        if (start.isGameOver()) { renderPlaySetup('The game is already over in this position'); return; }
+        const color = playColor === 'random' ? (Math.random() < 0.5 ? 'w' : 'b') : playColor;
+        const clock = CLOCKS[playClock] || null;
+        const cfg = S.config(playElo, playCombat);
+        const opponent = `Stockfish ${playElo} ${S.label(playElo)}${playCombat ? ' COMBAT' : ''}`;
+
+        game = Pgn.newGame(start.fen(), {
+            Event: 'Titan vs computer',
+            Site: 'Titan analysis board',
+            Date: new Date().toISOString().slice(0, 10).replace(/-/g, '.'),
+            White: color === 'w' ? 'You' : opponent,
+            Black: color === 'w' ? opponent : 'You',
+            TimeControl: clock ? `${clock.base / 1000}+${clock.inc / 1000}` : '-'
+        });
+        ply = 0;
+        dropReview();
+        match = {
+            color, cfg, opponent, clock,
+            pos: replayMatch(),
+            left: { w: clock ? clock.base : 0, b: clock ? clock.base : 0 },
+            since: Date.now(), timer: null, result: null,
+            thinking: false, reply: 0, score: null, drawOffered: false,
+            orientation: view.getOrientation()
+        };
+
+        engine.stop();
+        engine.setElo(playElo, playCombat);
+        // a second line to "miss" into, see engineMove()
+        engine.setMultiPv(cfg.errorRate ? 2 : 1);
+        view.setOrientation(color === 'w' ? 'white' : 'black');
+        $('matchOpponent').textContent = opponent;
+        $('matchClocks').style.display = clock ? '' : 'none';
+        $('matchSave').classList.add('disabled');
+        document.body.classList.add('match-mode');
+        if (clock) match.timer = setInterval(tickClock, CLOCK_TICK_MS);
+        refresh();
+        matchTurn();
+    }
+
+    // whose move it is, or the end of the game
+    function matchTurn() {
+        const m = match;
+        const pos = m.pos;
+        if (pos.isGameOver()) {
+            const result = pos.result();
+            if (pos.isCheckmate()) endMatch(result, 'checkmate');
+            else if (pos.isStalemate()) endMatch(result, 'stalemate');
+            else if (pos.isInsufficientMaterial()) endMatch(result, 'insufficient material');
+            else if (pos.isThreefoldRepetition()) endMatch(result, 'threefold repetition');
+            else endMatch(result, 'fifty-move rule');
+            return;
+        }
+        m.since = Date.now();
+        renderClocks();
+        if (pos.turn === m.color) {
+            view.setInteractive(true);
+            matchStatus(pos.inCheck(pos.turn) ? 'Your move — check' : 'Your move');
+        } else {
+            engineMove(pos);
+        }
+    }
+
+    function matchStatus(html) {
+        $('matchStatus').innerHTML = html;
+    }
+
+    // charge the running turn to `color`, plus the increment when
+    // the turn ended with a move
+    function chargeClock(m, color, moved) {
+        if (!m.clock) return;
+        m.left[color] -= Date.now() - m.since;
+        if (moved) m.left[color] += m.clock.inc;
+        m.since = Date.now();
+    }
+
+    // `pos` is match.pos; makeNode() plays the move onto it
+    function appendMatchMove(pos, uci) {
+        const color = pos.turn;
+        chargeClock(match, color, true);
+        game.moves.push(Pgn.makeNode(pos, pos.moveFromUci(uci)));
+        ply = game.moves.length;
+        refresh();
+        matchTurn();
+    }
+
+    // think time: the level's own cap, and with a clock about a
+    // thirtieth of what's left plus most of the increment
+    function thinkTime(m) {
+        if (!m.clock) return m.cfg.movetime;
+        const left = timeLeft(m, m.color === 'w' ? 'b' : 'w');
+        const budget = Math.max(MIN_THINK_MS, left / 30 + m.clock.inc * 0.8);
+        return Math.round(Math.min(m.cfg.movetime || budget, budget));
+    }
+
+    // the engine's reply at the chosen level. errorRate is the
+    // chance it plays its second-best line instead — the
+    // "human" misses the level table describes.
+    //
+    // `thinking` stays set until the reply is on the board, and
+    // each reply has its own number: a takeback (or a new reply)
+    // while the move waits out ENGINE_MIN_MS drops it.
+    function engineMove(pos) {
+        const m = match;
+        const reply = ++m.reply;
+        const current = () => match === m && m.reply === reply && m.thinking && !m.result;
+        m.thinking = true;
+        view.setInteractive(false);
+        matchStatus('Stockfish is thinking…');
+        const startedAt = Date.now();
+        engine.analyze(pos.fen(), { depth: m.cfg.depth, movetime: thinkTime(m) }).then(res => {
+            if (!current() || !res.bestmove) return;
+            const lines = Mpv.ordered(res.lines);
+            if (lines[0]) m.score = lines[0].score;
+            let uci = res.bestmove;
+            if (lines[1] && lines[1].pv.length && Math.random() < m.cfg.errorRate) uci = lines[1].pv[0];
+            if (!pos.moveFromUci(uci)) uci = res.bestmove;
+            // don't snap back instantly — a reply needs a moment to be seen
+            setTimeout(() => {
+                if (!current()) return;
+                m.thinking = false;
+                const now = m.pos;
+                if (now.moveFromUci(uci)) appendMatchMove(now, uci);
+                else matchTurn();
+            }, Math.max(0, ENGINE_MIN_MS - (Date.now() - startedAt)));
+        }).catch(Uci.quiet);
+    }
+
+    function matchMove(uci) {
+        const m = match;
+        if (m.result || m.thinking) return;
+        const pos = m.pos;
+        if (pos.turn !== m.color || !pos.moveFromUci(uci)) return;
+        m.drawOffered = false;
+        appendMatchMove(pos, uci);
+    }
+
+    // back to before our last move (the engine's reply goes too).
+    // the clocks keep running as they were.
+    function takeback() {
+        const m = match;
+        if (m.result) return;
+        let last = -1;
+        game.moves.forEach((node, i) => { if (node.color === m.color) last = i; });
+        if (last < 0) return;
+        if (m.thinking) { engine.stop(); m.thinking = false; }
+        chargeClock(m, m.pos.turn, false);
+        game.moves = game.moves.slice(0, last);
+        m.pos = replayMatch();
+        ply = game.moves.length;
+        m.drawOffered = false;
+        refresh();
+        matchTurn();
+    }
+
+    // the engine takes a draw when it thinks it's worse, or when
+    // the position is dead level late in the game. one offer per
+    // move.
+    function offerDraw() {
+        const m = match;
+        if (m.result || m.thinking || m.drawOffered) return;
+        m.drawOffered = true;
+        const cp = m.score ? Score.toCp(m.score) : null;
+        const pos = m.pos;
+        const accept = cp !== null &&
+            (cp <= DRAW_ACCEPT_CP || (Math.abs(cp) <= DRAW_LEVEL_CP && pos.fullmove >= DRAW_LEVEL_MOVE));
+        if (accept) endMatch('1/2-1/2', 'draw agreed');
+        else matchStatus('Draw offer declined — your move');
+    }
+
+    function resign() {
+        if (match.result) return;
+        endMatch(match.color === 'w' ? '0-1' : '1-0', `${match.color === 'w' ? 'White' : 'Black'} resigned`);
+    }
+
+    function tickClock() {
+        const m = match;
+        if (!m || m.result) return;
+        const turn = m.pos.turn;
+        if (timeLeft(m, turn) <= 0) {
+            m.left[turn] = 0;
+            endMatch(turn === 'w' ? '0-1' : '1-0', `${turn === 'w' ? 'White' : 'Black'} lost on time`);
+            return;
+        }
+        renderClocks();
+    }
+
+    function formatClock(ms) {
+        const t = Math.max(0, ms);
+        const min = Math.floor(t / 60000), sec = Math.floor(t / 1000) % 60;
+        if (t < 10000) return `${sec}.${Math.floor(t / 100) % 10}`;
+        return `${min}:${String(sec).padStart(2, '0')}`;
+    }
+
+    function renderClocks() {
+        const m = match;
+        if (!m.clock) return;
+        const turn = m.pos.turn;
+        const them = m.color === 'w' ? 'b' : 'w';
+        [['clockEngine', them, 'STOCKFISH'], ['clockYou', m.color, 'YOU']].forEach(([id, color, name]) => {
+            const left = timeLeft(m, color);
+            const el = $(id);
+            el.innerHTML = `<span>${name}</span>${formatClock(left)}`;
+            el.classList.toggle('running', !m.result && turn === color);
+            el.classList.toggle('low', left < LOW_TIME_MS);
+        });
+    }
+
+    function endMatch(result, reason) {
+        const m = match;
+        if (m.thinking) { engine.stop(); m.thinking = false; }
+        if (!reason.endsWith('on time')) chargeClock(m, m.pos.turn, false);
+        m.result = result;
+        clearInterval(m.timer);
+        game.result = result;
+        game.tags.Termination = reason.endsWith('on time') ? 'time forfeit' : 'normal';
+        Eco.tag(game);
+        view.setInteractive(false);
+        renderClocks();
+        const won = (result === '1-0' && m.color === 'w') || (result === '0-1' && m.color === 'b');
+        const text = result === '1/2-1/2' ? 'Draw' : won ? 'You won' : 'Stockfish won';
+        matchStatus(`<span class="${result === '1/2-1/2' ? '' : won ? 'right' : 'wrong'}">${text} (${result})</span> — ${reason}.`);
+        $('matchSave').classList.remove('disabled');
+        saveToLibrary({ source: 'play', userColor: m.color });
+    }
+
+    function saveMatch() {
+        if (!match.result) return;
+        const date = (game.tags.Date || '').replace(/\./g, '-');
+        downloadPgn(`titan-vs-stockfish-${date}.pgn`, Pgn.write(game));
+    }
+
+    // back to analysis, with the game on the board
+    function exitMatch() {
+        const m = match;
+        if (!m) return;
+        if (m.thinking) engine.stop();
+        clearInterval(m.timer);
+        view.setOrientation(m.orientation);
+        view.setInteractive(true);
+        match = null;
+        engine.setFullStrength();
+        engine.setMultiPv(multiPv);
+        document.body.classList.remove('match-mode');
+        refresh();
+    }
+
+    document.querySelectorAll('[data-play-step]').forEach(btn => {
+        btn.addEventListener('click', () => setPlayOption({ step: parseInt(btn.dataset.playStep, 10) }));
+    });
+    document.querySelectorAll('[data-play-color]').forEach(btn => {
+        btn.addEventListener('click', () => setPlayOption({ color: btn.dataset.playColor }));
+    });
+    document.querySelectorAll('[data-play-clock]').forEach(btn => {
+        btn.addEventListener('click', () => setPlayOption({ clock: btn.dataset.playClock }));
+    });
+    $('playCombat').addEventListener('click', () => setPlayOption({ combat: !playCombat }));
+    $('playStartBtn').addEventListener('click', startMatch);
+    $('matchTakeback').addEventListener('click', takeback);
+    $('matchDraw').addEventListener('click', offerDraw);
+    $('matchResign').addEventListener('click', resign);
+    $('matchSave').addEventListener('click', saveMatch);
+    $('matchExit').addEventListener('click', exitMatch);
+
+    // ---------- wiring ----------
+
+    document.querySelectorAll('.nav-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const nav = btn.dataset.nav;
+            if (nav === 'first') goTo(0);
+            else if (nav === 'prev') goTo(ply - 1);
+            else if (nav === 'next') goTo(ply + 1);
+            else if (nav === 'last') goTo(game.moves.length);
+            else if (nav === 'flip') flipBoard();
+        });
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (setup || session || match || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        if (e.key === 'ArrowLeft') goTo(ply - 1);
+        else if (e.key === 'ArrowRight') goTo(ply + 1);
+        else if (e.key === 'Home') goTo(0);
+        else if (e.key === 'End') goTo(game.moves.length);
+        else if (e.key === 'f' || e.key === 'F') flipBoard();
+        else return;
+        e.preventDefault();
+    });
+
+    $('moveList').addEventListener('click', (e) => {
+        const cell = e.target.closest('.move-cell[data-ply]');
+        if (cell) goTo(parseInt(cell.dataset.ply, 10));
+    });
+
+    $('pvLines').addEventListener('click', (e) => {
+        const row = e.target.closest('.pv-line[data-move]');
+        if (row) playMove(row.dataset.move);
+    });
+
+    $('engineToggle').addEventListener('click', () => setEngineOn(!engineOn));
+    $('threatToggle').addEventListener('click', () => setThreatOn(!threatOn));
+
+    document.querySelectorAll('.pv-count-btn').forEach(btn => {
+        btn.addEventListener('click', () => setMultiPv(parseInt(btn.dataset.lines, 10)));
+    });
+
+    $('newGameBtn').addEventListener('click', () => {
+        game = Pgn.newGame(R.START_FEN);
+        ply = 0;
+        dropReview();
+        refresh();
+    });
+
+    // the whole game with [ECO] / [Opening] tags from eco.js
+    $('pgnCopyBtn').addEventListener('click', () => {
+        Eco.tag(game);
+        navigator.clipboard.writeText(Pgn.write(game)).then(() => {
+            $('pgnCopyBtn').textContent = 'COPIED';
+            setTimeout(() => { $('pgnCopyBtn').textContent = 'COPY PGN'; }, 1200);
+        });
+    });
+
+    $('fenField').addEventListener('focus', (e) => { if (!setup) e.target.select(); });
+    $('fenCopyBtn').addEventListener('click', () => {
+        navigator.clipboard.writeText($('fenField').value).then(() => {
+            $('fenCopyBtn').textContent = 'COPIED';
+            setTimeout(() => { $('fenCopyBtn').textContent = 'COPY'; }, 1200);
+        });
+    });
+
+    // ?fen=… opens the board on that position
+    const startFen = new URLSearchParams(location.search).get('fen');
+    if (startFen) {
+        try {
+            game = Pgn.newGame(new R.Position(startFen).fen());
+        } catch (err) {
+            console.warn('[TitanFree] ignoring invalid ?fen=', startFen);
+        }
+    }
+
+    chrome.storage.local.get(['multiPv', 'showThreat', 'repertoireColor', 'playElo', 'playCombat', 'playColor', 'playClock', 'endgameStats'], (result) => {
+        if (result.multiPv) multiPv = result.multiPv;
+        threatOn = !!result.showThreat;
+        $('threatToggle').classList.toggle('active', threatOn);
+        if (result.repertoireColor) repColor = result.repertoireColor;
+        if (result.playElo) playElo = result.playElo;
+        if (result.playCombat) playCombat = result.playCombat;
+        if (result.playColor) playColor = result.playColor;
+        if (result.playClock) playClock = result.playClock;
+        if (result.endgameStats) egStats = result.endgameStats;
+        renderPlaySetup();
+        renderEndgames();
+        document.querySelectorAll('.pv-count-btn').forEach(b => b.classList.toggle('active', parseInt(b.dataset.lines, 10) === multiPv));
+        refresh();
+        startEngine();
+        Rep.load()
+            .then(() => renderRepertoire())
+            .catch(err => { console.error('[TitanFree] repertoire load failed', err); renderRepertoire('Storage unavailable'); });
+        loadPuzzles().catch(err => { console.error('[TitanFree] puzzle load failed', err); renderPuzzles('Storage unavailable'); });
+        loadLibrary().catch(err => { console.error('[TitanFree] library load failed', err); renderLibrary('Storage unavailable'); });
+        // a queue left by an earlier visit carries on
+        Batch.load()
+            .then(() => { renderBatch(); startBatch(); })
+            .catch(err => { console.error('[TitanFree] batch queue load failed', err); renderBatch('Storage unavailable'); });
+    });
+
+    // pick up puzzles and games saved by a review in another tab
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) return;
+        loadPuzzles().catch(() => {});
+        loadLibrary().catch(() => {});
+    });
+})();
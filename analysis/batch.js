@@ -0,0 +1,137 @@
+// ============================================================
+// titan-free :: batch review queue
+// ============================================================
+//
+// reviews every game of a multi-game PGN file, one after the
+// other, and files each one in the game library (TitanLibrary)
+// with its review — the same result as reviewing them one by one.
+//
+// the queue lives in the `queue` store of TitanDb, so it outlives
+// the page: reopen the analysis board and it carries on. each
+// entry also keeps the positions evaluated so far, saved after
+// every position, so an interrupted game picks up where it was
+// (TitanReview.run's `resume`) instead of starting over.
+//
+// === ENTRIES ===
+//
+//   { id,                  // the game's library id
+//     seq,                 // queue order
+//     pgn, white, black, plies,
+//     positions: [...] }   // review positions done so far
+//
+// === RUNNING ===
+//
+// run(evaluate, hooks) works through the queue with the caller's
+// evaluate(fen, limits) — the analysis board gives it an engine
+// object with 'batch' priority, so live analysis comes first. hooks:
+//   onProgress({ index, total, done, plies, entry })
+//   onGame(record)     a game was reviewed and saved
+// it resolves with { reviewed, cancelled } when the queue is
+// empty or cancel() was called, and rejects if evaluate() failed
+// (the entry stays queued for next time).
+//
+// the caller should hold a lock so two pages don't work the same
+// queue (the analysis board uses navigator.locks).
+// ============================================================
+
+(function () {
+    const Pgn = window.TitanPgn;
+    const Rev = window.TitanReview;
+    const Lib = window.TitanLibrary;
+    const Db = window.TitanDb;
+
+    const STORE = 'queue';
+
+    let entries = [];
+    let running = null;
+
+    function load() {
+        return Db.getAll(STORE).then(all => {
+            entries = all.sort((a, b) => a.seq - b.seq);
+            return entries;
+        });
+    }
+
+    function pending() {
+        return entries.slice();
+    }
+
+    function isRunning() {
+        return !!running;
+    }
+
+    // queue every game of `text`. games already queued, or already
+    // reviewed in the library (`reviewed`: a Set of ids), are
+    // skipped. resolves with { added, skipped }.
+    function add(text, reviewed) {
+        const games = Pgn.parse(text).filter(g => g.moves.length);
+        const queued = new Set(entries.map(e => e.id));
+        const now = Date.now();
+        const fresh = [];
+        games.forEach((game, i) => {
+            const record = Lib.fromGame(game, { source: 'import' });
+            if (queued.has(record.id) || reviewed.has(record.id)) return;
+            queued.add(record.id);
+            fresh.push({
+                id: record.id,
+                seq: now + i,
+                pgn: record.pgn,
+                white: record.white,
+                black: record.black,
+                plies: record.plies,
+                positions: []
+            });
+        });
+        if (!fresh.length) return Promise.resolve({ added: 0, skipped: games.length });
+        return Db.putMany(STORE, fresh).then(() => {
+            entries = entries.concat(fresh);
+            return { added: fresh.length, skipped: games.length - fresh.length };
+        });
+    }
+
+    async function run(evaluate, hooks) {
+        if (running) return { reviewed: 0, cancelled: false };
+        const job = running = { cancelled: false, index: 0 };
+        const total = () => job.index + entries.length;
+        try {
+            while (entries.length && !job.cancelled) {
+                const entry = entries[0];
+                const game = Lib.toGame({ pgn: entry.pgn });
+                const review = await Rev.run(game, evaluate, {
+                    resume: entry.positions,
+                    shouldStop: () => job.cancelled,
+                    onProgress: (done, count, positions) => {
+                        if (job.cancelled) return;
+                        entry.positions = positions.slice();
+                        Db.put(STORE, entry).catch(() => {});
+                        hooks.onProgress({ index: job.index, total: total(), done, plies: count - 1, entry });
+                    }
+                });
+                if (review.cancelled) break;
+                const record = Lib.fromGame(game, { source: 'import', review });
+                await Db.put('games', record);
+                await Db.remove(STORE, entry.id);
+                entries.shift();
+                job.index++;
+                hooks.onGame(record);
+            }
+        } catch (err) {
+            // a cancel stops the search under evaluate(), which rejects
+            if (!job.cancelled) throw err;
+        } finally {
+            running = null;
+        }
+        return { reviewed: job.index, cancelled: job.cancelled };
+    }
+
+    // stop the run and empty the queue. the caller stops the
+    // engine, so the position being searched doesn't finish first.
+    function cancel() {
+        if (running) running.cancelled = true;
+        const ids = entries.map(e => e.id);
+        entries = [];
+        return Db.removeMany(STORE, ids);
+    }
+
+    window.TitanBatch = { load, pending, isRunning, add, run, cancel };
+})();
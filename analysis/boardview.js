@@ -0,0 +1,382 @@
+// ============================================================
+// titan-free :: board view for extension pages
+// ============================================================
+//
+// the content scripts never draw a board of their own — they
+// decorate chess.com's. extension pages (the analysis board and
+// anything built on it) have no chess.com DOM to scrape, so they
+// render this one instead.
+//
+// create(container, options) builds the board inside `container`
+// and returns a view:
+//
+//   view.setPosition(pos, lastMove)   show a TitanRules.Position
+//                                     (copied, the view never
+//                                     mutates it); lastMove is the
+//                                     uci of the move that led here
+//   view.setOrientation('white'|'black'), view.flip()
+//   view.setArrows([{ move, color, rank, scale, opacity, dashed }])
+//                                     same shape as T.arrows in
+//                                     drawing.js / multipv.js
+//   view.setShapes([shape])           the user's drawings (see
+//                                     shapes.js); setPosition()
+//                                     clears them
+//   view.setInteractive(bool)         allow moving pieces or not
+//   view.setEditing(onSquare)         setup mode: every press on a
+//                                     square calls onSquare(sq)
+//                                     instead of moving pieces.
+//                                     pass null to leave it, then
+//                                     setPosition(). the position
+//                                     may be illegal (no kings, …)
+//                                     while editing.
+//
+// options:
+//   orientation   initial orientation (default 'white')
+//   arrowColor    color for arrows without their own (default cyan)
+//   onMove(uci)   called with a legal move the user made. the view
+//                 does NOT play it — the page decides and calls
+//                 setPosition() with the result.
+//   onShape(shape) called with an arrow or circle the user drew.
+//                 like onMove, the page decides what's on the
+//                 board (TitanShapes.toggle) and calls setShapes().
+//                 without it the board takes no drawings.
+//
+// === INPUT ===
+//
+// pointer events cover mouse, pen and touch with one code path:
+//   - click a piece, then click a highlighted square
+//   - or drag the piece onto the square
+// only pieces of the side to move can be picked up, and only
+// legal destinations are accepted. pawn moves to the last rank
+// open a small chooser for the promotion piece.
+//
+// the right button draws: drag to another square for an arrow,
+// release on the same square for a circle, with the modifier keys
+// choosing the color (TitanShapes.colorFor). the shape follows the
+// pointer until it's released. setup mode takes no drawings.
+//
+// === SQUARES ===
+//
+// squares use the rules.js numbering (0 = a8 … 63 = h1). the
+// view lays out 64 cells in screen order and maps each one to a
+// board index through the orientation, so flipping is just a
+// re-render.
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Shapes = window.TitanShapes;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // filled glyphs for both colors (css colors them); the FE0E
+    // selector stops platforms from drawing them as emoji
+    const GLYPHS = { k: '♚︎', q: '♛︎', r: '♜︎', b: '♝︎', n: '♞︎', p: '♟︎' };
+    const PROMOTIONS = ['q', 'r', 'b', 'n'];
+
+    // arrowhead marker ids must be unique per page, not per view
+    let viewSeq = 0;
+
+    function isWhite(piece) {
+        return piece === piece.toUpperCase();
+    }
+
+    function create(container, options) {
+        const opts = options || {};
+        const viewId = ++viewSeq;
+        let orientation = opts.orientation || 'white';
+        let pos = new R.Position();
+        let legal = pos.moves();
+        let lastMove = null;
+        let arrows = [];
+        let interactive = true;
+        let selected = -1;
+        let drag = null;        // { from, ghost, moved }
+        let shapes = [];
+        let drawing = null;     // right-drag: { from, to, color }
+        let onEdit = null;      // setup-mode square handler
+
+        const root = document.createElement('div');
+        root.className = 'tb-board';
+        const grid = document.createElement('div');
+        grid.className = 'tb-grid';
+        const cells = [];
+        for (let i = 0; i < 64; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'tb-square';
+            grid.appendChild(cell);
+            cells.push(cell);
+        }
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'tb-arrows');
+        svg.setAttribute('viewBox', '0 0 800 800');
+        const promo = document.createElement('div');
+        promo.className = 'tb-promo';
+        promo.style.display = 'none';
+        root.appendChild(grid);
+        root.appendChild(svg);
+        root.appendChild(promo);
+        container.appendChild(root);
+
+        // keep the glyphs sized to the squares
+        const sizeObserver = new ResizeObserver(() => {
+            root.style.setProperty('--tb-square', (root.clientWidth / 8) + 'px');
+        });
+        sizeObserver.observe(root);
+
+        // screen cell (0 = top-left) ↔ board index
+        function cellToSq(i) {
+            return orientation === 'white' ? i : 63 - i;
+        }
+
+        function sqToXY(sq) {
+            const i = orientation === 'white' ? sq : 63 - sq;
+            return { x: (i & 7) * 100 + 50, y: (i >> 3) * 100 + 50 };
+        }
+
+        function targetsOf(sq) {
+            return legal.filter(m => m.from === sq).map(m => m.to);
+        }
+
+        function render() {
+            const targets = selected >= 0 ? targetsOf(selected) : [];
+            const last = lastMove ? [R.sqIndex(lastMove.slice(0, 2)), R.sqIndex(lastMove.slice(2, 4))] : [];
+            const checked = pos.inCheck(pos.turn) ? pos.kings[pos.turn] : -1;
+            cells.forEach((cell, i) => {
+                const sq = cellToSq(i);
+                const piece = pos.get(sq);
+                const light = ((sq & 7) + (sq >> 3)) % 2 === 0;
+                let cls = 'tb-square ' + (light ? 'light' : 'dark');
+                if (last.includes(sq)) cls += ' last';
+                if (sq === selected) cls += ' selected';
+                if (targets.includes(sq)) cls += piece ? ' capture' : ' target';
+                if (sq === checked) cls += ' check';
+                cell.className = cls;
+                cell.dataset.sq = sq;
+
+                let html = '';
+                if (piece) {
+                    const dragging = drag && drag.moved && drag.from === sq;
+                    html += `<span class="tb-piece ${isWhite(piece) ? 'white' : 'black'}${dragging ? ' dragging' : ''}">${GLYPHS[piece.toLowerCase()]}</span>`;
+                }
+                // coordinates along the bottom and left edges
+                if (i >= 56) html += `<span class="tb-coord file">${R.sqName(sq)[0]}</span>`;
+                if ((i & 7) === 0) html += `<span class="tb-coord rank">${R.sqName(sq)[1]}</span>`;
+                cell.innerHTML = html;
+            });
+            renderArrows();
+        }
+
+        function renderArrows() {
+            svg.innerHTML = '';
+            arrows.forEach((a, n) => {
+                if (!a || !a.move || a.move.length < 4) return;
+                const from = R.sqIndex(a.move.slice(0, 2)), to = R.sqIndex(a.move.slice(2, 4));
+                if (from < 0 || to < 0) return;
+                const f = sqToXY(from), t = sqToXY(to);
+                const color = a.color || opts.arrowColor || '#00f2ff';
+                const scale = a.scale || 1, opacity = a.opacity || 0.9;
+                const dash = a.dashed ? ' stroke-dasharray="24 36"' : '';
+                const id = `tb-head-${viewId}-${n}`;
+                svg.insertAdjacentHTML('beforeend',
+                    `<defs><marker id="${id}" markerWidth="4" markerHeight="4" refX="2.5" refY="2" orient="auto">` +
+                    `<polygon points="0 0, 4 2, 0 4" fill="${color}"></polygon></marker></defs>` +
+                    `<line x1="${f.x}" y1="${f.y}" x2="${t.x}" y2="${t.y}" stroke="${color}" stroke-width="${18 * scale}" ` +
+                    `stroke-opacity="${opacity}" stroke-linecap="round"${dash} marker-end="url(#${id})"></line>`);
+                if (a.rank) {
+                    svg.insertAdjacentHTML('beforeend',
+                        `<circle cx="${t.x + 30}" cy="${t.y - 30}" r="16" fill="${color}" stroke="#000" stroke-width="2"></circle>` +
+                        `<text x="${t.x + 30}" y="${t.y - 30}" text-anchor="middle" dominant-baseline="central" ` +
+                        `font-size="20" font-weight="700" font-family="sans-serif" fill="#000">${a.rank}</text>`);
+                }
+            });
+            const shown = drawing ? shapes.concat(drawingShape()) : shapes;
+            shown.forEach((s, n) => renderShape(s, n, drawing && n === shown.length - 1));
+        }
+
+        // the user's arrows sit above the engine's, thinner and
+        // without a badge; circles ring the square
+        function renderShape(s, n, preview) {
+            const color = Shapes.COLORS[s.color] || Shapes.COLORS.G;
+            const opacity = preview ? 0.5 : 0.8;
+            const f = sqToXY(R.sqIndex(s.from));
+            if (!s.to) {
+                svg.insertAdjacentHTML('beforeend',
+                    `<circle cx="${f.x}" cy="${f.y}" r="45" fill="none" stroke="${color}" stroke-width="7" stroke-opacity="${opacity}"></circle>`);
+                return;
+            }
+            const t = sqToXY(R.sqIndex(s.to));
+            const id = `tb-shape-${viewId}-${n}`;
+            svg.insertAdjacentHTML('beforeend',
+                `<defs><marker id="${id}" markerWidth="4" markerHeight="4" refX="2.5" refY="2" orient="auto">` +
+                `<polygon points="0 0, 4 2, 0 4" fill="${color}" fill-opacity="${opacity}"></polygon></marker></defs>` +
+                `<line x1="${f.x}" y1="${f.y}" x2="${t.x}" y2="${t.y}" stroke="${color}" stroke-width="15" ` +
+                `stroke-opacity="${opacity}" stroke-linecap="round" marker-end="url(#${id})"></line>`);
+        }
+
+        // the shape being drawn, as it would be if released now
+        function drawingShape() {
+            const to = drawing.to < 0 || drawing.to === drawing.from ? null : R.sqName(drawing.to);
+            return { color: drawing.color, from: R.sqName(drawing.from), to };
+        }
+
+        // board index under a viewport point, or -1
+        function sqAt(x, y) {
+            const rect = grid.getBoundingClientRect();
+            const col = Math.floor((x - rect.left) / (rect.width / 8));
+            const row = Math.floor((y - rect.top) / (rect.height / 8));
+            if (col < 0 || col > 7 || row < 0 || row > 7) return -1;
+            return cellToSq(row * 8 + col);
+        }
+
+        function canPickUp(sq) {
+            const piece = pos.get(sq);
+            return interactive && !!piece && (isWhite(piece) ? 'w' : 'b') === pos.turn && targetsOf(sq).length > 0;
+        }
+
+        // a from→to the user asked for: play it, ask for a
+        // promotion piece, or drop the selection if it's illegal
+        function tryMove(from, to) {
+            const candidates = legal.filter(m => m.from === from && m.to === to);
+            selected = -1;
+            if (!candidates.length) { render(); return; }
+            if (candidates.length > 1) { askPromotion(candidates[0]); return; }
+            render();
+            if (opts.onMove) opts.onMove(R.moveToUci(candidates[0]));
+        }
+
+        function askPromotion(move) {
+            const white = isWhite(move.piece);
+            promo.innerHTML = PROMOTIONS.map(p =>
+                `<div class="tb-promo-option" data-piece="${p}"><span class="tb-piece ${white ? 'white' : 'black'}">${GLYPHS[p]}</span></div>`
+            ).join('') + '<div class="tb-promo-cancel" data-piece="">✕</div>';
+            promo.style.display = 'flex';
+            promo.onclick = (e) => {
+                const option = e.target.closest('[data-piece]');
+                if (!option) return;
+                promo.style.display = 'none';
+                render();
+                if (option.dataset.piece && opts.onMove) opts.onMove(R.sqName(move.from) + R.sqName(move.to) + option.dataset.piece);
+            };
+            render();
+        }
+
+        grid.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        grid.addEventListener('pointerdown', (e) => {
+            if (e.button === 2 && opts.onShape && !onEdit) {
+                const sq = sqAt(e.clientX, e.clientY);
+                if (sq < 0) return;
+                drawing = { from: sq, to: sq, color: Shapes.colorFor(e) };
+                grid.setPointerCapture(e.pointerId);
+                renderArrows();
+                e.preventDefault();
+                return;
+            }
+            if (e.button !== 0 || promo.style.display !== 'none') return;
+            const sq = sqAt(e.clientX, e.clientY);
+            if (sq < 0) return;
+            if (onEdit) { onEdit(sq); e.preventDefault(); return; }
+            if (selected >= 0 && sq !== selected && targetsOf(selected).includes(sq)) {
+                tryMove(selected, sq);
+                return;
+            }
+            if (!canPickUp(sq)) {
+                selected = -1;
+                render();
+                return;
+            }
+            selected = sq;
+            const ghost = document.createElement('span');
+            ghost.className = 'tb-piece tb-ghost ' + (isWhite(pos.get(sq)) ? 'white' : 'black');
+            ghost.textContent = GLYPHS[pos.get(sq).toLowerCase()];
+            drag = { from: sq, ghost, moved: false, x: e.clientX, y: e.clientY };
+            grid.setPointerCapture(e.pointerId);
+            render();
+            e.preventDefault();
+        });
+
+        grid.addEventListener('pointermove', (e) => {
+            if (drawing) {
+                const to = sqAt(e.clientX, e.clientY);
+                if (to !== drawing.to) { drawing.to = to; renderArrows(); }
+                return;
+            }
+            if (!drag) return;
+            // a few pixels of slack so a click doesn't turn into a drag
+            if (!drag.moved && Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) < 4) return;
+            if (!drag.moved) {
+                drag.moved = true;
+                root.appendChild(drag.ghost);
+                render();
+            }
+            const rect = root.getBoundingClientRect();
+            drag.ghost.style.left = (e.clientX - rect.left) + 'px';
+            drag.ghost.style.top = (e.clientY - rect.top) + 'px';
+        });
+
+        function endDrag(e, cancelled) {
+            if (!drag) return;
+            const d = drag;
+            drag = null;
+            if (d.ghost.parentNode) d.ghost.remove();
+            if (!d.moved) return;     // plain click: keep the selection
+            const to = cancelled ? -1 : sqAt(e.clientX, e.clientY);
+            if (to >= 0 && to !== d.from) tryMove(d.from, to);
+            else render();
+        }
+        // off the board drops the drawing
+        function endDrawing(cancelled) {
+            const shape = drawingShape();
+            const off = cancelled || drawing.to < 0;
+            drawing = null;
+            renderArrows();
+            if (!off) opts.onShape(shape);
+        }
+
+        grid.addEventListener('pointerup', (e) => {
+            if (drawing) endDrawing(e.button !== 2);
+            else endDrag(e, false);
+        });
+        grid.addEventListener('pointercancel', (e) => {
+            if (drawing) endDrawing(true);
+            else endDrag(e, true);
+        });
+
+        function setPosition(next, move) {
+            pos = next.clone();
+            legal = onEdit ? [] : pos.moves();
+            lastMove = move || null;
+            selected = -1;
+            shapes = [];
+            promo.style.display = 'none';
+            render();
+        }
+
+        function setOrientation(o) {
+            orientation = o === 'black' ? 'black' : 'white';
+            render();
+        }
+
+        render();
+
+        return {
+            setPosition,
+            setOrientation,
+            flip: () => setOrientation(orientation === 'white' ? 'black' : 'white'),
+            getOrientation: () => orientation,
+            setArrows: (list) => { arrows = list || []; renderArrows(); },
+            setShapes: (list) => { shapes = list || []; renderArrows(); },
+            setInteractive: (on) => { interactive = !!on; selected = -1; render(); },
+            setEditing: (handler) => {
+                // the edited position may not be legal — moves come
+                // back with the next setPosition()
+                onEdit = handler || null;
+                selected = -1;
+                legal = [];
+                render();
+            }
+        };
+    }
+
+    window.TitanBoardView = { create };
+})();
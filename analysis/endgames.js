@@ -0,0 +1,135 @@
+// ============================================================
+// titan-free :: endgame technique library
+// ============================================================
+//
+// classic endgame positions to play out against the engine on the
+// analysis board: basic mates, the Lucena and Philidor rook
+// endings, and key pawn endings.
+//
+// === ENTRIES ===
+//
+//   { id, name, group, fen,
+//     side: 'w'|'b',     // the side we play
+//     goal,              // 'mate' | 'promote' | 'draw'
+//     moves,             // move limit, counted in our moves
+//     hint }
+//
+//   mate      checkmate within the limit
+//   promote   convert: be a queen up at our turn within the limit
+//             (after promoting, the reply didn't win it back)
+//   draw      hold: reach the limit without being mated or the
+//             other side getting a queen up; a draw by rule
+//             (stalemate, repetition, fifty moves, no material)
+//             counts as held straight away
+//
+// judge() decides after every move. to add a position, append
+// an entry — the panel lists them in order, by group. a start
+// TitanBitbase covers has to probe to its goal: won for the side
+// we play (mating within the limit) for mate / promote, drawn
+// for draw.
+//
+// pure — the page owns the engine and the board.
+// ============================================================
+
+(function () {
+    const ENDGAMES = [
+        {
+            id: 'kqk', name: 'K+Q vs K', group: 'Basic mates',
+            fen: '8/8/8/4k3/8/8/8/3QK3 w - - 0 1', side: 'w', goal: 'mate', moves: 10,
+            hint: 'Box the king in with the queen a knight\'s move away, bring your king up — and watch for stalemate.'
+        },
+        {
+            id: 'krk', name: 'K+R vs K', group: 'Basic mates',
+            fen: '8/8/8/4k3/8/8/8/R3K3 w - - 0 1', side: 'w', goal: 'mate', moves: 16,
+            hint: 'Cut the king off with the rook and shrink its box; use the opposition to push it to the edge.'
+        },
+        {
+            id: 'kbnk', name: 'Bishop + knight mate', group: 'Basic mates',
+            fen: '8/8/8/4k3/8/8/8/2B1KN2 w - - 0 1', side: 'w', goal: 'mate', moves: 35,
+            hint: 'Drive the king to a corner of the bishop\'s color, then walk it along the edge with the knight\'s W manoeuvre.'
+        },
+        {
+            id: 'lucena', name: 'Lucena position', group: 'Rook endings',
+            fen: '1K1k4/1P6/8/8/8/8/r7/2R5 w - - 0 1', side: 'w', goal: 'promote', moves: 15,
+            hint: 'Build a bridge: rook to the fourth rank, then bring the king out and shelter it from the checks.'
+        },
+        {
+            id: 'philidor', name: 'Philidor position', group: 'Rook endings',
+            fen: '4k3/R7/7r/3KP3/8/8/8/8 b - - 0 1', side: 'b', goal: 'draw', moves: 20,
+            hint: 'Keep the rook on your third rank until the pawn steps forward, then check from behind.'
+        },
+        {
+            id: 'opposition', name: 'King in front of the pawn', group: 'Pawn endings',
+            fen: '4k3/8/4K3/4P3/8/8/8/8 w - - 0 1', side: 'w', goal: 'promote', moves: 10,
+            hint: 'A king on the sixth in front of its pawn wins — take the opposition and don\'t stalemate.'
+        },
+        {
+            id: 'kpk-hold', name: 'Holding K+P vs K', group: 'Pawn endings',
+            fen: '8/8/8/8/4k3/8/4P3/4K3 w - - 0 1', side: 'b', goal: 'draw', moves: 20,
+            hint: 'Stay in front of the pawn and take the opposition; when it reaches your second rank, step straight back.'
+        },
+        {
+            id: 'breakthrough', name: 'Pawn breakthrough', group: 'Pawn endings',
+            fen: '7k/ppp5/8/PPP5/8/8/8/6K1 w - - 0 1', side: 'w', goal: 'promote', moves: 6,
+            hint: 'Three against three on the fifth rank: one pawn sacrifice, then another, and the third runs through.'
+        }
+    ];
+
+    function get(id) {
+        return ENDGAMES.find(e => e.id === id) || null;
+    }
+
+    // the task in words, e.g. 'White to play and mate within 10 moves'
+    function task(entry) {
+        const side = entry.side === 'w' ? 'White' : 'Black';
+        if (entry.goal === 'mate') return `${side} mates within ${entry.moves} moves`;
+        if (entry.goal === 'promote') return `${side} wins — promote and stay a queen up within ${entry.moves} moves`;
+        return `${side} holds the draw for ${entry.moves} moves`;
+    }
+
+    function queens(pos, color) {
+        const q = color === 'w' ? 'Q' : 'q';
+        let n = 0;
+        for (let sq = 0; sq < 64; sq++) if (pos.get(sq) === q) n++;
+        return n;
+    }
+
+    function drawReason(pos) {
+        if (pos.isStalemate()) return 'stalemate';
+        if (pos.isInsufficientMaterial()) return 'insufficient material';
+        if (pos.isThreefoldRepetition()) return 'threefold repetition';
+        return 'fifty-move rule';
+    }
+
+    // the verdict after a move: null while the drill goes on, else
+    // { success, reason }. `pos` must carry the game's history (for
+    // repetitions); `moves` is how many moves we've made.
+    function judge(entry, pos, moves) {
+        const us = entry.side;
+        const them = us === 'w' ? 'b' : 'w';
+        const holding = entry.goal === 'draw';
+
+        if (pos.isCheckmate()) {
+            return pos.turn === them
+                ? { success: !holding, reason: 'checkmate' }
+                : { success: false, reason: 'you were checkmated' };
+        }
+        if (pos.isDraw()) return { success: holding, reason: drawReason(pos) };
+        if (pos.turn !== us) return null;
+
+        if (entry.goal === 'promote' && queens(pos, us) > queens(pos, them)) {
+            return { success: true, reason: 'promoted and a queen up' };
+        }
+        if (holding && queens(pos, them) > queens(pos, us)) {
+            return { success: false, reason: 'the pawn queened' };
+        }
+        if (moves >= entry.moves) {
+            return holding
+                ? { success: true, reason: `held for ${entry.moves} moves` }
+                : { success: false, reason: `not done within ${entry.moves} moves` };
+        }
+        return null;
+    }
+
+    window.TitanEndgames = { ENDGAMES, get, task, judge };
+})();
@@ -0,0 +1,252 @@
+// ============================================================
+// titan-free :: opening repertoire + drill scheduling
+// ============================================================
+//
+// the lines we actually want to play, one repertoire for white
+// and one for black, kept in the `repertoire` store of TitanDb
+// (background/db.js).
+//
+// === RECORDS ===
+//
+// one record per move, keyed by the position it's played from:
+//
+//   { id: 'w|<key>|g1f3', color: 'w', key, fen, uci, san,
+//     mine,                    // true if the repertoire side plays it
+//     added,                   // ms timestamp
+//     due, interval, ease, reps, lapses }   // drill schedule
+//
+// `key` is Position.key() (no move counters), so the repertoire
+// is a graph of positions, not of move orders: a line added via
+// a transposition joins the existing one. moves by the other side
+// are the branches we prepare against; only `mine` moves are
+// drilled.
+//
+// every line starts from the initial position. removing a move
+// also removes whatever can no longer be reached from there.
+//
+// === DRILL SCHEDULE ===
+//
+// each `mine` move is a TitanSrs card (content/srs.js): due right
+// away when added, then spaced out as long as it's answered right.
+//
+// load() must resolve before the synchronous getters are used;
+// everything that writes keeps the in-memory copy and the
+// database in step.
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Pgn = window.TitanPgn;
+    const Db = window.TitanDb;
+    const Srs = window.TitanSrs;
+
+    const STORE = 'repertoire';
+
+    let records = [];
+
+    function load() {
+        return Db.getAll(STORE).then(all => {
+            records = all.sort((a, b) => a.added - b.added);
+            return records;
+        });
+    }
+
+    function all(color) {
+        return records.filter(r => r.color === color);
+    }
+
+    // repertoire moves from a position, oldest first
+    function movesAt(color, fen) {
+        let key;
+        try { key = new R.Position(fen).key(); } catch (e) { return []; }
+        return records.filter(r => r.color === color && r.key === key);
+    }
+
+    function counts(color, now) {
+        const t = now || Date.now();
+        const mine = all(color).filter(r => r.mine);
+        return { moves: all(color).length, cards: mine.length, due: mine.filter(r => r.due <= t).length };
+    }
+
+    // record for `move` played in `pos` (before the move). `added`
+    // may be a little after `now` to keep a batch in order.
+    function makeRecord(color, pos, move, now, added) {
+        const uci = R.moveToUci(move);
+        const key = pos.key();
+        return Object.assign({
+            id: `${color}|${key}|${uci}`,
+            color, key,
+            fen: pos.fen(),
+            uci,
+            san: Pgn.moveToSan(pos, move),
+            mine: pos.turn === color,
+            added
+        }, Srs.newCard(now));
+    }
+
+    // collects new records for a batch of moves, skipping ones the
+    // repertoire (or the batch) already has — existing moves keep
+    // their drill schedule
+    function collector(color) {
+        const known = new Set(records.map(r => r.id));
+        const out = [];
+        const now = Date.now();
+        return {
+            add(pos, move) {
+                const rec = makeRecord(color, pos, move, now, now + out.length);
+                if (known.has(rec.id)) return;
+                known.add(rec.id);
+                out.push(rec);
+            },
+            save() {
+                if (!out.length) return Promise.resolve(0);
+                return Db.putMany(STORE, out).then(() => {
+                    records = records.concat(out);
+                    return out.length;
+                });
+            }
+        };
+    }
+
+    // add a line of UCI moves from the initial position.
+    // resolves with the number of new moves.
+    function addLine(color, ucis) {
+        const batch = collector(color);
+        const pos = new R.Position();
+        for (const uci of ucis) {
+            const move = pos.moveFromUci(uci);
+            if (!move) break;
+            batch.add(pos, move);
+            pos.makeMove(move);
+        }
+        return batch.save();
+    }
+
+    // add every line (main line and variations) of every game in a
+    // PGN. games that don't start from the initial position are
+    // skipped. resolves with { games, skipped, added }.
+    function importPgn(color, text) {
+        const games = Pgn.parse(text);
+        const batch = collector(color);
+        let skipped = 0;
+
+        function walk(pos, line) {
+            for (const node of line) {
+                // a variation replaces this node, so it starts here
+                node.variations.forEach(v => walk(pos.clone(), v));
+                const move = pos.moveFromUci(node.uci);
+                if (!move) return;
+                batch.add(pos, move);
+                pos.makeMove(move);
+            }
+        }
+
+        games.forEach(game => {
+            if (new R.Position(game.startFen).key() !== new R.Position().key()) { skipped++; return; }
+            walk(new R.Position(), game.moves);
+        });
+        return batch.save().then(added => ({ games: games.length - skipped, skipped, added }));
+    }
+
+    // the whole repertoire as one PGN game: the first move added at
+    // each position is the main line, the others are variations. a
+    // position reached again by transposition is written only once.
+    function exportPgn(color) {
+        const expanded = new Set();
+
+        function lineFrom(pos, rec) {
+            const after = pos.clone();
+            const move = after.moveFromUci(rec.uci);
+            if (!move) return [];
+            const node = Pgn.makeNode(after, move);
+            return [node].concat(continuation(after));
+        }
+
+        function continuation(pos) {
+            const key = pos.key();
+            if (expanded.has(key)) return [];
+            expanded.add(key);
+            const recs = records.filter(r => r.color === color && r.key === key);
+            if (!recs.length) return [];
+            const line = lineFrom(pos, recs[0]);
+            if (line.length) line[0].variations = recs.slice(1).map(r => lineFrom(pos, r)).filter(v => v.length);
+            return line;
+        }
+
+        const game = Pgn.newGame(R.START_FEN, {
+            Event: `Titan repertoire (${color === 'w' ? 'White' : 'Black'})`,
+            Date: new Date().toISOString().slice(0, 10).replace(/-/g, '.')
+        });
+        game.moves = continuation(new R.Position());
+        return Pgn.write(game);
+    }
+
+    // delete one move and everything only reachable through it.
+    // resolves with the number of records removed.
+    function removeMove(id) {
+        const target = records.find(r => r.id === id);
+        if (!target) return Promise.resolve(0);
+        const color = target.color;
+        const rest = all(color).filter(r => r.id !== id);
+
+        // walk what's left from the initial position
+        const byKey = new Map();
+        rest.forEach(r => {
+            if (!byKey.has(r.key)) byKey.set(r.key, []);
+            byKey.get(r.key).push(r);
+        });
+        const reachable = new Set();
+        const seen = new Set();
+        const stack = [new R.Position()];
+        while (stack.length) {
+            const pos = stack.pop();
+            const key = pos.key();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            (byKey.get(key) || []).forEach(r => {
+                const next = pos.clone();
+                const move = next.moveFromUci(r.uci);
+                if (!move) return;
+                next.makeMove(move);
+                reachable.add(r.id);
+                stack.push(next);
+            });
+        }
+
+        const doomed = all(color).filter(r => !reachable.has(r.id)).map(r => r.id);
+        return Db.removeMany(STORE, doomed).then(() => {
+            const gone = new Set(doomed);
+            records = records.filter(r => !gone.has(r.id));
+            return doomed.length;
+        });
+    }
+
+    // ---------- drill ----------
+
+    // schedule from the stored copy, so a card object held since
+    // before an earlier answer still grades correctly
+    function grade(card, correct) {
+        const current = records.find(r => r.id === card.id) || card;
+        const updated = Object.assign({}, current, Srs.schedule(current, correct, Date.now()));
+        return Db.put(STORE, updated).then(() => {
+            records = records.map(r => r.id === updated.id ? updated : r);
+            return updated;
+        });
+    }
+
+    // cards for a drill session (TitanSrs.pick). a position where
+    // we keep two moves is asked once — either move is a right
+    // answer.
+    function drillCards(color, limit, now) {
+        const seen = new Set();
+        const mine = all(color).filter(r => r.mine).sort((a, b) => a.due - b.due)
+            .filter(r => !seen.has(r.key) && seen.add(r.key));
+        return Srs.pick(mine, limit, now || Date.now());
+    }
+
+    window.TitanRepertoire = {
+        load, all, movesAt, counts,
+        addLine, importPgn, exportPgn, removeMove,
+        grade, drillCards
+    };
+})();
@@ -0,0 +1,133 @@
+// ============================================================
+// titan-free :: local database (IndexedDB)
+// ============================================================
+//
+// one IndexedDB database, "titan-free", for everything the
+// extension keeps that is too big or too structured for
+// chrome.storage — the opening repertoire, the puzzle bank, the
+// game library and the batch review queue.
+//
+// it belongs to the extension's origin, so the service worker
+// (importScripts) and the extension pages (<script>) share it.
+// content scripts run in chess.com's origin and would get a
+// different, empty database — they have to go through the
+// service worker instead.
+//
+// every call returns a promise:
+//
+//   TitanDb.get(store, key)
+//   TitanDb.getAll(store)                  every record
+//   TitanDb.getAll(store, index, value)    records where index = value
+//   TitanDb.put(store, record)             insert or replace
+//   TitanDb.putMany(store, records)        one transaction
+//   TitanDb.addMany(store, records)        insert only new keys,
+//                                          resolves with how many
+//   TitanDb.remove(store, key)
+//   TitanDb.removeMany(store, keys)        one transaction
+//
+// === SCHEMA ===
+//
+// STORES lists each object store with its key path and indexes.
+// to add a store or an index: add it to STORES and bump VERSION.
+// upgrade() creates whatever is missing and never deletes data.
+// ============================================================
+
+(function () {
+    const DB_NAME = 'titan-free';
+    const VERSION = 4;
+
+    const STORES = {
+        // opening repertoire: one record per move, see analysis/repertoire.js
+        repertoire: { keyPath: 'id', indexes: ['color', 'key'] },
+        // puzzles from our own blunders, see content/puzzles.js
+        puzzles: { keyPath: 'id', indexes: ['due'] },
+        // reviewed, imported and played games, see content/library.js
+        games: { keyPath: 'id', indexes: ['date'] },
+        // games waiting for a batch review, see analysis/batch.js
+        queue: { keyPath: 'id' }
+    };
+
+    let opening = null;
+
+    function upgrade(db, tx) {
+        Object.keys(STORES).forEach(name => {
+            const def = STORES[name];
+            const store = db.objectStoreNames.contains(name)
+                ? tx.objectStore(name)
+                : db.createObjectStore(name, { keyPath: def.keyPath });
+            (def.indexes || []).forEach(index => {
+                if (!store.indexNames.contains(index)) store.createIndex(index, index);
+            });
+        });
+    }
+
+    // the connection is opened once and shared
+    function open() {
+        if (opening) return opening;
+        opening = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, VERSION);
+            req.onupgradeneeded = () => upgrade(req.result, req.transaction);
+            req.onsuccess = () => {
+                const db = req.result;
+                // another context upgraded the schema: let go so it can
+                // finish, and reopen on the next call
+                db.onversionchange = () => { db.close(); opening = null; };
+                resolve(db);
+            };
+            req.onerror = () => { opening = null; reject(req.error); };
+        });
+        return opening;
+    }
+
+    // run `work(store)` in a transaction. resolves with the result
+    // of the request work() returns (if any) once the transaction
+    // has committed.
+    function run(storeName, mode, work) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = work(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    function get(store, key) {
+        return run(store, 'readonly', s => s.get(key));
+    }
+
+    function getAll(store, index, value) {
+        return run(store, 'readonly', s => index ? s.index(index).getAll(value) : s.getAll());
+    }
+
+    function put(store, record) {
+        return run(store, 'readwrite', s => s.put(record));
+    }
+
+    function putMany(store, records) {
+        return run(store, 'readwrite', s => { records.forEach(r => s.put(r)); });
+    }
+
+    // existing records are left alone (their keys fail the add,
+    // which is swallowed so the rest of the batch still commits)
+    function addMany(store, records) {
+        let added = 0;
+        return run(store, 'readwrite', s => {
+            records.forEach(r => {
+                const req = s.add(r);
+                req.onsuccess = () => { added++; };
+                req.onerror = (e) => { e.preventDefault(); e.stopPropagation(); };
+            });
+        }).then(() => added);
+    }
+
+    function remove(store, key) {
+        return run(store, 'readwrite', s => s.delete(key));
+    }
+
+    function removeMany(store, keys) {
+        return run(store, 'readwrite', s => { keys.forEach(k => s.delete(k)); });
+    }
+
+    self.TitanDb = { get, getAll, put, putMany, addMany, remove, removeMany };
+})();
@@ -0,0 +1,141 @@
+// ============================================================
+// titan-free :: shared engine relay (service worker)
+// ============================================================
+//
+// passes engine jobs between the pages (content/enginehost.js)
+// and the one engine host, an offscreen document
+// (offscreen/engine-host.js). pages can't reach the offscreen
+// document directly, so both sides connect a port here:
+//
+//   'titan-engine'        one per page. messages get the page's
+//                         client id added on the way to the host.
+//   'titan-engine-host'   the host. its messages go back to the
+//                         client they name, or to every page.
+//
+// the host is opened on the first message from a page and closed
+// HOST_IDLE_MS after the last page disconnects. messages wait in
+// `pending` until it has connected. if the service worker was
+// restarted while the host stayed open, ENGINE_HOST_CONNECT asks
+// it to connect again.
+//
+// load() is the host's last { busy, queued } report, for the
+// popup's GET_ENGINE_STATUS.
+// ============================================================
+
+(function () {
+    const CLIENT_PORT = 'titan-engine';
+    const HOST_PORT = 'titan-engine-host';
+    const HOST_URL = 'offscreen/engine-host.html';
+    const HOST_IDLE_MS = 60000;
+
+    let hostPort = null;
+    let hostLoad = { busy: false, queued: 0 };
+    let pending = [];
+    let opening = null;
+    let idleTimer = null;
+
+    const clients = new Map();
+    let nextClient = 1;
+
+    // a port closing races its onDisconnect — posting to it throws
+    function tell(port, msg) {
+        try {
+            port.postMessage(msg);
+        } catch (err) {}
+    }
+
+    function openHost() {
+        if (opening) return opening;
+        opening = chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] })
+            .then(contexts => contexts.length
+                ? chrome.runtime.sendMessage({ type: 'ENGINE_HOST_CONNECT' })
+                : chrome.offscreen.createDocument({
+                    url: HOST_URL,
+                    reasons: [chrome.offscreen.Reason.WORKERS],
+                    justification: 'Runs the Stockfish engine shared by all tabs'
+                }))
+            .catch(err => {
+                console.error('[TitanFree] engine host failed to open', err);
+                failPending('engine host failed to open');
+            })
+            .finally(() => { opening = null; });
+        return opening;
+    }
+
+    function closeHost() {
+        idleTimer = null;
+        if (clients.size) return;
+        chrome.offscreen.closeDocument().catch(() => {});
+    }
+
+    // searches that were waiting for a host that won't come
+    function failPending(message) {
+        pending.forEach(msg => {
+            const port = clients.get(msg.client);
+            if (port && msg.type === 'search') tell(port, { type: 'error', id: msg.id, message });
+        });
+        pending = [];
+    }
+
+    function toHost(msg) {
+        if (hostPort) {
+            tell(hostPort, msg);
+            return;
+        }
+        pending.push(msg);
+        openHost();
+    }
+
+    function connectHost(port) {
+        hostPort = port;
+        port.onMessage.addListener((msg) => {
+            if (msg.type === 'load') {
+                hostLoad = { busy: msg.busy, queued: msg.queued };
+                return;
+            }
+            if (msg.client) {
+                const client = clients.get(msg.client);
+                if (client) tell(client, msg);
+            } else {
+                clients.forEach(client => tell(client, msg));
+            }
+        });
+        port.onDisconnect.addListener(() => {
+            hostPort = null;
+            hostLoad = { busy: false, queued: 0 };
+            clients.forEach(client => tell(client, { type: 'lost' }));
+        });
+        // a page that said hello before the host was up asked for
+        // 'ready' — the queued hello will get it
+        const waiting = pending;
+        pending = [];
+        waiting.forEach(msg => port.postMessage(msg));
+    }
+
+    function connectClient(port) {
+        const id = nextClient++;
+        clients.set(id, port);
+        clearTimeout(idleTimer);
+        idleTimer = null;
+        port.onMessage.addListener((msg) => {
+            toHost(Object.assign({}, msg, { client: id }));
+        });
+        port.onDisconnect.addListener(() => {
+            clients.delete(id);
+            pending = pending.filter(msg => msg.client !== id);
+            if (hostPort) tell(hostPort, { type: 'drop', client: id });
+            if (!clients.size && !idleTimer) idleTimer = setTimeout(closeHost, HOST_IDLE_MS);
+        });
+    }
+
+    chrome.runtime.onConnect.addListener((port) => {
+        if (port.name === HOST_PORT) connectHost(port);
+        else if (port.name === CLIENT_PORT) connectClient(port);
+    });
+
+    function load() {
+        return { open: !!hostPort, pages: clients.size, busy: hostLoad.busy, queued: hostLoad.queued };
+    }
+
+    self.TitanEngineRelay = { load };
+})();
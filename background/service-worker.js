@@ -1,3 +1,15 @@
+// Local database (TitanDb). Content scripts can't open the extension's
+// IndexedDB themselves, so puzzle bank and game library writes go
+// through here.
+importScripts('db.js');
+
+// Shared engine (TitanEngineRelay). Relays engine jobs from every
+// page to the one Stockfish in the offscreen engine host.
+importScripts('engine-relay.js');
+
+// Tabs running the content scripts (see manifest.json)
+const CONTENT_TABS = ['*://www.chess.com/*', '*://lichess.org/analysis*', '*://lichess.org/study/*'];
+
 let currentElo = '1000';
 let arrowMode = 'highlight';
 let arrowColor = '#00f2ff';
@@ -21,7 +33,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg.type === 'SET_ELO' && msg.elo) {
         currentElo = msg.elo;
         chrome.storage.local.set({ elo: msg.elo });
-        chrome.tabs.query({ url: '*://www.chess.com/*' }, (tabs) => {
+        chrome.tabs.query({ url: CONTENT_TABS }, (tabs) => {
             tabs.forEach(tab => {
                 chrome.tabs.sendMessage(tab.id, {
                     type: 'SET_ELO',
@@ -39,7 +51,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         chrome.storage.local.set({ arrowColor: msg.color });
         sendResponse({ success: true });
     } else if (msg.type === 'SET_EVAL_BAR') {
-        chrome.tabs.query({ url: '*://www.chess.com/*' }, (tabs) => {
+        chrome.tabs.query({ url: CONTENT_TABS }, (tabs) => {
             tabs.forEach(tab => {
                 chrome.tabs.sendMessage(tab.id, {
                     type: 'SET_EVAL_BAR',
@@ -50,6 +62,18 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         sendResponse({ success: true });
     } else if (msg.type === 'GET_STATUS') {
         sendResponse({ ready: true, elo: currentElo });
+    } else if (msg.type === 'GET_ENGINE_STATUS') {
+        sendResponse(TitanEngineRelay.load());
+    } else if (msg.type === 'SAVE_PUZZLES' && Array.isArray(msg.puzzles)) {
+        // puzzles already in the bank keep their retry schedule
+        TitanDb.addMany('puzzles', msg.puzzles)
+            .then(added => sendResponse({ success: true, added }))
+            .catch(err => sendResponse({ success: false, error: String(err) }));
+    } else if (msg.type === 'SAVE_GAME' && msg.record && msg.record.id) {
+        // the same game saved again replaces the old record
+        TitanDb.put('games', msg.record)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: String(err) }));
     }
     
     return true;
@@ -0,0 +1,106 @@
+// ============================================================
+// titan-free :: win probability + accuracy model
+// ============================================================
+//
+// a raw centipawn number is hard to compare between games: +3
+// in a quiet middlegame and +3 with queens off mean different
+// things, and losing 200cp when you're already +9 barely matters.
+// so for reviewed games we convert evals to win probability and
+// score moves by how much win probability they give away.
+//
+// === THE MODEL ===
+//
+// steps 1 and 2 are the formulas lichess publishes, so a single
+// move's win% and accuracy line up with theirs. step 3 is a
+// simplification: lichess weights each move by how volatile the
+// eval was in a window around it, we don't — so game accuracy
+// lands near lichess's figure but won't match it exactly.
+//
+// 1. win% from centipawns (side's own point of view):
+//
+//      win% = 50 + 50 * (2 / (1 + e^(-0.00368208 * cp)) - 1)
+//
+//    a logistic curve fitted on real games: 0cp = 50%, +100cp ≈ 59%,
+//    +300cp ≈ 75%, +1000cp ≈ 97.5%.
+//
+//    mate scores don't go through the curve — a forced mate for
+//    the side is 100%, a forced mate against it is 0%. (review
+//    values fold mates in as ±(MATE_CP - n), see score.js —
+//    TitanScore.isMateValue() recognises them.)
+//
+// 2. accuracy of a single move, from the mover's win% before the
+//    move (with best play) and after the move actually played:
+//
+//      acc = 103.1668 * e^(-0.04354 * (winBefore - winAfter)) - 3.1669
+//
+//    clamped to 0..100. giving away nothing = 100%, 10 points of
+//    win% ≈ 64%, 30 points ≈ 24%.
+//
+// 3. game accuracy per side = the average of the plain (unweighted)
+//    mean and the harmonic mean of that side's move accuracies. the
+//    harmonic mean drags the score down hard for a single awful
+//    move, which matches how a blunder really decides a game.
+//
+// 4. average centipawn loss (ACPL) = the mean of each move's cp
+//    loss (already clamped to ±1000 by review.js).
+// ============================================================
+
+(function () {
+    const Score = window.TitanScore;
+
+    const WIN_K = 0.00368208;
+
+    // win% (0..100) for a score from one side's point of view.
+    // accepts a score object ({cp} / {mate}) or a review `value`.
+    function winPercent(score) {
+        const value = typeof score === 'number' ? score : Score.toCp(score);
+        if (Score.isMateValue(value)) return value > 0 ? 100 : 0;
+        return 50 + 50 * (2 / (1 + Math.exp(-WIN_K * value)) - 1);
+    }
+
+    // win% for white from a review position (white-POV value)
+    function whiteWinPercent(position) {
+        return winPercent(position.value);
+    }
+
+    function moveAccuracy(winBefore, winAfter) {
+        const drop = Math.max(0, winBefore - winAfter);
+        const acc = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+        return Math.max(0, Math.min(100, acc));
+    }
+
+    function harmonicMean(values) {
+        // a 0% move would make the harmonic mean 0; floor it at 1
+        return values.length / values.reduce((sum, v) => sum + 1 / Math.max(1, v), 0);
+    }
+
+    // per-side accuracy + ACPL for a finished review.
+    // returns { w: { accuracy, acpl, moves }, b: {...}, perMove: [...] }
+    // where perMove[i] is the accuracy of review.moves[i].
+    function summarize(review) {
+        const perMove = [];
+        const acc = { w: [], b: [] }, loss = { w: [], b: [] };
+        review.moves.forEach(m => {
+            const before = review.positions[m.ply], after = review.positions[m.ply + 1];
+            const sign = m.color === 'w' ? 1 : -1;
+            const a = moveAccuracy(winPercent(before.value * sign), winPercent(after.value * sign));
+            perMove.push(a);
+            acc[m.color].push(a);
+            loss[m.color].push(m.loss);
+        });
+
+        const side = color => {
+            const list = acc[color];
+            if (!list.length) return { accuracy: null, acpl: null, moves: 0 };
+            const mean = list.reduce((s, v) => s + v, 0) / list.length;
+            return {
+                accuracy: (mean + harmonicMean(list)) / 2,
+                acpl: loss[color].reduce((s, v) => s + v, 0) / list.length,
+                moves: list.length
+            };
+        };
+        return { w: side('w'), b: side('b'), perMove };
+    }
+
+    window.TitanAccuracy = { winPercent, whiteWinPercent, moveAccuracy, summarize };
+})();
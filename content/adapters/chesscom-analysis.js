@@ -0,0 +1,72 @@
+// ============================================================
+// titan-free :: board adapter — chess.com analysis
+// ============================================================
+//
+// chess.com's analysis board (/analysis, /analysis/game/…, the
+// game review) uses the same `.piece.wk.square-51` markup as its
+// game pages, so the pieces are read the same way. what differs:
+//
+//   - the move list has variations. only main-line nodes
+//     (.main-line-ply) are the game; the rest are side lines.
+//   - you jump around in the moves. castling comes from the
+//     placement (TitanBoard.placementCastling), not from flags
+//     that remember a king or rook has moved.
+//   - the selected node in the move list says whose move it was,
+//     so it decides the side to move; the last-move highlights
+//     are the fallback, as on game pages.
+//
+// only /analysis URLs — never a game page (see the ADAPTERS note
+// in board.js).
+// ============================================================
+
+(function () {
+    const B = window.TitanBoard;
+
+    const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR';
+    const MOVE_LIST = 'wc-simple-move-list, wc-move-list, vertical-move-list, .move-list';
+
+    function matches(loc) {
+        return /(^|\.)chess\.com$/.test(loc.hostname) && /^\/analysis(\/|$)/.test(loc.pathname.toLowerCase());
+    }
+
+    function findBoard() {
+        return document.querySelector('#board-analysis-board') ||
+            B.largest(document.querySelectorAll('wc-chess-board, chess-board'), 100);
+    }
+
+    function orientation(board) {
+        return board.classList.contains('flipped') ? 'b' : 'w';
+    }
+
+    // 'w' / 'b' for the side to move after the selected node, or
+    // null when nothing is selected (the start of the game)
+    function selectedSide() {
+        const list = document.querySelector(MOVE_LIST);
+        const node = list && list.querySelector('.node.selected');
+        if (!node) return null;
+        if (node.classList.contains('white-move')) return 'b';
+        if (node.classList.contains('black-move')) return 'w';
+        return null;
+    }
+
+    function getFen(board) {
+        const pos = B.readPieces(board);
+        const placement = B.placementFen(pos);
+        const turn = placement === START ? 'w'
+            : selectedSide() || B.sideFromHighlights(pos, document.querySelectorAll('.highlight')) || 'w';
+        return `${placement} ${turn} ${B.placementCastling(pos)} - 0 1`;
+    }
+
+    function getMoveList() {
+        const list = document.querySelector(MOVE_LIST);
+        if (!list) return [];
+        const main = list.querySelectorAll('.node.main-line-ply');
+        return B.readSans(main.length ? main : list.querySelectorAll('.node'));
+    }
+
+    B.registerAdapter({
+        id: 'chesscom-analysis',
+        site: { name: 'Chess.com', source: 'chess.com' },
+        matches, findBoard, orientation, getFen, getMoveList
+    });
+})();
@@ -0,0 +1,121 @@
+// ============================================================
+// titan-free :: board adapter — lichess analysis & study
+// ============================================================
+//
+// lichess draws its board with chessground:
+//
+//   <div class="cg-wrap orientation-white">
+//     <cg-container>
+//       <cg-board>
+//         <square class="last-move" style="transform: translate(…)">
+//         <piece class="white knight" style="transform: translate(120px, 420px)">
+//
+// pieces and squares are placed in pixels, so a square is the
+// translate divided by a square's width, counted from the top
+// left corner as the board is shown. ghost pieces (a drag in
+// progress) and fading ones (just captured) aren't on the board.
+//
+// the FEN field under the analysis board (.copyables input) is
+// exact — side to move, castling, en passant — and is used
+// whenever its placement agrees with the pieces on the board.
+// otherwise (a study, where it sits in a closed tab) the side to
+// move comes from the last-move squares and castling from the
+// placement.
+//
+// only /analysis and /study — never a game page (see the ADAPTERS
+// note in board.js). the manifest only injects the content scripts
+// on those paths.
+// ============================================================
+
+(function () {
+    const B = window.TitanBoard;
+
+    const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR';
+    const TYPES = { pawn: 'p', knight: 'n', bishop: 'b', rook: 'r', queen: 'q', king: 'k' };
+
+    function matches(loc) {
+        return /(^|\.)lichess\.org$/.test(loc.hostname) && /^\/(analysis|study)(\/|$)/.test(loc.pathname);
+    }
+
+    function findBoard() {
+        return document.querySelector('.main-board .cg-wrap') ||
+            B.largest(document.querySelectorAll('.cg-wrap'), 100);
+    }
+
+    function orientation(board) {
+        return board.classList.contains('orientation-black') ? 'b' : 'w';
+    }
+
+    // index (a8 = 0) of a chessground element from its translate
+    function squareIndex(el, size, flipped) {
+        const m = (el.style.transform || '').match(/translate\((-?[\d.]+)px,\s*(-?[\d.]+)px\)/);
+        if (!m || !size) return -1;
+        const x = Math.round(parseFloat(m[1]) / size), y = Math.round(parseFloat(m[2]) / size);
+        if (x < 0 || x > 7 || y < 0 || y > 7) return -1;
+        return flipped ? (7 - y) * 8 + (7 - x) : y * 8 + x;
+    }
+
+    function readBoard(board) {
+        const cg = board.querySelector('cg-board');
+        if (!cg) return null;
+        const size = cg.getBoundingClientRect().width / 8;
+        const flipped = orientation(board) === 'b';
+        const pos = new Array(64).fill(null);
+        cg.querySelectorAll('piece').forEach(p => {
+            if (p.classList.contains('ghost') || p.classList.contains('fading')) return;
+            const color = p.classList.contains('white') ? 'w' : 'b';
+            const type = Object.keys(TYPES).find(t => p.classList.contains(t));
+            const idx = squareIndex(p, size, flipped);
+            if (type && idx >= 0) pos[idx] = color === 'w' ? TYPES[type].toUpperCase() : TYPES[type];
+        });
+        const lastMove = Array.from(cg.querySelectorAll('square.last-move'));
+        return { pos, lastMove, squareOf: (el) => squareIndex(el, size, flipped) };
+    }
+
+    // the FEN field's value, if there is one
+    function fenField() {
+        const input = document.querySelector('.copyables input, .analyse__underboard input.copyable');
+        const value = input ? input.value.trim() : '';
+        return value.split(' ').length >= 4 ? value : null;
+    }
+
+    function getFen(board) {
+        const read = readBoard(board);
+        if (!read) return null;
+        const placement = B.placementFen(read.pos);
+        const field = fenField();
+        if (field && field.split(' ')[0] === placement) return field;
+        const turn = placement === START ? 'w'
+            : B.sideFromHighlights(read.pos, read.lastMove, read.squareOf) || 'w';
+        return `${placement} ${turn} ${B.placementCastling(read.pos)} - 0 1`;
+    }
+
+    // the main line of the move tree: moves directly under .tview2
+    // (variations sit inside <interrupt> / <lines>)
+    function getMoveList() {
+        const tree = document.querySelector('.analyse__moves .tview2, .tview2');
+        if (!tree) return [];
+        return B.readSans(Array.from(tree.children).filter(el => el.tagName.toLowerCase() === 'move').map(el => el.querySelector('san') || el));
+    }
+
+    function getGameResult() {
+        const el = document.querySelector('.tview2 .result, .analyse__moves .result');
+        const text = el ? el.textContent.replace(/\s+/g, '').replace('½', '1/2') : '';
+        return ['1-0', '0-1', '1/2-1/2'].includes(text) ? text : '*';
+    }
+
+    // study chapters name their players; the analysis board doesn't
+    function getPlayerNames() {
+        const read = (side) => {
+            const el = document.querySelector(`.study__player-${side} .name`);
+            return el ? el.textContent.trim() : '';
+        };
+        return { top: read('top'), bottom: read('bot') };
+    }
+
+    B.registerAdapter({
+        id: 'lichess',
+        site: { name: 'lichess.org', source: 'lichess' },
+        matches, findBoard, orientation, getFen, getMoveList, getGameResult, getPlayerNames
+    });
+})();
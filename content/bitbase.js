@@ -0,0 +1,581 @@
+// ============================================================
+// titan-free :: elementary endgame tables (retrograde solver)
+// ============================================================
+//
+// exact results for the endings a low-depth engine gets wrong
+// most often — a lone king against
+//
+//   KQK   queen            KRK   rook
+//   KPK   pawn             KBNK  bishop and knight
+//
+// nothing is shipped: each table is solved offline, in this
+// page, the first time a position needs it, and kept in memory
+// for the rest of the session. KQK / KRK / KPK take a fraction
+// of a second and are solved right there in probe().
+//
+// KBNK (33.5M positions, 67MB, about 130MB while solving) takes
+// several seconds — too long to hold up a probe. it's a
+// BACKGROUND table: the first probe starts prepare(), which
+// solves it SLICE_MS at a time between timers so the page stays
+// responsive, and probe() answers null for KBNK until it's built
+// (callers search as for any other position). pending(fen) is
+// the promise of the table while it's being solved, for a page
+// that wants to probe again once it's there.
+//
+// === RESULT ===
+//
+//   probe(fen) → null when the material isn't covered (or its
+//   table is still being solved in the background), else
+//   { table,                       // 'KQK', 'KRK', 'KPK', 'KBNK'
+//     result: 'win'|'draw'|'loss', // for the side to move
+//     winner: 'w'|'b'|null,
+//     plies,                       // to mate with best play, 0 on a draw
+//     moves,                       // the N of "wins in N" (full moves)
+//     score: {mate}|{cp: 0},       // side to move, like a UCI score
+//     wdl,                         // the same, as a certain win/draw/loss
+//     bestmove,                    // uci, null when there's no move
+//     pv }                         // the line, up to PV_PLIES
+//
+// the tables are depth-to-mate, so `score` is an exact mate
+// score — Score.format() shows it as M12 / -M12 like any other.
+// describe(res) reads it out: 'White wins in 12', 'Draw'.
+//
+// === HOW ===
+//
+// a table has one entry per placement of the pieces (strong king,
+// weak king, then the strong side's pieces, 64 squares each) and
+// side to move. the strong side is always normalised to white,
+// moving up the board — a black pawn is solved as a white one on
+// the mirrored board. tables without a pawn only solve positions
+// with the strong king in the a1-d1-d4 triangle; every other one
+// is a mirror image of one of those.
+//
+//   1. every position with the lone king to move is checked:
+//      mated (lost in 0), stalemated or able to take a piece
+//      (both drawn — no table here wins with a piece less), or
+//      its number of legal moves is remembered.
+//   2. generation by generation, un-moves walk back from the
+//      positions decided so far: a position one strong move
+//      before a loss is won one ply later; a lone-king position
+//      whose every move reaches a win is lost one ply after the
+//      slowest of them.
+//   3. whatever is never reached is a draw.
+//
+// KPK promotions leave the table: a pawn that can promote starts
+// out won in one ply more than the KQK / KRK position it reaches,
+// if that one is lost, and the generations take it from there.
+//
+// pure — no DOM, no engine, no TitanState.
+// ============================================================
+
+(function () {
+    const TABLES = { KQK: ['Q'], KRK: ['R'], KPK: ['P'], KBNK: ['B', 'N'] };
+    const PV_PLIES = 12;
+
+    const UNKNOWN = 255;   // not decided (a draw once the solve is done)
+    const ILLEGAL = 254;
+    const DRAWN = 255;     // in `left`: the lone king has a drawing move
+
+    // tables too big to solve in the middle of a probe (see top)
+    const BACKGROUND = ['KBNK'];
+    const SLICE = 0xfff;           // positions between yields, minus one
+    const SLICE_MS = 30;
+
+    const built = {};
+    const preparing = {};
+
+    // ---------- geometry (a1 = 0, h8 = 63) ----------
+
+    const fileOf = (s) => s & 7;
+    const rankOf = (s) => s >> 3;
+
+    function near(a, b) {
+        return Math.max(Math.abs(fileOf(a) - fileOf(b)), Math.abs(rankOf(a) - rankOf(b))) <= 1;
+    }
+
+    function steps(s, deltas, repeat) {
+        const rays = [];
+        deltas.forEach(([df, dr]) => {
+            const ray = [];
+            let f = fileOf(s) + df, r = rankOf(s) + dr;
+            while (f >= 0 && f < 8 && r >= 0 && r < 8) {
+                ray.push(r * 8 + f);
+                if (!repeat) break;
+                f += df; r += dr;
+            }
+            if (ray.length) rays.push(ray);
+        });
+        return rays;
+    }
+
+    const ORTHO = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const DIAG = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+    const KNIGHT_D = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+
+    // RAYS[type][sq] = list of rays (a king's or knight's are one
+    // square long)
+    const RAYS = { K: [], N: [], R: [], B: [], Q: [] };
+    for (let s = 0; s < 64; s++) {
+        RAYS.K.push(steps(s, ORTHO.concat(DIAG), false));
+        RAYS.N.push(steps(s, KNIGHT_D, false));
+        RAYS.R.push(steps(s, ORTHO, true));
+        RAYS.B.push(steps(s, DIAG, true));
+        RAYS.Q.push(steps(s, ORTHO.concat(DIAG), true));
+    }
+    const KING = RAYS.K.map(rays => rays.map(ray => ray[0]));
+
+    // squares strictly between two squares on a line, or null
+    const BETWEEN = [];
+    for (let a = 0; a < 64; a++) {
+        for (let b = 0; b < 64; b++) {
+            const df = Math.sign(fileOf(b) - fileOf(a)), dr = Math.sign(rankOf(b) - rankOf(a));
+            const lined = a !== b && (fileOf(a) === fileOf(b) || rankOf(a) === rankOf(b) ||
+                Math.abs(fileOf(a) - fileOf(b)) === Math.abs(rankOf(a) - rankOf(b)));
+            if (!lined) { BETWEEN.push(null); continue; }
+            const out = [];
+            for (let s = a + dr * 8 + df; s !== b; s += dr * 8 + df) out.push(s);
+            BETWEEN.push(out);
+        }
+    }
+
+    // does a strong `type` on `from` attack `to`? `occ` is the board
+    function attacks(type, from, to, occ) {
+        const df = Math.abs(fileOf(from) - fileOf(to)), dr = Math.abs(rankOf(from) - rankOf(to));
+        if (type === 'K') return Math.max(df, dr) === 1;
+        if (type === 'N') return df * dr === 2;
+        if (type === 'P') return df === 1 && rankOf(to) - rankOf(from) === 1;
+        const ortho = df === 0 || dr === 0, diag = df === dr;
+        if (type === 'R' ? !ortho : type === 'B' ? !diag : !(ortho || diag)) return false;
+        const between = BETWEEN[from * 64 + to];
+        if (!between) return false;
+        for (let i = 0; i < between.length; i++) if (occ[between[i]]) return false;
+        return true;
+    }
+
+    // the eight symmetries of the board. a table without pawns
+    // only solves positions whose strong king is in the a1-d1-d4
+    // triangle (and, on its diagonal, the lower of the two mirror
+    // images) — the rest are looked up through canon()
+    const MAP = [];
+    for (let m = 0; m < 8; m++) {
+        const map = new Uint8Array(64);
+        for (let s = 0; s < 64; s++) {
+            let f = fileOf(s), r = rankOf(s);
+            if (m & 1) f = 7 - f;
+            if (m & 2) r = 7 - r;
+            if (m & 4) [f, r] = [r, f];
+            map[s] = r * 8 + f;
+        }
+        MAP.push(map);
+    }
+    const inTriangle = (s) => fileOf(s) <= 3 && rankOf(s) <= fileOf(s);
+    const SYMMETRIES = [];
+    for (let s = 0; s < 64; s++) SYMMETRIES.push(MAP.filter(map => inTriangle(map[s])));
+
+    // ---------- tables ----------
+
+    // table layout: index = side * per + (strong king, weak king,
+    // pieces...) as 6-bit fields. side 0: the strong side to move.
+    function layout(name) {
+        const types = ['K', 'k'].concat(TABLES[name]);
+        return {
+            name, types, n: types.length, per: 1 << (6 * types.length),
+            symmetric: !types.includes('P'), scratch: new Array(types.length)
+        };
+    }
+
+    function decode(t, i, sq) {
+        for (let j = 0; j < t.n; j++) sq[j] = (i >> (6 * (t.n - 1 - j))) & 63;
+    }
+
+    function encode(t, sq) {
+        let i = 0;
+        for (let j = 0; j < t.n; j++) i = i * 64 + sq[j];
+        return i;
+    }
+
+    // the index the table keeps a position under
+    function canon(t, i) {
+        if (!t.symmetric) return i;
+        const sq = t.scratch;
+        decode(t, i, sq);
+        const maps = SYMMETRIES[sq[0]];
+        let best = -1;
+        for (let m = 0; m < maps.length; m++) {
+            let c = 0;
+            for (let j = 0; j < t.n; j++) c = c * 64 + maps[m][sq[j]];
+            if (best < 0 || c < best) best = c;
+        }
+        return best;
+    }
+
+    function lookup(t, sq, side) {
+        return t.val[side * t.per + canon(t, encode(t, sq))];
+    }
+
+    // the position `i` with piece j on `to` instead
+    function moved(t, i, j, to) {
+        const shift = 6 * (t.n - 1 - j);
+        return (i & ~(63 << shift)) | (to << shift);
+    }
+
+    // is `target` attacked by the strong side, leaving piece `skip` out?
+    function strongAttacks(t, sq, occ, target, skip) {
+        for (let j = 0; j < t.n; j++) {
+            if (j === 1 || j === skip) continue;
+            if (attacks(t.types[j] === 'K' ? 'K' : t.types[j], sq[j], target, occ)) return true;
+        }
+        return false;
+    }
+
+    // the lone king's moves from position i: DRAWN when it can take
+    // a piece safely, else how many different (canonical) positions
+    // its legal moves reach
+    function weakMoves(t, i, sq, occ, reached) {
+        const wk = sq[1], king = KING[wk];
+        let count = 0;
+        occ[wk] = 0;
+        for (let k = 0; k < king.length; k++) {
+            const to = king[k];
+            if (near(to, sq[0])) continue;
+            let taken = -1;
+            for (let j = 2; j < t.n; j++) if (sq[j] === to) taken = j;
+            if (taken >= 0) {
+                if (!strongAttacks(t, sq, occ, to, taken)) { count = DRAWN; break; }
+            } else if (!strongAttacks(t, sq, occ, to, -1)) {
+                const c = canon(t, moved(t, i, 1, to));
+                if (!reached.slice(0, count).includes(c)) reached[count++] = c;
+            }
+        }
+        occ[wk] = 1;
+        return count;
+    }
+
+    function legalPlacement(t, sq) {
+        for (let a = 0; a < t.n; a++) {
+            for (let b = a + 1; b < t.n; b++) if (sq[a] === sq[b]) return false;
+            if (t.types[a] === 'P' && (rankOf(sq[a]) === 0 || rankOf(sq[a]) === 7)) return false;
+        }
+        return !near(sq[0], sq[1]);
+    }
+
+    // the solve, as a generator that yields every SLICE positions so
+    // a background build (prepare()) can give the page its thread
+    // back between slices. returns the table.
+    function* solving(name) {
+        const t = layout(name);
+        const per = t.per;
+        const val = new Uint8Array(2 * per).fill(UNKNOWN);
+        const left = new Uint8Array(per);
+        const sq = new Array(t.n);
+        const occ = new Uint8Array(64);
+        const reached = new Array(8);
+        const kingShift = 6 * (t.n - 1);
+        let next = [];
+        const seeds = [];
+        t.val = val;
+
+        // promotions out of KPK, see top of file
+        const promo = name === 'KPK' ? [probeTable('KQK'), probeTable('KRK')] : null;
+
+        // 1. classify every position
+        for (let i = 0; i < per; i++) {
+            if ((i & SLICE) === SLICE) yield;
+            if (t.symmetric && (!inTriangle(i >> kingShift) || canon(t, i) !== i)) continue;
+            decode(t, i, sq);
+            if (!legalPlacement(t, sq)) {
+                val[i] = ILLEGAL;
+                val[per + i] = ILLEGAL;
+                continue;
+            }
+            for (let j = 0; j < t.n; j++) occ[sq[j]] = 1;
+            if (strongAttacks(t, sq, occ, sq[1], -1)) {
+                val[i] = ILLEGAL;
+            } else if (promo) {
+                const p = sq[2], to = p + 8;
+                if (rankOf(p) === 6 && !occ[to]) {
+                    let best = UNKNOWN;
+                    promo.forEach(sub => {
+                        const v = lookup(sub, [sq[0], sq[1], to], 1);
+                        if (v < ILLEGAL && v + 1 < best) best = v + 1;
+                    });
+                    if (best !== UNKNOWN) {
+                        val[i] = best;
+                        (seeds[best] = seeds[best] || []).push(i);
+                    }
+                }
+            }
+            const moves = weakMoves(t, i, sq, occ, reached);
+            if (moves) {
+                left[i] = moves;
+            } else if (strongAttacks(t, sq, occ, sq[1], -1)) {
+                val[per + i] = 0;
+                next.push(per + i);
+            } else {
+                left[i] = DRAWN;
+            }
+            for (let j = 0; j < t.n; j++) occ[sq[j]] = 0;
+        }
+
+        // 2. un-moves, one generation (ply) at a time
+        function reach(i, j, from, d) {
+            const a = canon(t, moved(t, i, j, from));
+            if (val[a] === ILLEGAL || (val[a] !== UNKNOWN && val[a] <= d + 1)) return;
+            val[a] = d + 1;
+            next.push(a);
+        }
+
+        function lost(i, d) {
+            decode(t, i, sq);
+            for (let j = 0; j < t.n; j++) occ[sq[j]] = 1;
+            for (let j = 0; j < t.n; j++) {
+                if (j === 1) continue;
+                const type = t.types[j], s = sq[j];
+                if (type === 'P') {
+                    // a pawn came from one square back, or two from
+                    // its first rank
+                    if (rankOf(s) >= 2 && !occ[s - 8]) {
+                        reach(i, j, s - 8, d);
+                        if (rankOf(s) === 3 && !occ[s - 16]) reach(i, j, s - 16, d);
+                    }
+                    continue;
+                }
+                const rays = RAYS[type][s];
+                for (let k = 0; k < rays.length; k++) {
+                    const ray = rays[k];
+                    for (let r = 0; r < ray.length; r++) {
+                        const from = ray[r];
+                        if (occ[from]) break;
+                        if (type !== 'K' || !near(from, sq[1])) reach(i, j, from, d);
+                    }
+                }
+            }
+            for (let j = 0; j < t.n; j++) occ[sq[j]] = 0;
+        }
+
+        // each lone-king position before this one loses one of its
+        // remaining moves — once, however many of its moves reach
+        // this position's mirror images
+        function won(i, d) {
+            decode(t, i, sq);
+            const king = KING[sq[1]];
+            let count = 0;
+            for (let k = 0; k < king.length; k++) {
+                const from = king[k];
+                if (near(from, sq[0]) || sq.includes(from)) continue;
+                const c = canon(t, moved(t, i, 1, from));
+                if (reached.slice(0, count).includes(c)) continue;
+                reached[count++] = c;
+                if (left[c] === DRAWN || val[per + c] !== UNKNOWN) continue;
+                if (--left[c] === 0) {
+                    val[per + c] = d + 1;
+                    next.push(per + c);
+                }
+            }
+        }
+
+        for (let d = 0; next.length || d < seeds.length; d++) {
+            const current = next.concat(seeds[d] || []);
+            next = [];
+            for (let k = 0; k < current.length; k++) {
+                if ((k & SLICE) === SLICE) yield;
+                const idx = current[k];
+                if (val[idx] !== d) continue;
+                if (idx >= per) lost(idx - per, d);
+                else won(idx, d);
+            }
+        }
+        return t;
+    }
+
+    // a table, solved on the spot if it isn't yet
+    function probeTable(name) {
+        if (!built[name]) {
+            const steps = solving(name);
+            let step;
+            while (!(step = steps.next()).done);
+            built[name] = step.value;
+        }
+        return built[name];
+    }
+
+    // solve a table in the background, SLICE_MS at a time.
+    // resolves with the table once it's built.
+    function prepare(name) {
+        if (built[name]) return Promise.resolve(built[name]);
+        if (!preparing[name]) {
+            preparing[name] = new Promise(resolve => {
+                const steps = solving(name);
+                const slice = () => {
+                    const until = Date.now() + SLICE_MS;
+                    while (Date.now() < until) {
+                        const step = steps.next();
+                        if (step.done) {
+                            built[name] = step.value;
+                            delete preparing[name];
+                            resolve(step.value);
+                            return;
+                        }
+                    }
+                    setTimeout(slice, 0);
+                };
+                setTimeout(slice, 0);
+            });
+        }
+        return preparing[name];
+    }
+
+    // while the table `fen` needs is being solved in the background,
+    // the promise of it; otherwise null
+    function pending(fen) {
+        const loc = locate(fen);
+        return (loc && preparing[loc.name]) || null;
+    }
+
+    // ---------- probing ----------
+
+    // { name, strong, sq, side } for a covered position, else null.
+    // squares are normalised so the strong side plays up the board.
+    function locate(fen) {
+        const [placement, turn] = fen.split(' ');
+        const pieces = { w: [], b: [] };
+        placement.split('/').forEach((row, r) => {
+            let f = 0;
+            for (const ch of row) {
+                if (/\d/.test(ch)) { f += parseInt(ch, 10); continue; }
+                pieces[ch === ch.toUpperCase() ? 'w' : 'b'].push({ type: ch.toUpperCase(), sq: (7 - r) * 8 + f });
+                f++;
+            }
+        });
+        const strong = pieces.b.length === 1 ? 'w' : pieces.w.length === 1 ? 'b' : null;
+        if (!strong) return null;
+        const weak = strong === 'w' ? 'b' : 'w';
+        const mine = pieces[strong].filter(p => p.type !== 'K').sort((a, b) => order(a.type) - order(b.type));
+        const name = Object.keys(TABLES).find(k => TABLES[k].join('') === mine.map(p => p.type).join(''));
+        const weakKing = pieces[weak][0], strongKing = pieces[strong].find(p => p.type === 'K');
+        if (!name || !weakKing || weakKing.type !== 'K' || !strongKing) return null;
+        const norm = (s) => strong === 'w' ? s : s ^ 56;
+        return {
+            name, strong,
+            sq: [norm(strongKing.sq), norm(weakKing.sq)].concat(mine.map(p => norm(p.sq))),
+            side: turn === strong ? 0 : 1
+        };
+    }
+
+    function order(type) {
+        return 'QRPBN'.indexOf(type);
+    }
+
+    // every move from a located position, with the position it
+    // reaches: [{ from, to, promotion, name, sq, side }]
+    function children(loc) {
+        const t = probeTable(loc.name);
+        const sq = loc.sq, out = [];
+        const occ = new Uint8Array(64);
+        sq.forEach(s => { occ[s] = 1; });
+        const add = (from, to, name, next, promotion) => out.push({ from, to, promotion, name, sq: next, side: 1 - loc.side });
+        if (loc.side === 1) {
+            // the lone king; a capture leaves the tables (a draw)
+            occ[sq[1]] = 0;
+            KING[sq[1]].forEach(to => {
+                if (near(to, sq[0])) return;
+                const taken = sq.findIndex((s, j) => j > 1 && s === to);
+                if (strongAttacks(t, sq, occ, to, taken)) return;
+                const next = sq.slice();
+                next[1] = to;
+                add(sq[1], to, taken >= 0 ? null : loc.name, taken >= 0 ? null : next);
+            });
+            return out;
+        }
+        for (let j = 0; j < t.n; j++) {
+            if (j === 1) continue;
+            const type = t.types[j], s = sq[j];
+            const go = (to) => {
+                const next = sq.slice();
+                next[j] = to;
+                add(s, to, loc.name, next);
+            };
+            if (type === 'P') {
+                if (occ[s + 8]) continue;
+                if (rankOf(s) === 6) {
+                    add(s, s + 8, 'KQK', [sq[0], sq[1], s + 8], 'q');
+                    add(s, s + 8, 'KRK', [sq[0], sq[1], s + 8], 'r');
+                    continue;
+                }
+                go(s + 8);
+                if (rankOf(s) === 1 && !occ[s + 16]) go(s + 16);
+                continue;
+            }
+            RAYS[type][s].forEach(ray => {
+                for (let r = 0; r < ray.length; r++) {
+                    if (occ[ray[r]]) break;
+                    if (type !== 'K' || !near(ray[r], sq[1])) go(ray[r]);
+                }
+            });
+        }
+        return out;
+    }
+
+    // the best move: fastest win, slowest loss (both reach a
+    // position one ply nearer mate), or one that keeps the draw
+    function bestChild(loc, v) {
+        return children(loc).find(c => {
+            const cv = c.name ? lookup(probeTable(c.name), c.sq, c.side) : UNKNOWN;
+            return v === UNKNOWN ? cv === UNKNOWN : cv === v - 1;
+        }) || null;
+    }
+
+    function squareName(s, strong) {
+        const n = strong === 'w' ? s : s ^ 56;
+        return 'abcdefgh'[fileOf(n)] + (rankOf(n) + 1);
+    }
+
+    function probe(fen) {
+        const loc = locate(fen);
+        if (!loc) return null;
+        if (BACKGROUND.includes(loc.name) && !built[loc.name]) {
+            prepare(loc.name);
+            return null;
+        }
+        const v = lookup(probeTable(loc.name), loc.sq, loc.side);
+        if (v === ILLEGAL) return null;
+        const pv = [];
+        let cur = loc, cv = v;
+        while (cur && pv.length < PV_PLIES) {
+            const c = bestChild(cur, cv);
+            if (!c) break;
+            pv.push(squareName(c.from, loc.strong) + squareName(c.to, loc.strong) + (c.promotion || ''));
+            if (!c.name) break;
+            cur = { name: c.name, strong: loc.strong, sq: c.sq, side: c.side };
+            cv = lookup(probeTable(c.name), c.sq, c.side);
+            if (cv === 0) break;
+        }
+        if (v === UNKNOWN) {
+            return {
+                table: loc.name, result: 'draw', winner: null, plies: 0, moves: 0,
+                score: { cp: 0 }, wdl: { win: 0, draw: 1000, loss: 0 }, bestmove: pv[0] || null, pv
+            };
+        }
+        const moves = Math.ceil(v / 2);
+        return {
+            table: loc.name,
+            result: loc.side === 0 ? 'win' : 'loss',
+            winner: loc.strong,
+            plies: v,
+            moves,
+            score: { mate: loc.side === 0 ? moves : -moves || 0 },
+            wdl: loc.side === 0 ? { win: 1000, draw: 0, loss: 0 } : { win: 0, draw: 0, loss: 1000 },
+            bestmove: pv[0] || null,
+            pv
+        };
+    }
+
+    function describe(res) {
+        if (!res) return '';
+        if (res.result === 'draw') return 'Draw';
+        const side = res.winner === 'w' ? 'White' : 'Black';
+        return res.plies === 0 ? `${side} has mated` : `${side} wins in ${res.moves}`;
+    }
+
+    window.TitanBitbase = { TABLES, BACKGROUND, probe, pending, prepare, describe };
+})();
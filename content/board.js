@@ -2,10 +2,12 @@
 // titan-free :: board detection & FEN parser
 // ============================================================
 //
-// this module handles all the chess.com DOM scraping:
+// this module handles all the DOM scraping (chess.com game
+// pages here, analysis pages through adapters — see below):
 // - finding the board element (they use different tags/classes)
 // - figuring out if we're white or black
 // - reading piece positions and building a FEN string
+// - reading the move list, result and players of a finished game
 // - converting square names like 'e4' to pixel coordinates
 //
 // if chess.com changes their DOM structure (they do sometimes),
@@ -15,36 +17,93 @@
 // DON'T touch getPlayerColor() unless orientation detection
 // is broken — the coordinate-label approach is the most reliable
 // method we've found across all chess.com board variants.
+//
+// === ADAPTERS ===
+//
+// analysis pages get a board adapter instead: a site's own board
+// markup, read by a module in content/adapters/ that registers
+// itself with registerAdapter(). every function below asks
+// activeAdapter() first and only falls back to the chess.com
+// game-page code when no adapter claims the page.
+//
+//   TitanBoard.registerAdapter({
+//       id: 'lichess',
+//       site: { name: 'lichess.org', source: 'lichess' },
+//       matches(loc),         // true on the site's analysis URLs only
+//       findBoard(),          // the element the overlay goes into
+//       orientation(board),   // 'w' | 'b' — the side at the bottom
+//       getFen(board),        // full FEN, or null
+//       getMoveList(),        // optional, main line SAN
+//       getGameResult(),      // optional, '1-0' … or '*'
+//       getPlayerNames()      // optional, { top, bottom }
+//   });
+//
+// matches() must stay false on game pages: an adapter turns the
+// page into an 'analysis' page for the fair-play lock (see
+// gamestate.js), and a game in progress must never be one.
+//
+// adapters build their FEN with the helpers exported here —
+// placementFen(), placementCastling(), sideFromHighlights() and
+// readPieces() for chess.com-style `.piece.wk.square-51` markup.
+// analysis pages jump back and forth through the moves, so they
+// take castling rights from the placement alone rather than from
+// the sticky T.castle* flags a live game uses.
 // ============================================================
 
 (function () {
     const T = window.TitanState;
 
+    const CHESS_COM = { name: 'Chess.com', source: 'chess.com' };
+
+    // ---------- adapters ----------
+
+    const adapters = [];
+    let adapterFor = null;   // { href, adapter } — matched once per URL
+
+    function registerAdapter(adapter) {
+        adapters.push(adapter);
+        adapterFor = null;
+    }
+
+    // the adapter for this page, or null (a chess.com game page)
+    function activeAdapter() {
+        if (!adapterFor || adapterFor.href !== location.href) {
+            adapterFor = { href: location.href, adapter: adapters.find(a => a.matches(location)) || null };
+        }
+        return adapterFor.adapter;
+    }
+
+    // the site the page's games come from: the PGN Site tag and the
+    // library source (TitanLibrary.SOURCES)
+    function getSite() {
+        const adapter = activeAdapter();
+        return adapter ? adapter.site : CHESS_COM;
+    }
+
+    // the biggest of some elements, at least `min` px wide (and
+    // tall) — the main board, not a thumbnail
+    function largest(elements, min) {
+        let best = null, maxSize = 0;
+        elements.forEach(el => {
+            const r = el.getBoundingClientRect();
+            if (r.width * r.height > maxSize && r.width > min && r.height > min) { maxSize = r.width * r.height; best = el; }
+        });
+        return best;
+    }
+
     // try multiple selectors because chess.com uses different
     // elements depending on the page (live, daily, analysis, etc.)
     function findBoard() {
         if (T.boardElement && document.contains(T.boardElement)) return T.boardElement;
+        const adapter = activeAdapter();
+        if (adapter) return T.boardElement = adapter.findBoard();
 
         // preferred: custom elements (most live games)
-        const preciseBoards = document.querySelectorAll('chess-board, wc-chess-board');
-        if (preciseBoards.length > 0) {
-            let best = null, maxSize = 0;
-            preciseBoards.forEach(b => {
-                const r = b.getBoundingClientRect();
-                if (r.width * r.height > maxSize && r.width > 100) { maxSize = r.width * r.height; best = b; }
-            });
-            if (best) return T.boardElement = best;
-        }
+        const best = largest(document.querySelectorAll('chess-board, wc-chess-board'), 100);
+        if (best) return T.boardElement = best;
 
-        // fallback: generic selectors (older pages, analysis board)
-        const boards = document.querySelectorAll('#board-layout-chessboard, .board, #board');
-        let mainBoard = null, maxSize = 0;
-        boards.forEach(b => {
-            const rect = b.getBoundingClientRect();
-            const size = rect.width * rect.height;
-            if (size > maxSize && rect.width > 100 && rect.height > 100) { maxSize = size; mainBoard = b; }
-        });
-        return T.boardElement = mainBoard;
+        // fallback: generic selectors (older pages)
+        return T.boardElement = largest(document.querySelectorAll('#board-layout-chessboard, .board, #board'), 100);
     }
 
     // figure out if we're playing white or black.
@@ -53,6 +112,8 @@
     function getPlayerColor() {
         const board = findBoard();
         if (!board) return T.playerColor || 'w';
+        const adapter = activeAdapter();
+        if (adapter) return T.playerColor = adapter.orientation(board);
         if (board.classList.contains('flipped')) return T.playerColor = 'b';
 
         const coords = board.querySelectorAll('.coordinate, .coords, [class*="coordinate"]');
@@ -83,23 +144,24 @@
         return (T.boardCache = { board, rect }).rect;
     }
 
-    // scrape piece positions from the DOM and build a FEN string.
-    //
-    // chess.com puts pieces as child elements with classes like:
+    // ---------- FEN helpers (shared with the adapters) ----------
+
+    // chess.com's square-XY class → index into a 64-entry array
+    // (a8 = 0, h1 = 63), or -1. X is the file, Y the rank, 1-based.
+    function squareClassIndex(cls) {
+        const sq = cls.find(c => c.match(/square-\d+/));
+        const m = sq && sq.match(/\d+/);
+        if (!m || m[0].length < 2) return -1;
+        const idx = (8 - parseInt(m[0][1])) * 8 + parseInt(m[0][0]) - 1;
+        return idx >= 0 && idx < 64 ? idx : -1;
+    }
+
+    // piece placement from chess.com-style markup:
     //   .piece.wk.square-51  (white king on e1)
     //   .piece.bp.square-47  (black pawn on d7)
-    //
-    // the square-XY class encodes file (X) and rank (Y) as 1-indexed.
-    //
-    // side-to-move is guessed from the last-move highlight squares:
-    // if a white piece sits on a highlighted square, white just moved,
-    // so it's black's turn. not perfect but works 99% of the time.
-    function getFen() {
-        try {
-            const board = findBoard();
-            if (!board) return null;
-            let pos = new Array(64).fill(null);
-
+    // → 64 entries, a8 first: 'K', 'p' … or null
+    function readPieces(board) {
+        const pos = new Array(64).fill(null);
         board.querySelectorAll('.piece').forEach(p => {
             const cls = Array.from(p.classList);
             let color = cls.some(c => c.startsWith('w') && c.length === 2) ? 'w' : 'b';
@@ -113,18 +175,14 @@
             else if (cls.some(c => c.includes('queen') || c.includes('bq') || c.includes('wq'))) type = 'q';
             else if (cls.some(c => c.includes('king') || c.includes('bk') || c.includes('wk'))) type = 'k';
 
-            const sq = cls.find(c => c.match(/square-\d+/));
-            if (sq) {
-                const m = sq.match(/\d+/);
-                if (m && m[0].length >= 2) {
-                    const file = parseInt(m[0][0]) - 1, rank = 8 - parseInt(m[0][1]);
-                    const idx = rank * 8 + file;
-                    if (idx >= 0 && idx < 64) pos[idx] = color === 'w' ? type.toUpperCase() : type;
-                }
-            }
+            const idx = squareClassIndex(cls);
+            if (idx >= 0) pos[idx] = color === 'w' ? type.toUpperCase() : type;
         });
+        return pos;
+    }
 
-        // build the position part of FEN
+    // the placement field of a FEN from the 64-entry array
+    function placementFen(pos) {
         let fen = '';
         for (let r = 0; r < 8; r++) {
             let empty = 0;
@@ -134,51 +192,146 @@
             if (empty) fen += empty;
             if (r < 7) fen += '/';
         }
+        return fen;
+    }
 
-        // guess side to move from highlighted squares
-        let turn = 'w';
-        if (fen !== 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR') {
-            const hl = document.querySelectorAll('.highlight');
-            let hasHL = false, isWhite = false;
-            hl.forEach(h => {
-                const sq = Array.from(h.classList).find(c => c.match(/square-\d+/));
-                if (sq) {
-                    const m = sq.match(/\d+/);
-                    if (m && m[0].length >= 2) {
-                        const file = parseInt(m[0][0]) - 1, rank = 8 - parseInt(m[0][1]);
-                        const pc = pos[rank * 8 + file];
-                        if (pc) { hasHL = true; if (pc === pc.toUpperCase()) isWhite = true; }
-                    }
-                }
-            });
-            if (hasHL) turn = isWhite ? 'b' : 'w';
-        }
+    // castling rights for every king and rook still on its home
+    // square
+    function placementCastling(pos) {
+        let castling = '';
+        if (pos[60] === 'K' && pos[63] === 'R') castling += 'K';
+        if (pos[60] === 'K' && pos[56] === 'R') castling += 'Q';
+        if (pos[4] === 'k' && pos[7] === 'r') castling += 'k';
+        if (pos[4] === 'k' && pos[0] === 'r') castling += 'q';
+        return castling || '-';
+    }
 
-        // track castling rights by detecting when king/rook leave
-        // their starting squares. once moved, castling is permanently
-        // disabled for that side (even if the piece returns).
-        // flags are reset on new game detection in content.js.
-        if (pos[60] !== 'K') T.castleWhiteKingMoved = true;
-        if (pos[4] !== 'k') T.castleBlackKingMoved = true;
-        if (pos[56] !== 'R') T.castleWhiteRookAMoved = true;
-        if (pos[63] !== 'R') T.castleWhiteRookHMoved = true;
-        if (pos[0] !== 'r') T.castleBlackRookAMoved = true;
-        if (pos[7] !== 'r') T.castleBlackRookHMoved = true;
+    // guess side to move from the last-move highlight squares:
+    // if a white piece sits on a highlighted square, white just
+    // moved, so it's black's turn. not perfect but works 99% of the
+    // time. `squareOf(el)` gives a highlight's index (default: its
+    // chess.com square class); null when nothing is highlighted.
+    function sideFromHighlights(pos, highlights, squareOf) {
+        const index = squareOf || (el => squareClassIndex(Array.from(el.classList)));
+        let hasHL = false, isWhite = false;
+        highlights.forEach(h => {
+            const idx = index(h);
+            const pc = idx >= 0 ? pos[idx] : null;
+            if (pc) { hasHL = true; if (pc === pc.toUpperCase()) isWhite = true; }
+        });
+        return hasHL ? (isWhite ? 'b' : 'w') : null;
+    }
 
-        let castling = '';
-        if (pos[60] === 'K' && pos[63] === 'R' && !T.castleWhiteKingMoved && !T.castleWhiteRookHMoved) castling += 'K';
-        if (pos[60] === 'K' && pos[56] === 'R' && !T.castleWhiteKingMoved && !T.castleWhiteRookAMoved) castling += 'Q';
-        if (pos[4] === 'k' && pos[7] === 'r' && !T.castleBlackKingMoved && !T.castleBlackRookHMoved) castling += 'k';
-        if (pos[4] === 'k' && pos[0] === 'r' && !T.castleBlackKingMoved && !T.castleBlackRookAMoved) castling += 'q';
-        if (!castling) castling = '-';
+    // scrape piece positions from the DOM and build a FEN string
+    // (readPieces() above).
+    //
+    // side-to-move comes from the last-move highlights — see
+    // sideFromHighlights().
+    function getFen() {
+        try {
+            const board = findBoard();
+            if (!board) return null;
+            const adapter = activeAdapter();
+            if (adapter) return adapter.getFen(board);
+            const pos = readPieces(board);
+            const fen = placementFen(pos);
+
+            let turn = 'w';
+            if (fen !== 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR') {
+                turn = sideFromHighlights(pos, document.querySelectorAll('.highlight')) || 'w';
+            }
 
-        return `${fen} ${turn} ${castling} - 0 1`;
+            // track castling rights by detecting when king/rook leave
+            // their starting squares. once moved, castling is permanently
+            // disabled for that side (even if the piece returns).
+            // flags are reset on new game detection in content.js.
+            if (pos[60] !== 'K') T.castleWhiteKingMoved = true;
+            if (pos[4] !== 'k') T.castleBlackKingMoved = true;
+            if (pos[56] !== 'R') T.castleWhiteRookAMoved = true;
+            if (pos[63] !== 'R') T.castleWhiteRookHMoved = true;
+            if (pos[0] !== 'r') T.castleBlackRookAMoved = true;
+            if (pos[7] !== 'r') T.castleBlackRookHMoved = true;
+
+            let castling = '';
+            if (pos[60] === 'K' && pos[63] === 'R' && !T.castleWhiteKingMoved && !T.castleWhiteRookHMoved) castling += 'K';
+            if (pos[60] === 'K' && pos[56] === 'R' && !T.castleWhiteKingMoved && !T.castleWhiteRookAMoved) castling += 'Q';
+            if (pos[4] === 'k' && pos[7] === 'r' && !T.castleBlackKingMoved && !T.castleBlackRookHMoved) castling += 'k';
+            if (pos[4] === 'k' && pos[0] === 'r' && !T.castleBlackKingMoved && !T.castleBlackRookAMoved) castling += 'q';
+            if (!castling) castling = '-';
+
+            return `${fen} ${turn} ${castling} - 0 1`;
         } catch (err) {
             console.error('[TitanFree] getFen error', err);
             return null;
         }
     }
 
+    // the SAN of a list of move elements, one move each; anything
+    // that doesn't read as a move (numbers, results) is skipped.
+    //
+    // with figurine notation on, the piece letter lives in a
+    // data-figurine attribute on an icon span instead of in the
+    // text, so we walk the children and splice the letter back in
+    // where the icon sits:
+    //   <span data-figurine="N"></span>f3        → 'Nf3'
+    //   e8=<span data-figurine="Q"></span>       → 'e8=Q'
+    function readSans(nodes) {
+        function readSan(el) {
+            let out = '';
+            el.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) out += child.textContent;
+                else if (child.nodeType === Node.ELEMENT_NODE) {
+                    out += child.dataset && child.dataset.figurine ? child.dataset.figurine : readSan(child);
+                }
+            });
+            return out;
+        }
+
+        const moves = [];
+        nodes.forEach(node => {
+            const content = node.querySelector('.node-highlight-content') || node;
+            const san = readSan(content).replace(/\s+/g, '').replace(/^\d+\.+/, '');
+            if (/^([NBRQK]?[a-h]?[1-8]?x?[a-h][1-8](=?[NBRQ])?|O-O(-O)?)[+#]?$/.test(san)) moves.push(san);
+        });
+        return moves;
+    }
+
+    // read the game's moves (SAN) from chess.com's move list, where
+    // each half-move is a `.node` element. returns [] if there's no
+    // move list on the page.
+    function getMoveList() {
+        const adapter = activeAdapter();
+        if (adapter && adapter.getMoveList) return adapter.getMoveList();
+        const list = document.querySelector('wc-simple-move-list, wc-move-list, vertical-move-list, .move-list, .play-controller-moves');
+        if (!list) return [];
+        let nodes = list.querySelectorAll('.node');
+        if (!nodes.length) nodes = list.querySelectorAll('.move-text-component, [data-ply]');
+        return readSans(nodes);
+    }
+
+    // the result shown at the end of the move list, or '*'.
+    function getGameResult() {
+        const adapter = activeAdapter();
+        if (adapter && adapter.getGameResult) return adapter.getGameResult();
+        const el = document.querySelector('.game-result');
+        const text = el ? el.textContent.replace(/\s+/g, '').replace('½', '1/2') : '';
+        return ['1-0', '0-1', '1/2-1/2'].includes(text) ? text : '*';
+    }
+
+    // usernames above and below the board, as { top, bottom }.
+    // either is '' when the player box isn't there (puzzles,
+    // some analysis layouts).
+    function getPlayerNames() {
+        const adapter = activeAdapter();
+        if (adapter && adapter.getPlayerNames) return adapter.getPlayerNames();
+        function read(side) {
+            const box = document.querySelector(`#board-layout-player-${side}, .board-layout-${side}, .player-${side}`);
+            const name = box && box.querySelector('[data-test-element="user-tagline-username"], .user-username-component, .cc-user-username-component');
+            return name ? name.textContent.trim() : '';
+        }
+        return { top: read('top'), bottom: read('bottom') };
+    }
+
     // convert algebraic notation (e.g. 'e4') to screen pixel coords.
     // returns {x, y, w, h} where x,y is top-left of the square.
     // accounts for board orientation (white/black at bottom).
@@ -193,5 +346,9 @@
         return { x, y, w, h };
     }
 
-    window.TitanBoard = { findBoard, getPlayerColor, getBoardRect, getFen, sq2px };
+    window.TitanBoard = {
+        findBoard, getPlayerColor, getBoardRect, getFen, getMoveList, getGameResult, getPlayerNames, sq2px,
+        registerAdapter, activeAdapter, getSite,
+        largest, readPieces, placementFen, placementCastling, sideFromHighlights, readSans
+    };
 })();
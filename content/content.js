@@ -14,6 +14,7 @@
 // === THE MONITOR LOOP ===
 //
 // monitor() runs every 100ms via setInterval. it:
+//   - refreshes the fair-play lock (see below)
 //   - reads the current FEN from the DOM
 //   - detects new games (starting position after a non-start)
 //   - triggers analysis when the position changes on our turn
@@ -26,10 +27,28 @@
 // arrows are shown only on our turn, cleared on opponent's turn.
 // don't add turn checks in draw() or showMove() — keep it here.
 //
+// on an analysis board or a finished game (EVERY_TURN_STATES)
+// there is no "opponent's turn": both sides' moves are being
+// studied, so every position is analyzed and its arrows stay up
+// whoever is to move.
+//
 // 100ms is a good balance between responsiveness and CPU usage.
 // going lower (50ms) makes it snappier but burns more cycles.
 // going higher (200ms+) feels laggy on fast time controls.
 //
+// === FAIR-PLAY LOCKOUT ===
+//
+// every tick starts with TitanGameState.update(). while a live or
+// daily game is in progress the monitor still tracks the position
+// (so castling flags and new-game detection stay correct), but it
+// stops any running search, clears the overlay and returns before
+// the analysis logic. when the game ends the lock lifts on its own
+// and we force a re-analysis of the current position.
+//
+// while a post-game review is open (T.reviewMode) the monitor
+// stops right after the lock check — the review decides what's
+// drawn on the board until it's closed.
+//
 // === NEW GAME DETECTION ===
 //
 // we detect a new game by checking if the current FEN is the
@@ -38,8 +57,9 @@
 // the starting position).
 //
 // on new game: we disconnect the mutation observer, clear all
-// cached board references, send `ucinewgame` to reset the hash
-// table, and re-run setup() to find the new board element.
+// cached board references and re-run setup() to find the new
+// board element. the engine's hash table is shared with every
+// tab, so it isn't reset.
 //
 // === BOOT SEQUENCE ===
 //
@@ -63,15 +83,22 @@
 (function () {
     const T = window.TitanState;
     const B = window.TitanBoard;
+    const G = window.TitanGameState;
     const D = window.TitanDraw;
     const Eng = window.TitanEngine;
     const W = window.TitanWidget;
 
+    // game states where both sides' positions are analyzed (see top)
+    const EVERY_TURN_STATES = ['analysis', 'finished'];
+
     // core polling loop — called every 100ms.
     // reads the board state and decides what to do.
     // wrapped in try/catch so a DOM error doesn't kill the loop.
     function monitor() {
         try {
+            const wasLocked = T.locked;
+            G.update();
+
             const fen = B.getFen(), rect = B.getBoardRect();
             if (!fen || !rect) return;
 
@@ -89,18 +116,43 @@
                 T.castleWhiteKingMoved = T.castleBlackKingMoved = false;
                 T.castleWhiteRookAMoved = T.castleWhiteRookHMoved = false;
                 T.castleBlackRookAMoved = T.castleBlackRookHMoved = false;
+                G.reset();
+                if (T.reviewMode) W.closeReview();
                 W.updateQueueDisplay();
                 D.clearArrows();
-                // reset hash table on new game so stale positions don't pollute results
-                if (T.stockfishWorker && T.engineReady) {
-                    T.stockfishWorker.postMessage('ucinewgame');
-                }
+                // no ucinewgame: the hash table is shared with every
+                // other tab (see enginehost.js) and keyed by position,
+                // so the last game's entries can't mislead this one
                 setup();
             }
 
             const turn = fen.split(' ')[1] || 'w';
             T.myTurnColor = B.getPlayerColor();
-            const isMyTurn = (turn === T.myTurnColor);
+            const isMyTurn = turn === T.myTurnColor || EVERY_TURN_STATES.includes(T.gameState);
+
+            // game in progress — engine stays silent. keep currentFen
+            // in sync so we don't replay every skipped move later.
+            if (T.locked) {
+                if (!wasLocked) {
+                    Eng.stop();
+                    T.moveQueue = [];
+                    T.pendingArrows = [];
+                    T.pvLines = [];
+                    T.pvFen = '';
+                    W.updateQueueDisplay();
+                    W.updatePvLines();
+                }
+                if (T.reviewMode) W.closeReview();
+                if (T.arrows.length > 0) D.clearArrows();
+                T.currentFen = fen;
+                return;
+            }
+
+            // review mode owns the overlay — leave its arrows alone
+            if (T.reviewMode) return;
+
+            // lock just lifted (game over) — analyze the final position
+            if (wasLocked) T.currentFen = '';
 
             // position changed — new move was made
             if (fen !== T.currentFen) {
@@ -109,7 +161,8 @@
                 T.pendingArrows = [];
                 D.clearArrows();
 
-                // only analyze on our turn (or pre-analyze in queue mode)
+                // only analyze on our turn (or pre-analyze in queue mode);
+                // on analysis and finished-game pages every turn is ours
                 if (isMyTurn) {
                     Eng.analyze(fen);
                 } else if (T.queueMode) {
@@ -158,23 +211,27 @@
 
     // handle messages from the popup or background script.
     // the popup sends SET_ELO when user changes elo there,
-    // CLEAR_ARROWS to manually wipe arrows, and SET_ARROW_COLOR
-    // for color changes from the popup UI.
-    chrome.runtime.onMessage.addListener((msg) => {
+    // CLEAR_ARROWS to manually wipe arrows, SET_ARROW_COLOR
+    // for color changes from the popup UI, and GET_GAME_STATE
+    // to show the fair-play lock status.
+    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         if (!msg || typeof msg.type !== 'string') return true;
-        if (msg.type === 'SET_ELO' && msg.elo) Eng.setElo(msg.elo);
+        if (msg.type === 'GET_GAME_STATE') sendResponse({ state: T.gameState, locked: T.locked });
+        else if (msg.type === 'SET_ELO' && msg.elo) Eng.setElo(msg.elo);
         else if (msg.type === 'CLEAR_ARROWS') D.clearArrows();
         else if (msg.type === 'SET_ARROW_COLOR' && msg.color) {
             T.arrowColor = msg.color;
             chrome.storage.local.set({ arrowColor: msg.color });
             if (T.arrows.length) D.draw(true);
+        } else if (msg.type === 'SET_EVAL_BAR' && T.locked) {
+            W.showStatusNotification('EVAL BAR: LOCKED DURING PLAY');
         }
         return true; // required for async message handling
     });
 
     // === BOOT ===
     // load saved settings first, then start the engine.
-    // engine init is async (fetches WASM, creates blob worker).
+    // engine init is async (waits for the shared engine host).
     chrome.storage.local.get(['arrowColor', 'elo', 'arrowMode'], (r) => {
         if (r.arrowColor) T.arrowColor = r.arrowColor;
         if (r.arrowMode) T.arrowMode = r.arrowMode;
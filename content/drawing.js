@@ -2,9 +2,10 @@
 // titan-free :: move visualization (DOM injection)
 // ============================================================
 //
-// renders move suggestions directly inside the chess.com board
-// element using injected DOM elements. this approach is far more
-// reliable than canvas overlay because:
+// renders move suggestions directly inside the board element
+// (chess.com's, or a board adapter's — see board.js) using
+// injected DOM elements. this approach is far more reliable than
+// canvas overlay because:
 //   - elements inherit the board's coordinate system automatically
 //   - no pixel math, no DPR scaling, no viewport quirks
 //   - works identically on desktop and mobile
@@ -19,6 +20,22 @@
 //   - highlight: colored div overlays on from/to squares
 //   - arrow: SVG arrow injected into the board
 //
+// each entry in T.arrows[] may carry its own `color` (the review
+// draws the played move and the engine's move in different
+// colors); entries without one use T.arrowColor.
+//
+// multipv lines add `rank`, `scale` and `opacity` (see
+// multipv.js): lower-ranked arrows are thinner and fainter, and
+// every ranked arrow gets a small number badge at its head.
+//
+// a `dashed` entry (TitanThreat.arrow — the threat in THREAT
+// mode) is drawn dashed, without the glow, so it doesn't read as
+// a move to play.
+//
+// an entry with `square` instead of `move` is a circle — the
+// user drawings of a reviewed game (TitanShapes.toArrows). in
+// highlight mode it's a highlighted square.
+//
 // draw() renders whatever is in T.arrows[]. turn-based visibility
 // is handled by monitor() in content.js — draw() just renders.
 // ============================================================
@@ -30,6 +47,10 @@
     // container for our injected elements, lives inside the board
     let overlayContainer = null;
 
+    // arrowhead marker ids must be unique per arrow — several arrows
+    // drawn in the same millisecond would otherwise share one color
+    let markerSeq = 0;
+
     // convert algebraic square (e.g. 'e4') to chess.com's
     // percentage-based coordinates for CSS transform.
     // returns {xPct, yPct} where each is a multiple of 100%.
@@ -58,7 +79,10 @@
         overlayContainer = document.createElement('div');
         overlayContainer.className = 'titan-overlay';
         overlayContainer.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;z-index:100;';
-        board.style.position = board.style.position || 'relative';
+        // the overlay is placed against the board: a board that
+        // isn't positioned yet becomes relative (lichess' is
+        // absolute already and must stay so)
+        if (getComputedStyle(board).position === 'static') board.style.position = 'relative';
         board.appendChild(overlayContainer);
         return overlayContainer;
     }
@@ -75,8 +99,32 @@
         return el;
     }
 
-    // create an SVG arrow between two squares
-    function createArrowSvg(from, to, orientation, color) {
+    // create an SVG ring around a square
+    function createCircleSvg(sq, orientation, color) {
+        const p = sqToTransform(sq, orientation);
+        if (!p) return null;
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'titan-arrow');
+        svg.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;overflow:visible;';
+        svg.setAttribute('viewBox', '0 0 800 800');
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('cx', p.xPct + 50); circle.setAttribute('cy', p.yPct + 50);
+        circle.setAttribute('r', '45');
+        circle.setAttribute('fill', 'none');
+        circle.setAttribute('stroke', color);
+        circle.setAttribute('stroke-width', '7');
+        circle.setAttribute('stroke-opacity', '0.8');
+        svg.appendChild(circle);
+        return svg;
+    }
+
+    // create an SVG arrow between two squares.
+    // style: optional { rank, scale, opacity } for multipv arrows,
+    // { dashed } for a threat.
+    function createArrowSvg(from, to, orientation, color, style) {
+        const st = style || {};
+        const scale = st.scale || 1;
+        const opacity = st.opacity || 0.9;
         const f = sqToTransform(from, orientation);
         const t = sqToTransform(to, orientation);
         if (!f || !t) return null;
@@ -92,7 +140,7 @@
 
         const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
         const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-        const markerId = 'titan-head-' + Date.now();
+        const markerId = 'titan-head-' + Date.now() + '-' + (++markerSeq);
         marker.setAttribute('id', markerId);
         marker.setAttribute('markerWidth', '4');
         marker.setAttribute('markerHeight', '4');
@@ -107,29 +155,57 @@
         svg.appendChild(defs);
 
         // glow line (wider, semi-transparent)
-        const glow = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        glow.setAttribute('x1', fx); glow.setAttribute('y1', fy);
-        glow.setAttribute('x2', tx); glow.setAttribute('y2', ty);
-        glow.setAttribute('stroke', color);
-        glow.setAttribute('stroke-width', '28');
-        glow.setAttribute('stroke-opacity', '0.3');
-        glow.setAttribute('stroke-linecap', 'round');
-        svg.appendChild(glow);
+        if (!st.dashed) {
+            const glow = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            glow.setAttribute('x1', fx); glow.setAttribute('y1', fy);
+            glow.setAttribute('x2', tx); glow.setAttribute('y2', ty);
+            glow.setAttribute('stroke', color);
+            glow.setAttribute('stroke-width', String(28 * scale));
+            glow.setAttribute('stroke-opacity', String(0.3 * opacity / 0.9));
+            glow.setAttribute('stroke-linecap', 'round');
+            svg.appendChild(glow);
+        }
 
         // solid line
         const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
         line.setAttribute('x1', fx); line.setAttribute('y1', fy);
         line.setAttribute('x2', tx); line.setAttribute('y2', ty);
         line.setAttribute('stroke', color);
-        line.setAttribute('stroke-width', '18');
-        line.setAttribute('stroke-opacity', '0.9');
+        line.setAttribute('stroke-width', String(18 * scale));
+        line.setAttribute('stroke-opacity', String(opacity));
         line.setAttribute('stroke-linecap', 'round');
+        if (st.dashed) line.setAttribute('stroke-dasharray', '24 36');
         line.setAttribute('marker-end', `url(#${markerId})`);
         svg.appendChild(line);
 
+        // rank badge in the corner of the destination square
+        if (st.rank) svg.appendChild(createRankBadge(tx + 30, ty - 30, st.rank, color));
+
         return svg;
     }
 
+    function createRankBadge(x, y, rank, color) {
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('cx', x); circle.setAttribute('cy', y);
+        circle.setAttribute('r', '16');
+        circle.setAttribute('fill', color);
+        circle.setAttribute('stroke', '#000');
+        circle.setAttribute('stroke-width', '2');
+        g.appendChild(circle);
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x); text.setAttribute('y', y);
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'central');
+        text.setAttribute('font-size', '20');
+        text.setAttribute('font-weight', '700');
+        text.setAttribute('font-family', 'sans-serif');
+        text.setAttribute('fill', '#000');
+        text.textContent = String(rank);
+        g.appendChild(text);
+        return g;
+    }
+
     // main render function — clears previous overlays and draws
     // whatever is in T.arrows[]. called from monitor loop.
     function draw(force) {
@@ -148,17 +224,26 @@
             T.forceRedraw = false;
 
             T.arrows.forEach(a => {
+                if (a && a.square) {
+                    const el = T.arrowMode === 'highlight'
+                        ? createHighlightEl(a.square, orientation, a.color || color, 0.5)
+                        : createCircleSvg(a.square, orientation, a.color || color);
+                    if (el) container.appendChild(el);
+                    return;
+                }
                 if (!a || !a.move || a.move.length < 4) return;
                 const from = a.move.substring(0, 2), to = a.move.substring(2, 4);
+                const arrowColor = a.color || color;
 
                 if (T.arrowMode === 'highlight') {
-                    const fromEl = createHighlightEl(from, orientation, color, 0.35);
-                    const toEl = createHighlightEl(to, orientation, color, 0.5);
+                    const fade = (a.opacity || 0.9) / 0.9;
+                    const fromEl = createHighlightEl(from, orientation, arrowColor, 0.35 * fade);
+                    const toEl = createHighlightEl(to, orientation, arrowColor, 0.5 * fade);
                     if (fromEl) container.appendChild(fromEl);
                     if (toEl) container.appendChild(toEl);
                 } else {
                     // arrow mode (SVG)
-                    const arrowEl = createArrowSvg(from, to, orientation, color);
+                    const arrowEl = createArrowSvg(from, to, orientation, arrowColor, a);
                     if (arrowEl) container.appendChild(arrowEl);
                 }
             });
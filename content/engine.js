@@ -5,26 +5,19 @@
 // this is the brain of the extension. we run stockfish entirely
 // in the browser using WebAssembly — no server needed.
 //
-// IMPORTANT: chrome content scripts can't do `new Worker(url)`
-// with extension URLs. so we fetch the JS + WASM files, stuff
-// them into a Blob, and create the Worker from that. don't try
-// to "simplify" this — it'll break with a DOMException.
+// the engine itself isn't in this tab: every search goes through
+// a TitanUci client (uci.js) to the shared engine host, so all
+// chess.com tabs and the analysis board share one Stockfish, one
+// WASM load and one hash table. this module decides what to
+// search and what to do with the answer.
 //
 // === HOW ELO WORKS ===
 //
-// each elo level maps to a stockfish config:
-//   - skillLevel: stockfish's internal skill (0-20)
-//   - depth: how many moves ahead to search
-//   - uciElo: UCI_Elo option (limits engine strength)
-//   - errorRate: chance to intentionally skip a move
-//     (makes the engine feel more human at lower levels)
-//   - movetime: (optional) max analysis time in ms for high elo
-//     levels. when set, stockfish uses `go depth X movetime Y`
-//     so it searches as deep as possible within the time cap.
-//
-// want to add a new elo level? add it to ELO_LEVELS, ELO_LABELS,
-// ELO_CONFIG, and COMBAT_CONFIG. keep them in sync or the widget
-// will break.
+// each elo level maps to a stockfish config (skill level, depth,
+// UCI_Elo, optional movetime cap). the tables — ELO_LEVELS,
+// ELO_LABELS, ELO_CONFIG and COMBAT_CONFIG — live in strength.js
+// (window.TitanStrength) so the analysis board's PLAY opponent
+// uses the same levels; they're re-exported here for the widget.
 //
 // COMBAT mode uses COMBAT_CONFIG instead — same elo keys but
 // with higher depth and skill for each level. it's basically
@@ -32,314 +25,194 @@
 //
 // === PERFORMANCE ===
 //
-// - hash table (16MB): set on engine init via `setoption name
-//   Hash value 16`. caches evaluated positions so subsequent
-//   moves in the same game are faster.
-// - no `ucinewgame` per analysis: only sent on new game
-//   detection (in content.js). this preserves the hash table
-//   across moves within the same game.
+// - hash table: the host owns it (32MB, shared by everyone) and
+//   never clears it, so positions cached in one game or tab help
+//   the next.
 // - movetime caps: high elo levels (2500+) use movetime to
 //   prevent analysis from taking too long on complex positions.
 //
 // === ABORT & RETRY ===
 //
-// when a new position arrives while analysis is in progress:
-//   1. send 'stop' to abort the current search
-//   2. increment ignoreNextBestmove so the stale bestmove
-//      from 'stop' is discarded
-//   3. start fresh analysis for the new position
+// live searches run on one client (`live`). when a new position
+// arrives while one is in progress, analyze() on the client stops
+// the old search — nothing from it reaches us — and starts fresh.
+// the client's own allowance catches a search that never ends.
+//
+// === REVIEW JOBS ===
+//
+// evaluate(fen, limits) is the promise-based entry point used by
+// the post-game review: TitanUci's evaluate() on a second client
+// (`review`), at full strength and 'review' priority. it resolves
+// with the bestmove and the principal line's score/depth/pv, from
+// the side to move's point of view. live searches keep their elo
+// options, search by search. only one review job runs at a time;
+// callers await each one.
+//
+// === MULTIPV LINES ===
+//
+// on analysis and finished-game pages (LINES_STATES) analyze()
+// sets stockfish's MultiPV to T.multiPv (1-5) and collects every
+// line's score/depth/pv into T.pvLines as `info` lines come in;
+// the widget's ENGINE LINES panel repaints from there (throttled).
+// when the search ends the top lines are drawn as ranked arrows.
+// everywhere else MultiPV stays at 1 and nothing is collected.
+// review jobs always run with MultiPV 1.
+//
+// === THREAT MODE ===
+//
+// with the widget's THREAT mode on, a search on an analysis page
+// (THREAT_STATES) is followed by a null-move search for what the
+// side that just moved threatens (TitanThreat, on a third client
+// at full strength). it lands in T.threat, for the ENGINE LINES
+// panel, and as a dashed arrow next to the move. threat(fen) is
+// the same search for the widget's review. never on a game page:
+// a live game is locked, a finished one isn't "analysis".
+//
+// === FAIR-PLAY LOCKOUT ===
+//
+// analyze(), preAnalyze(), showMove() and threat() refuse to do anything
+// while TitanGameState.isLocked() is true (a live or daily game
+// is in progress). monitor() already skips them in that state;
+// the checks here are a second line of defence so no other caller
+// can sneak a suggestion onto the board mid-game.
 //
 // === WHAT NOT TO CHANGE ===
 //
-// - the blob Worker creation in initEngine() — this is the only
-//   pattern that works in MV3 content scripts
-// - the WASM_BUFFER message handshake — the worker needs the
-//   binary before it can initialize stockfish
-// - the uci retry loop — stockfish sometimes needs a few pokes
-//   before it responds with 'uciok'
+// - the lockout checks at the top of analyze/preAnalyze/showMove
+// - the stopped-search check: a search the client stopped must
+//   never touch T.arrows or T.pvLines
 // ============================================================
 
 (function () {
     const T = window.TitanState;
     const D = window.TitanDraw;
+    const G = window.TitanGameState;
+    const Mpv = window.TitanMultiPv;
+    const Uci = window.TitanUci;
+    const Threat = window.TitanThreat;
 
-    // elo levels shown in the widget slider.
-    const ELO_LEVELS = [1000, 1200, 1300, 1400, 1500, 1600, 1700, 1800, 1900, 2000, 2200, 2500, 2800, 3000];
-    const ELO_LABELS = ['BRONZE', 'BRONZE+', 'SILVER', 'SILVER+', 'SILVER++', 'GOLD', 'GOLD+', 'GOLD++', 'EXPERT', 'MASTER', 'IM', 'GM', 'SUPER GM', 'STOCKFISH'];
+    // strength levels (strength.js), re-exported for the widget
+    const S = window.TitanStrength;
+    const ELO_LEVELS = S.ELO_LEVELS;
+    const ELO_LABELS = S.ELO_LABELS;
+    const ELO_CONFIG = S.ELO_CONFIG;
+    const COMBAT_CONFIG = S.COMBAT_CONFIG;
 
-    // normal mode config — tweak these if you want different
-    // playing strength at each level. errorRate is the probability
-    // that the engine "misses" a move (0.25 = 25% chance to skip).
-    // human-like: lower elo = shallower depth + more errors.
-    // higher elo = deeper search, near-zero error rate.
-    //
-    // === UCI_LimitStrength ===
-    // levels 1000-2800: UCI_LimitStrength = true, UCI_Elo = <uciElo>
-    //   stockfish artificially weakens itself to play at the target rating.
-    // level 3000 (unlimited: true): UCI_LimitStrength = false
-    //   stockfish plays at FULL, unrestricted strength. no elo cap.
-    //   this is raw stockfish — the strongest possible play in WASM.
-    const ELO_CONFIG = {
-        '1000': { skillLevel: 1,  depth: 5,  uciElo: 800,  errorRate: 0.30 },
-        '1200': { skillLevel: 3,  depth: 7,  uciElo: 1100, errorRate: 0.22 },
-        '1300': { skillLevel: 5,  depth: 8,  uciElo: 1250, errorRate: 0.18 },
-        '1400': { skillLevel: 7,  depth: 9,  uciElo: 1350, errorRate: 0.14 },
-        '1500': { skillLevel: 9,  depth: 10, uciElo: 1450, errorRate: 0.10 },
-        '1600': { skillLevel: 11, depth: 11, uciElo: 1550, errorRate: 0.08 },
-        '1700': { skillLevel: 13, depth: 12, uciElo: 1650, errorRate: 0.06 },
-        '1800': { skillLevel: 15, depth: 13, uciElo: 1750, errorRate: 0.04 },
-        '1900': { skillLevel: 17, depth: 14, uciElo: 1850, errorRate: 0.03 },
-        '2000': { skillLevel: 18, depth: 16, uciElo: 2000, errorRate: 0.02 },
-        '2200': { skillLevel: 19, depth: 18, uciElo: 2200, errorRate: 0.01 },
-        '2500': { skillLevel: 20, depth: 20, uciElo: 2500, errorRate: 0.005, movetime: 5000 },
-        '2800': { skillLevel: 20, depth: 20, uciElo: 2800, errorRate: 0.0,   movetime: 6000 },
-        '3000': { skillLevel: 20, depth: 22, uciElo: 3000, errorRate: 0.0, movetime: 3000, unlimited: true }
-    };
+    // suggestions and lines, and the post-game review
+    const live = new Uci.Client({ priority: 'live' });
+    const review = new Uci.Client({ priority: 'review' });
+    const threats = new Uci.Client({ priority: 'live' });
 
-    // combat mode — same keys, but cranked up.
-    // depth is higher, skill is higher, error rate is lower.
-    // this is what kicks in when the user hits the COMBAT button.
-    const COMBAT_CONFIG = {
-        '1000': { skillLevel: 3,  depth: 10, uciElo: 1100, errorRate: 0.15 },
-        '1200': { skillLevel: 6,  depth: 12, uciElo: 1350, errorRate: 0.12 },
-        '1300': { skillLevel: 9,  depth: 14, uciElo: 1450, errorRate: 0.10 },
-        '1400': { skillLevel: 12, depth: 16, uciElo: 1550, errorRate: 0.08 },
-        '1500': { skillLevel: 15, depth: 18, uciElo: 1650, errorRate: 0.06 },
-        '1600': { skillLevel: 17, depth: 20, uciElo: 1750, errorRate: 0.04 },
-        '1700': { skillLevel: 18, depth: 22, uciElo: 1850, errorRate: 0.03 },
-        '1800': { skillLevel: 19, depth: 24, uciElo: 1950, errorRate: 0.02 },
-        '1900': { skillLevel: 20, depth: 26, uciElo: 2100, errorRate: 0.01 },
-        '2000': { skillLevel: 20, depth: 28, uciElo: 2300, errorRate: 0.005 },
-        '2200': { skillLevel: 20, depth: 30, uciElo: 2500, errorRate: 0.0 },
-        '2500': { skillLevel: 20, depth: 32, uciElo: 2800, errorRate: 0.0,   movetime: 8000 },
-        '2800': { skillLevel: 20, depth: 24, uciElo: 3000, errorRate: 0.0,   movetime: 10000 },
-        '3000': { skillLevel: 20, depth: 25, uciElo: 3200, errorRate: 0.0, movetime: 5000, unlimited: true }
-    };
+    // whether the running live search feeds T.pvLines
+    let linesActive = false;
 
-    // stuck analysis timeout — if analyzing stays true for >10s,
-    // something went wrong (worker crash, no bestmove response).
-    // we force-reset it so future analysis isn't permanently blocked.
-    let analyzeWatchdog = null;
+    // true while initEngine() waits for the host
+    let starting = false;
 
-    // when we send 'stop' to abort a previous analysis, stockfish
-    // responds with a bestmove we need to ignore. this counter
-    // tracks how many 'stop' bestmoves to skip.
-    let ignoreNextBestmove = 0;
+    // game states where the engine reports multipv lines
+    const LINES_STATES = ['analysis', 'finished'];
 
-    function startAnalyzeWatchdog() {
-        clearTimeout(analyzeWatchdog);
-        // scale timeout: use movetime if set (+ 5s buffer), otherwise
-        // base 15s + 1.5s per depth level above 10.
-        const configTable = T.combatMode ? COMBAT_CONFIG : ELO_CONFIG;
-        const cfg = configTable[T.currentElo] || configTable['1000'];
-        const timeout = cfg.movetime
-            ? cfg.movetime + 5000
-            : 15000 + Math.max(0, cfg.depth - 10) * 1500;
-        analyzeWatchdog = setTimeout(() => {
-            if (T.analyzing) {
-                console.warn(`[TitanFree] analysis stuck for >${timeout/1000}s, force-resetting`);
-                T.analyzing = false;
-                if (T.stockfishWorker) {
-                    try {
-                        T.stockfishWorker.postMessage('stop');
-                        ignoreNextBestmove++;
-                    } catch (e) {}
-                }
-            }
-        }, timeout);
-    }
+    // game states where THREAT mode searches threats
+    const THREAT_STATES = ['analysis'];
+    const THREAT_DEPTH = 14;
 
-    function clearAnalyzeWatchdog() {
-        clearTimeout(analyzeWatchdog);
-        analyzeWatchdog = null;
-    }
+    // when the lines panel was last repainted
+    let linesPaintedAt = 0;
+    const LINES_PAINT_MS = 200;
 
-    // boot up stockfish. fetches the JS and WASM files from the
-    // extension bundle, wraps them in a Blob Worker, and waits
-    // for 'uciok'. the retry loop is needed because the WASM
-    // init is async and stockfish might not be ready immediately.
+    // wait for the shared engine host. the first page to ask opens
+    // it; after that it's already up and this resolves at once.
     function initEngine() {
-        if (T.stockfishWorker) return;
-        try {
-            const wasmUrl = chrome.runtime.getURL('engine/stockfish.wasm');
-            const jsUrl = chrome.runtime.getURL('engine/stockfish.js');
-
-            Promise.all([
-                fetch(jsUrl).then(r => r.text()),
-                fetch(wasmUrl).then(r => r.arrayBuffer())
-            ]).then(([jsCode, wasmBuffer]) => {
-                // this blob trick is required because content scripts
-                // can't create Workers from chrome-extension:// URLs.
-                // we inline the stockfish JS and intercept WASM fetches.
-                const workerCode = `
-                    let wasmBinary = null;
-                    let stockfishReady = false;
-                    const initListener = function(e) {
-                        if (e.data && e.data.type === 'WASM_BUFFER') {
-                            wasmBinary = new Uint8Array(e.data.buffer);
-                            self.removeEventListener('message', initListener);
-                            initStockfish();
-                        }
-                    };
-                    self.addEventListener('message', initListener);
-                    function initStockfish() {
-                        WebAssembly.instantiateStreaming = function(source, importObject) {
-                            return WebAssembly.instantiate(wasmBinary, importObject);
-                        };
-                        self.locateFile = function(path) { return 'stockfish.wasm'; };
-                        const originalFetch = self.fetch;
-                        self.fetch = function(url, options) {
-                            if (typeof url === 'string' && url.includes('.wasm')) {
-                                return Promise.resolve(new Response(wasmBinary, {
-                                    status: 200, headers: { 'Content-Type': 'application/wasm' }
-                                }));
-                            }
-                            return originalFetch(url, options);
-                        };
-                        ${jsCode}
-                    }
-                `;
-                const blob = new Blob([workerCode], { type: 'application/javascript' });
-                T.stockfishWorker = new Worker(URL.createObjectURL(blob));
-
-                T.stockfishWorker.onmessage = (e) => {
-                    const line = e.data;
-                    if (typeof line !== 'string') return;
-
-                    if (line === 'uciok') {
-                        T.engineReady = true;
-                        // default: limit strength. setElo() will override this
-                        // to false for mode 3000 (unlimited full power).
-                        T.stockfishWorker.postMessage('setoption name UCI_LimitStrength value true');
-                        // allocate hash table for position caching (16MB default,
-                        // setElo() bumps to 32MB for mode 3000).
-                        T.stockfishWorker.postMessage('setoption name Hash value 16');
-                        setElo(T.currentElo);
-                        if (window.TitanWidget) window.TitanWidget.updateStatus(true);
-                    } else if (line.startsWith('bestmove')) {
-                        if (ignoreNextBestmove > 0) {
-                            // this bestmove is from a 'stop' command — discard it
-                            ignoreNextBestmove--;
-                            return;
-                        }
-                        const match = line.match(/bestmove ([a-h][1-8][a-h][1-8])/);
-                        if (match) showMove(match[1]);
-                        T.analyzing = false;
-                        clearAnalyzeWatchdog();
-                    }
-                };
-
-                T.stockfishWorker.onerror = (err) => {
-                    console.error('[TitanFree] engine error', err);
-                    T.analyzing = false;
-                    clearAnalyzeWatchdog();
-                    if (window.TitanWidget) window.TitanWidget.updateStatus(false);
-                    // attempt auto-restart after worker crash
-                    T.stockfishWorker = null;
-                    T.engineReady = false;
-                    console.warn('[TitanFree] attempting engine restart in 2s...');
-                    setTimeout(() => initEngine(), 2000);
-                };
-
-                // send the WASM binary to the worker (transferable for speed)
-                T.stockfishWorker.postMessage({ type: 'WASM_BUFFER', buffer: wasmBuffer }, [wasmBuffer]);
-
-                // stockfish needs a few 'uci' pokes before it responds.
-                // we retry every 500ms, up to 20 times (10 seconds).
-                let uciRetries = 0;
-                const uciInterval = setInterval(() => {
-                    if (T.engineReady) { clearInterval(uciInterval); return; }
-                    if (uciRetries > 20) {
-                        clearInterval(uciInterval);
-                        console.error('[TitanFree] engine failed to respond after 20 retries');
-                        if (window.TitanWidget) {
-                            window.TitanWidget.updateStatus(false);
-                            window.TitanWidget.showStatusNotification('ENGINE: FAILED TO START');
-                        }
-                        return;
-                    }
-                    T.stockfishWorker.postMessage('uci');
-                    uciRetries++;
-                }, 500);
-            }).catch(err => {
-                console.error('[TitanFree] failed to fetch engine files', err);
-                if (window.TitanWidget) {
-                    window.TitanWidget.updateStatus(false);
-                    window.TitanWidget.showStatusNotification('ENGINE: LOAD FAILED');
-                }
-            });
-        } catch (err) {
-            console.error('[TitanFree] engine init failed', err);
+        if (T.engineReady || starting) return;
+        starting = true;
+        Promise.all([live.init(), review.init(), threats.init()]).then(() => {
+            T.engineReady = true;
+            if (window.TitanWidget) window.TitanWidget.updateStatus(true);
+        }).catch(err => {
+            console.error('[TitanFree] engine host failed to start', err);
             if (window.TitanWidget) {
                 window.TitanWidget.updateStatus(false);
-                window.TitanWidget.showStatusNotification('ENGINE: INIT ERROR');
+                window.TitanWidget.showStatusNotification('ENGINE: FAILED TO START');
             }
-        }
+        }).finally(() => { starting = false; });
     }
 
-    // apply elo settings to the running engine.
-    // called when user changes elo in the widget, or on startup.
+    // remember the elo level. called when user changes elo in the
+    // widget, or on startup. the level's options (S.uciOptions)
+    // go with every live search from now on:
     //
     // for levels 1000-2800: UCI_LimitStrength = true, UCI_Elo = target.
     //   this makes stockfish play at a capped rating.
     // for level 3000 (unlimited): UCI_LimitStrength = false.
-    //   no artificial cap — full stockfish strength.
-    //   hash bumped to 32MB, Contempt 50 (anti-draw).
+    //   no artificial cap — full stockfish strength, Contempt 50
+    //   (anti-draw).
     function setElo(elo) {
         T.currentElo = elo;
-        const configTable = T.combatMode ? COMBAT_CONFIG : ELO_CONFIG;
-        const cfg = configTable[elo] || configTable['1000'];
-        if (T.engineReady && T.stockfishWorker) {
-            if (cfg.unlimited) {
-                // mode 3000: disable strength limiter for full stockfish power.
-                // UCI_LimitStrength false = no artificial cap on engine strength.
-                // also bump hash to 32MB for deeper search caching.
-                // Contempt 50 = engine avoids draws aggressively.
-                T.stockfishWorker.postMessage('setoption name UCI_LimitStrength value false');
-                T.stockfishWorker.postMessage('setoption name Hash value 32');
-                T.stockfishWorker.postMessage('setoption name Contempt value 50');
-            } else {
-                T.stockfishWorker.postMessage('setoption name UCI_LimitStrength value true');
-                T.stockfishWorker.postMessage('setoption name Hash value 16');
-                T.stockfishWorker.postMessage(`setoption name UCI_Elo value ${cfg.uciElo}`);
-            }
-            T.stockfishWorker.postMessage(`setoption name Skill Level value ${cfg.skillLevel}`);
-        }
     }
 
     // send a position to stockfish for analysis.
     // picks config from COMBAT_CONFIG or ELO_CONFIG based on mode.
-    // if already analyzing, send 'stop' first to abort the previous
-    // search — this prevents the "stuck analysis" issue where a
-    // new position never gets analyzed because analyzing=true.
+    // if already analyzing, the old search is stopped first — this
+    // prevents the "stuck analysis" issue where a new position
+    // never gets analyzed because analyzing=true.
     function analyze(fen) {
-        if (!T.engineReady || !T.stockfishWorker) return;
+        if (G.isLocked()) return;
+        if (!T.engineReady) return;
+        const cfg = S.config(T.currentElo, T.combatMode);
+        // use movetime as a cap if configured — stockfish searches
+        // up to the depth limit but stops early if time runs out.
+        // this gives best-of-both: deep search when fast, time cap when slow.
+        search(fen, { depth: cfg.depth, movetime: cfg.movetime });
+    }
+
+    // queue mode: analyze during opponent's turn at reduced depth.
+    // this gives us a head start so the arrow appears faster
+    // when it becomes our turn.
+    function preAnalyze(fen) {
+        if (G.isLocked()) return;
+        if (!T.engineReady) return;
+        const cfg = S.config(T.currentElo, T.combatMode);
+        // pre-analyze at reduced depth, capped at 3 seconds
+        search(fen, { depth: Math.max(6, cfg.depth - 4), movetime: 3000 });
+    }
+
+    // start a live search, replacing the one in flight
+    function search(fen, limits) {
         if (T.analyzing) {
-            T.stockfishWorker.postMessage('stop');
-            ignoreNextBestmove++;
             T.pendingArrows = [];
             T.arrows = [];
         }
         T.analyzing = true;
-        startAnalyzeWatchdog();
-        const configTable = T.combatMode ? COMBAT_CONFIG : ELO_CONFIG;
-        const cfg = configTable[T.currentElo] || configTable['1000'];
-        // don't send 'ucinewgame' here — it resets the hash table
-        // and kills all cached positions. only sent on actual new games.
-        T.stockfishWorker.postMessage(`position fen ${fen}`);
-        // use movetime as a cap if configured — stockfish searches
-        // up to the depth limit but stops early if time runs out.
-        // this gives best-of-both: deep search when fast, time cap when slow.
-        const goCmd = cfg.movetime
-            ? `go depth ${cfg.depth} movetime ${cfg.movetime}`
-            : `go depth ${cfg.depth}`;
-        T.stockfishWorker.postMessage(goCmd);
+        const n = beginLines(fen);
+        live.setElo(T.currentElo, T.combatMode);
+        live.setMultiPv(n || 1);
+        live.analyze(fen, limits)
+            .on('lines', (lines) => {
+                if (!linesActive) return;
+                T.pvLines = lines;
+                paintLines(false);
+            })
+            .then(res => {
+                T.analyzing = false;
+                if (res.bestmove) showMove(res.bestmove, linesActive && n > 1 ? Mpv.rankedArrows(res.lines) : null);
+                if (linesActive) paintLines(true);
+                if (T.currentMode === 'threat' && THREAT_STATES.includes(T.gameState)) showThreat(fen);
+            }, err => {
+                if (err.stopped) return;
+                T.analyzing = false;
+                Uci.quiet(err);
+            });
     }
 
     // called when stockfish returns a bestmove.
     // arrow shows immediately if it's our turn, otherwise stored
     // in pendingArrows so it appears the instant our turn arrives.
-    function showMove(move) {
+    // `ranked` (multipv arrows from TitanMultiPv.rankedArrows)
+    // replaces the single arrow when several lines were searched.
+    function showMove(move, ranked) {
+        // a search that finished after the lock engaged — drop it
+        if (G.isLocked()) return;
+
         // queue mode: store the move for later
         if (T.queueMode) {
             T.moveQueue.push(move);
@@ -348,52 +221,90 @@
 
         // always store the result — monitor() will decide
         // whether to display it based on whose turn it is.
-        T.pendingArrows = [{ move }];
-        T.arrows = [{ move }];
+        const arrows = ranked && ranked.length ? ranked : [{ move }];
+        T.pendingArrows = arrows.slice();
+        T.arrows = arrows.slice();
         T.forceRedraw = true;
         D.draw(true);
     }
 
-    // switch to combat-level config on the running engine
-    function applyCombatConfig() {
-        const cfg = COMBAT_CONFIG[T.currentElo] || COMBAT_CONFIG['1000'];
-        if (T.engineReady && T.stockfishWorker) {
-            if (cfg.unlimited) {
-                T.stockfishWorker.postMessage('setoption name UCI_LimitStrength value false');
-                T.stockfishWorker.postMessage('setoption name Hash value 32');
-                T.stockfishWorker.postMessage('setoption name Contempt value 50');
-            } else {
-                T.stockfishWorker.postMessage('setoption name UCI_LimitStrength value true');
-                T.stockfishWorker.postMessage('setoption name Hash value 16');
-                T.stockfishWorker.postMessage(`setoption name UCI_Elo value ${cfg.uciElo}`);
-            }
-            T.stockfishWorker.postMessage(`setoption name Skill Level value ${cfg.skillLevel}`);
-        }
+    // search the threat in `fen` and add it to the move's arrows,
+    // unless the board moved on in the meantime
+    function showThreat(fen) {
+        threat(fen).then(t => {
+            if (!t || fen !== T.currentFen || T.reviewMode || G.isLocked()) return;
+            T.threat = t;
+            T.pendingArrows.push(Threat.arrow(t));
+            T.arrows.push(Threat.arrow(t));
+            T.forceRedraw = true;
+            D.draw(true);
+            paintLines(true);
+        }).catch(Uci.quiet);
     }
 
-    // queue mode: analyze during opponent's turn at reduced depth.
-    // this gives us a head start so the arrow appears faster
-    // when it becomes our turn.
-    function preAnalyze(fen) {
-        if (!T.engineReady || !T.stockfishWorker) return;
-        if (T.analyzing) {
-            T.stockfishWorker.postMessage('stop');
-            ignoreNextBestmove++;
-            T.pendingArrows = [];
-            T.arrows = [];
-        }
-        T.analyzing = true;
-        startAnalyzeWatchdog();
-        const configTable = T.combatMode ? COMBAT_CONFIG : ELO_CONFIG;
-        const cfg = configTable[T.currentElo] || configTable['1000'];
-        T.stockfishWorker.postMessage(`position fen ${fen}`);
-        // pre-analyze at reduced depth, capped at 3 seconds
-        const preDepth = Math.max(6, cfg.depth - 4);
-        T.stockfishWorker.postMessage(`go depth ${preDepth} movetime 3000`);
+    // what the side that just moved threatens in `fen`
+    // (TitanThreat.find), or null when there's nothing to search.
+    // rejects like evaluate() — and when a newer threat search
+    // stopped this one.
+    function threat(fen) {
+        if (G.isLocked()) return Promise.reject(new Error('locked during play'));
+        if (!T.engineReady) return Promise.reject(new Error('engine not ready'));
+        return Threat.find(fen, Threat.searcher(threats), { depth: THREAT_DEPTH });
+    }
+
+    // number of lines to search on this page: T.multiPv on
+    // analysis / finished-game pages, 0 (lines off) everywhere else
+    function linesWanted() {
+        if (!LINES_STATES.includes(T.gameState)) return 0;
+        return Math.max(1, Math.min(Mpv.MAX_LINES, T.multiPv || 1));
+    }
+
+    // reset the lines for a new search of `fen`; returns how many
+    // lines it collects (0: none)
+    function beginLines(fen) {
+        const n = linesWanted();
+        linesActive = n > 0;
+        T.pvLines = [];
+        T.pvFen = linesActive ? fen : '';
+        T.threat = null;
+        paintLines(true);
+        return n;
+    }
+
+    // repaint the widget's lines panel, at most every LINES_PAINT_MS
+    // unless forced (search start / end)
+    function paintLines(force) {
+        const now = Date.now();
+        if (!force && now - linesPaintedAt < LINES_PAINT_MS) return;
+        linesPaintedAt = now;
+        if (window.TitanWidget) window.TitanWidget.updatePvLines();
+    }
+
+    // full-strength evaluation of one position for the review.
+    // limits: { depth, movetime }. resolves with
+    // { bestmove, score: {cp}|{mate}, depth, pv } (side-to-move POV).
+    // rejects if the page is locked, the engine isn't up, or the
+    // search runs past the client's allowance.
+    function evaluate(fen, limits) {
+        if (G.isLocked()) return Promise.reject(new Error('locked during play'));
+        if (!T.engineReady) return Promise.reject(new Error('engine not ready'));
+        // the review owns the board while it runs — drop any
+        // monitor search (an older review job is stopped by the client)
+        stop();
+        return review.evaluate(fen, limits);
+    }
+
+    // abort whatever is running and forget its result.
+    // used by monitor() when the fair-play lock engages mid-search.
+    function stop() {
+        linesActive = false;
+        live.stop();
+        threats.stop();
+        T.analyzing = false;
     }
 
     window.TitanEngine = {
         ELO_LEVELS, ELO_LABELS, ELO_CONFIG, COMBAT_CONFIG,
-        initEngine, setElo, analyze, showMove, applyCombatConfig, preAnalyze
+        initEngine, setElo, analyze, showMove, preAnalyze, stop, evaluate, threat
     };
 })();
@@ -0,0 +1,174 @@
+// ============================================================
+// titan-free :: shared engine host client
+// ============================================================
+//
+// there is one Stockfish for the whole extension. it lives in an
+// offscreen document (offscreen/engine-host.js) that the service
+// worker opens on first use (background/engine-relay.js), so the
+// WASM is loaded once and every tab shares one hash table. this
+// module is how a page talks to it; TitanUci's Client (uci.js)
+// is built on it for content scripts and extension pages alike.
+//
+// === JOBS ===
+//
+//   const job = TitanEngineHost.search({
+//       fen,
+//       limits: { depth, movetime },
+//       options: ['setoption name UCI_Elo value 1450', ...],
+//       priority: 'live' | 'review' | 'batch',
+//       onStart(),           // the host began searching it (again,
+//                            // after it was stopped for another)
+//       onInfo(line),        // 'info ... score ...' lines
+//       onBestmove(line),    // the 'bestmove ...' line, once
+//       onError(err)         // the job can't finish
+//   });
+//   job.cancel();            // nothing more arrives after this
+//
+// `options` are setoption commands for this job only: the host
+// sets them before the search and puts every option the job
+// doesn't mention back to Stockfish's default (full strength,
+// one line). Hash belongs to the host and is ignored.
+//
+// === PRIORITIES ===
+//
+// the host runs one search at a time, the highest PRIORITY first
+// and in order within a priority. a job that arrives with a
+// higher priority than the running one stops it; the stopped job
+// goes back to the front of its queue and searches again later
+// (mostly from the hash). so the board's live lines come before
+// a review, and a review before the batch queue.
+//
+// === CONNECTION ===
+//
+// one port per page, opened on first use. if it drops — the
+// service worker was restarted or the host went away — jobs in
+// flight are sent again once on a fresh port, and fail with
+// onError after that.
+// ============================================================
+
+(function () {
+    const PORT = 'titan-engine';
+    const PRIORITY = { live: 3, review: 2, batch: 1 };
+
+    // how long whenReady() waits for the engine to answer
+    const READY_TIMEOUT_MS = 15000;
+
+    let port = null;
+    let ready = false;
+    let waiters = [];
+    let nextId = 1;
+
+    // jobs in flight by id: { spec, retried }
+    const jobs = new Map();
+
+    function connect() {
+        if (port) return port;
+        port = chrome.runtime.connect({ name: PORT });
+        port.onMessage.addListener(onMessage);
+        port.onDisconnect.addListener(() => {
+            port = null;
+            lost();
+        });
+        port.postMessage({ type: 'hello' });
+        return port;
+    }
+
+    function send(msg) {
+        try {
+            connect().postMessage(msg);
+            return true;
+        } catch (err) {
+            // the extension was reloaded under a content script
+            console.warn('[TitanFree] engine host unreachable', err);
+            return false;
+        }
+    }
+
+    function onMessage(msg) {
+        if (msg.type === 'ready') {
+            ready = true;
+            waiters.forEach(w => w.resolve());
+            waiters = [];
+            return;
+        }
+        if (msg.type === 'lost') {
+            lost();
+            return;
+        }
+        const job = jobs.get(msg.id);
+        if (!job) return;
+        if (msg.type === 'started') {
+            if (job.spec.onStart) job.spec.onStart();
+        } else if (msg.type === 'info') {
+            job.spec.onInfo(msg.line);
+        } else if (msg.type === 'bestmove') {
+            jobs.delete(msg.id);
+            job.spec.onBestmove(msg.line);
+        } else if (msg.type === 'error') {
+            jobs.delete(msg.id);
+            job.spec.onError(new Error(msg.message));
+        }
+    }
+
+    // the host is gone: send what was in flight once more
+    function lost() {
+        ready = false;
+        jobs.forEach((job, id) => {
+            if (job.retried) {
+                jobs.delete(id);
+                job.spec.onError(new Error('engine host lost'));
+                return;
+            }
+            job.retried = true;
+            submit(id, job.spec);
+        });
+    }
+
+    function submit(id, spec) {
+        const sent = send({
+            type: 'search',
+            id,
+            fen: spec.fen,
+            limits: spec.limits || {},
+            options: spec.options || [],
+            priority: PRIORITY[spec.priority] || PRIORITY.live
+        });
+        if (sent) return;
+        jobs.delete(id);
+        setTimeout(() => spec.onError(new Error('engine host unreachable')), 0);
+    }
+
+    // resolves once the host's engine is up (starting it if need be)
+    function whenReady() {
+        if (!send({ type: 'hello' })) return Promise.reject(new Error('engine host unreachable'));
+        if (ready) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiters.push(waiter);
+            setTimeout(() => {
+                if (!waiters.includes(waiter)) return;
+                waiters = waiters.filter(w => w !== waiter);
+                reject(new Error('engine host did not start'));
+            }, READY_TIMEOUT_MS);
+        });
+    }
+
+    function search(spec) {
+        const id = nextId++;
+        jobs.set(id, { spec, retried: false });
+        submit(id, spec);
+        return {
+            id,
+            cancel() {
+                if (!jobs.delete(id) || !port) return;
+                try {
+                    port.postMessage({ type: 'cancel', id });
+                } catch (err) {
+                    // the port dropped — the host forgets its jobs anyway
+                }
+            }
+        };
+    }
+
+    window.TitanEngineHost = { PRIORITY, whenReady, search };
+})();
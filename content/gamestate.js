@@ -0,0 +1,148 @@
+// ============================================================
+// titan-free :: game-state detector (fair-play lockout)
+// ============================================================
+//
+// chess.com's fair-play rules forbid engine help in games that
+// are still being played. this module works out what kind of
+// page we're on and whether a game is in progress, so the rest
+// of the extension can stay silent until the game is over.
+//
+// states:
+//   - 'live'     : live game in progress          → LOCKED
+//   - 'daily'    : daily (correspondence) game    → LOCKED
+//   - 'finished' : game page, but the game ended  → unlocked
+//   - 'analysis' : analysis board / game review   → unlocked
+//   - 'puzzle'   : puzzles, rush, battle          → unlocked
+//   - 'idle'     : no game on this page           → unlocked
+//
+// detection combines the URL with DOM markers:
+//   - game-over markers: the game-over modal, the result tag at
+//     the end of the move list, the post-game review buttons
+//   - in-progress markers: a running clock, resign/draw/abort
+//     buttons
+//
+// this is FAIL-CLOSED on purpose. on a game URL (/game/live,
+// /game/daily, /play/...) we stay locked until we positively see
+// the game end. an unknown page only locks if it shows live-game
+// controls. once a game has been seen to finish, that result is
+// sticky until the URL changes or a new game starts — the
+// game-over modal can be dismissed, and we don't want to flicker
+// back into the locked state when it closes.
+//
+// a page a board adapter claims (see board.js — chess.com
+// /analysis, lichess /analysis and /study) is 'analysis' without
+// further checks: adapters only ever match analysis URLs. any
+// other page off chess.com is 'live' — we can't read its markers,
+// so it stays locked.
+//
+// update() is called once per monitor() tick in content.js.
+// isLocked() is cheap and can be called from anywhere (engine.js
+// uses it to refuse analysis while a game is running).
+//
+// === WHAT NOT TO CHANGE ===
+//
+// - don't add a setting to turn this off. the lockout is what
+//   keeps our users' accounts safe.
+// - don't make unknown game URLs default to unlocked. if chess.com
+//   renames a class, the worst case must be "engine stays quiet",
+//   never "engine runs during a rated game".
+// ============================================================
+
+(function () {
+    const T = window.TitanState;
+    const B = window.TitanBoard;
+
+    const LOCKED_STATES = ['live', 'daily'];
+
+    // selectors that only exist once a game has ended
+    const GAME_OVER_SELECTORS = [
+        '.game-over-modal-content',
+        '.game-over-modal-container',
+        '.game-over-header-component',
+        '.game-review-buttons-component',
+        '[data-cy="game-over-modal"]',
+        '.move-list .game-result',
+        'wc-simple-move-list .game-result',
+        '.main-line-row .game-result'
+    ];
+
+    // selectors that only exist while a game is being played
+    const IN_PROGRESS_SELECTORS = [
+        '.clock-component.clock-player-turn',
+        '.clock-component.clock-running',
+        '.resign-button-component',
+        '.draw-button-component',
+        '.abort-button-component',
+        '[data-cy="resign-button"]',
+        '[data-cy="abort-button"]'
+    ];
+
+    // url of the page the last 'finished' verdict was made on
+    let finishedUrl = null;
+
+    function matchesAny(selectors) {
+        return selectors.some(sel => document.querySelector(sel));
+    }
+
+    // classify the current URL. returns 'analysis', 'puzzle',
+    // 'live', 'daily' or null when the URL says nothing.
+    function classifyUrl() {
+        const path = location.pathname.toLowerCase();
+        const hash = location.hash.toLowerCase();
+        if (/^\/(analysis|explorer)(\/|$)/.test(path)) return 'analysis';
+        if (/^\/(puzzles?|lessons|drills)(\/|$)/.test(path)) return 'puzzle';
+        if (/^\/(game\/)?daily(\/|$)/.test(path)) return 'daily';
+        if (/^\/(game\/live|live|play)(\/|$)/.test(path) || hash.startsWith('#g=')) return 'live';
+        if (/^\/game(\/|$)/.test(path)) return 'live';
+        return null;
+    }
+
+    // work out the state for this tick (no side effects).
+    function detect() {
+        if (B.activeAdapter()) return 'analysis';
+        if (!/(^|\.)chess\.com$/.test(location.hostname)) return 'live';
+        const urlKind = classifyUrl();
+        if (urlKind === 'analysis' || urlKind === 'puzzle') return urlKind;
+
+        const over = matchesAny(GAME_OVER_SELECTORS);
+        const playing = matchesAny(IN_PROGRESS_SELECTORS);
+
+        if (urlKind) {
+            if (over && !playing) return 'finished';
+            if (finishedUrl === location.href && !playing) return 'finished';
+            return urlKind;
+        }
+        // unknown page (home, profile, ...) — only lock if it shows
+        // live-game controls, e.g. a game embedded on the homepage.
+        if (playing && !over) return 'live';
+        return over ? 'finished' : 'idle';
+    }
+
+    // refresh T.gameState / T.locked. returns the new state.
+    // calls TitanWidget.updateLockState() when the lock flips so
+    // the widget can show or hide its "locked during play" banner.
+    function update() {
+        const state = detect();
+        if (state === 'finished') finishedUrl = location.href;
+        else if (finishedUrl !== location.href) finishedUrl = null;
+
+        const wasLocked = T.locked;
+        T.gameState = state;
+        T.locked = LOCKED_STATES.includes(state);
+        if (T.locked !== wasLocked && window.TitanWidget) {
+            window.TitanWidget.updateLockState(T.locked, state);
+        }
+        return state;
+    }
+
+    // a new game started on this page — forget the sticky verdict.
+    function reset() {
+        finishedUrl = null;
+    }
+
+    function isLocked() {
+        return !!T.locked;
+    }
+
+    window.TitanGameState = { LOCKED_STATES, detect, update, reset, isLocked };
+})();
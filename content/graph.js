@@ -0,0 +1,104 @@
+// ============================================================
+// titan-free :: evaluation graph
+// ============================================================
+//
+// draws an evaluation-over-time graph for a reviewed game as an
+// inline SVG. the y axis is white's win probability (from
+// accuracy.js), not raw centipawns — that keeps a +9 position and
+// a mate on the same scale and makes the swings that actually
+// matter stand out.
+//
+// render(container, review, options) replaces the container's
+// contents. options:
+//   selected   index of the selected move (review.moves[i]), or -1
+//   onSelect   called with a move index when a point is clicked
+//
+// point 0 is the starting position, point i+1 is the position
+// after review.moves[i]. mistakes and blunders get a colored dot
+// on the point after the move, with the eval after it in the
+// tooltip (TitanScore: +1.20, -M3 — a mate sits at the very top
+// or bottom, where win% saturates).
+//
+// positions TitanReview.drawMargins() calls drawish — a clear
+// edge on the eval, but a likely draw by the WDL — get
+// a translucent band behind the curve.
+//
+// the module has no dependency on TitanState or chess.com, so
+// extension pages can reuse it with their own reviews.
+// ============================================================
+
+(function () {
+    const Rev = window.TitanReview;
+    const Acc = window.TitanAccuracy;
+    const Score = window.TitanScore;
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const WIDTH = 400, HEIGHT = 100;
+    const MARKED = ['mistake', 'blunder'];
+
+    function el(tag, attrs) {
+        const node = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach(k => node.setAttribute(k, attrs[k]));
+        return node;
+    }
+
+    function render(container, review, options) {
+        const opts = options || {};
+        container.innerHTML = '';
+        if (!review || review.positions.length < 2) return;
+
+        const points = review.positions.map(p => Acc.whiteWinPercent(p));
+        const step = WIDTH / (points.length - 1);
+        const x = i => i * step;
+        const y = win => HEIGHT - (win / 100) * HEIGHT;
+
+        // fixed 4:1 aspect (width:100%, height:auto in CSS) so the
+        // marker dots stay round
+        const svg = el('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, class: 'titan-graph' });
+
+        // white's share of the board, filled from the bottom
+        const area = points.map((w, i) => `${x(i)},${y(w)}`).join(' ');
+        svg.appendChild(el('rect', { x: 0, y: 0, width: WIDTH, height: HEIGHT, class: 'titan-graph-bg' }));
+        svg.appendChild(el('polygon', { points: `0,${HEIGHT} ${area} ${WIDTH},${HEIGHT}`, class: 'titan-graph-area' }));
+        Rev.drawMargins(review).flags.forEach((drawish, i) => {
+            if (!drawish) return;
+            const band = el('rect', { x: Math.max(0, x(i) - step / 2), y: 0, width: step, height: HEIGHT, class: 'titan-graph-drawish' });
+            const title = el('title', {});
+            title.textContent = `Drawish: ${Score.formatWdl(review.positions[i].wdl)}`;
+            band.appendChild(title);
+            svg.appendChild(band);
+        });
+        svg.appendChild(el('line', { x1: 0, y1: HEIGHT / 2, x2: WIDTH, y2: HEIGHT / 2, class: 'titan-graph-mid' }));
+        svg.appendChild(el('polyline', { points: area, class: 'titan-graph-line' }));
+
+        // selected move cursor
+        if (opts.selected >= 0 && opts.selected < review.moves.length) {
+            const sx = x(opts.selected + 1);
+            svg.appendChild(el('line', { x1: sx, y1: 0, x2: sx, y2: HEIGHT, class: 'titan-graph-cursor' }));
+        }
+
+        // mistake / blunder markers
+        review.moves.forEach((m, i) => {
+            if (!MARKED.includes(m.classification)) return;
+            const info = Rev.classInfo(m.classification);
+            const dot = el('circle', { cx: x(i + 1), cy: y(points[i + 1]), r: m.classification === 'blunder' ? 4 : 3, fill: info.color, class: 'titan-graph-marker' });
+            const title = el('title', {});
+            const after = review.positions[i + 1];
+            title.textContent = `${m.moveNumber}${m.color === 'w' ? '.' : '...'} ${m.san} — ${m.classification} · ${Score.formatWhite(after.score, after.fen.split(' ')[1])}`;
+            dot.appendChild(title);
+            svg.appendChild(dot);
+        });
+
+        // clicks anywhere pick the nearest point
+        svg.addEventListener('click', (e) => {
+            if (!opts.onSelect) return;
+            const rect = svg.getBoundingClientRect();
+            const idx = Math.round(((e.clientX - rect.left) / rect.width) * WIDTH / step);
+            if (idx >= 1 && idx <= review.moves.length) opts.onSelect(idx - 1);
+        });
+
+        container.appendChild(svg);
+    }
+
+    window.TitanGraph = { render };
+})();
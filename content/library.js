@@ -0,0 +1,179 @@
+// ============================================================
+// titan-free :: game library records and filters
+// ============================================================
+//
+// every reviewed, imported or self-played game is kept in the
+// `games` store of TitanDb, so a review outlives the tab it ran
+// in. this module turns a game (pgn.js) and its review
+// (review.js) into a library record, and back again, and decides
+// which records match the library filters.
+//
+// === RECORDS ===
+//
+//   { id, pgn,                     // the game, as PGN text
+//     source,                      // 'chess.com' | 'lichess' |
+//                                  // 'import' | 'play' | 'analysis'
+//     white, black, date,          // date as 'YYYY-MM-DD', or ''
+//     result, eco, opening,
+//     timeControl, speed,          // the PGN tag and its class
+//     userColor: 'w'|'b'|null,     // the side we played, if known
+//     opponent,                    // the other side's name ('' if
+//                                  // we don't know which we were)
+//     plies, added,
+//     review: { positions, moves } | null }
+//
+// `id` comes from the players, the date and the moves, so the
+// same game saved twice (reviewed again, say) replaces itself.
+// the review is stored without its game — toReview() puts the
+// parsed PGN back in.
+//
+// === FILTERS ===
+//
+//   { from, to,                    // 'YYYY-MM-DD', inclusive
+//     color: 'w'|'b',              // the side we played
+//     result: 'win'|'draw'|'loss', // from our side
+//     speed,                       // one of SPEEDS
+//     opening,                     // text in the ECO code or name
+//     opponent }                   // text in the opponent's name
+//
+// empty fields match everything. color, win and loss only match
+// games where we know which side was ours — an imported PGN
+// doesn't say, so its opponent filter looks at both names.
+//
+// pure — the service worker and the analysis board own the store.
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Pgn = window.TitanPgn;
+    const Eco = window.TitanEco;
+
+    const SOURCES = ['chess.com', 'lichess', 'import', 'play', 'analysis'];
+    const SPEEDS = ['bullet', 'blitz', 'rapid', 'classical', 'daily', 'untimed'];
+
+    // estimated game length in seconds (base + 40 increments)
+    // below which each speed applies
+    const SPEED_LIMITS = [['bullet', 180], ['blitz', 480], ['rapid', 1500]];
+
+    // FNV-1a, as a short base-36 string
+    function hash(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(36);
+    }
+
+    // the PGN TimeControl tag → one of SPEEDS, or '' if unknown.
+    //   '180+2'     base and increment in seconds
+    //   '1/86400'   moves per period — chess.com daily games
+    //   '-'         no clock
+    function speedOf(timeControl) {
+        const tc = (timeControl || '').trim();
+        if (tc === '-') return 'untimed';
+        if (/^\d+\/\d+$/.test(tc)) return 'daily';
+        const m = tc.match(/^(\d+)(?:\+(\d+))?$/);
+        if (!m) return '';
+        const estimate = parseInt(m[1], 10) + 40 * (parseInt(m[2], 10) || 0);
+        const hit = SPEED_LIMITS.find(([, limit]) => estimate < limit);
+        return hit ? hit[0] : 'classical';
+    }
+
+    // '2024.03.15' → '2024-03-15'; partial or unknown dates → ''
+    function normalizeDate(tag) {
+        const m = (tag || '').match(/^(\d{4})[.-](\d{2})[.-](\d{2})$/);
+        return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+    }
+
+    // from normalized tags, so the id survives a trip through
+    // Pgn.write() (which fills in '?' and '????.??.??')
+    function gameId(game) {
+        const t = game.tags;
+        const key = [t.White || '?', t.Black || '?', normalizeDate(t.Date), game.startFen, game.moves.map(n => n.uci).join(' ')].join('|');
+        return `${game.moves.length}-${hash(key)}`;
+    }
+
+    // a library record for `game`. options:
+    //   source      one of SOURCES
+    //   userColor   the side we played ('w' | 'b'), if known
+    //   review      the finished review of this game, if any
+    //   now         timestamp for `added`
+    function fromGame(game, options) {
+        const opts = options || {};
+        const opening = Eco.tag(game);
+        const t = game.tags;
+        const white = t.White || '?', black = t.Black || '?';
+        const userColor = opts.userColor || null;
+        const review = opts.review && !opts.review.cancelled
+            ? { positions: opts.review.positions, moves: opts.review.moves }
+            : null;
+        return {
+            id: gameId(game),
+            pgn: Pgn.write(game),
+            source: opts.source || 'import',
+            white,
+            black,
+            date: normalizeDate(t.Date),
+            result: game.result || '*',
+            eco: opening ? opening.eco : (t.ECO || ''),
+            opening: opening ? opening.name : (t.Opening || ''),
+            timeControl: t.TimeControl || '',
+            speed: speedOf(t.TimeControl),
+            userColor,
+            opponent: userColor ? (userColor === 'w' ? black : white) : '',
+            plies: game.moves.length,
+            added: opts.now || Date.now(),
+            review
+        };
+    }
+
+    // the game back from a record. the PGN was written by us, so
+    // it always parses.
+    function toGame(record) {
+        return Pgn.parse(record.pgn)[0] || Pgn.newGame(R.START_FEN);
+    }
+
+    // the stored review with `game` attached, or null
+    function toReview(record, game) {
+        if (!record.review) return null;
+        return Object.assign({ game, cancelled: false }, record.review);
+    }
+
+    // 'win' | 'draw' | 'loss' from our side, null when unknown
+    function outcome(record) {
+        if (record.result === '1/2-1/2') return 'draw';
+        if (!record.userColor || (record.result !== '1-0' && record.result !== '0-1')) return null;
+        return (record.result === '1-0') === (record.userColor === 'w') ? 'win' : 'loss';
+    }
+
+    function contains(haystack, needle) {
+        return haystack.toLowerCase().includes(needle.trim().toLowerCase());
+    }
+
+    function matches(record, filter) {
+        const f = filter || {};
+        if (f.from && (!record.date || record.date < f.from)) return false;
+        if (f.to && (!record.date || record.date > f.to)) return false;
+        if (f.color && record.userColor !== f.color) return false;
+        if (f.result && outcome(record) !== f.result) return false;
+        if (f.speed && record.speed !== f.speed) return false;
+        if (f.opening && f.opening.trim() && !contains(`${record.eco} ${record.opening}`, f.opening)) return false;
+        if (f.opponent && f.opponent.trim()) {
+            const names = record.userColor ? record.opponent : `${record.white} ${record.black}`;
+            if (!contains(names, f.opponent)) return false;
+        }
+        return true;
+    }
+
+    // matching records, newest game first
+    function search(records, filter) {
+        return records.filter(r => matches(r, filter)).sort((a, b) =>
+            (b.date || '').localeCompare(a.date || '') || b.added - a.added);
+    }
+
+    window.TitanLibrary = {
+        SOURCES, SPEEDS,
+        speedOf, normalizeDate, fromGame, toGame, toReview, outcome, matches, search
+    };
+})();
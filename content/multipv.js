@@ -0,0 +1,115 @@
+// ============================================================
+// titan-free :: multipv engine lines
+// ============================================================
+//
+// with `setoption name MultiPV value N` stockfish searches the N
+// best moves side by side and reports each one in its own `info`
+// line, tagged `multipv 1` … `multipv N`:
+//
+//   info depth 18 seldepth 24 multipv 2 score cp 21 nodes ... pv g1f3 d7d5 ...
+//
+// uci.js parses them (TitanUci.parseInfo); this file keeps the
+// table of lines and turns it into something a person can read:
+// a score from white's point of view, the depth, and the whole
+// principal variation in SAN with move numbers. it also builds
+// the ranked arrows drawing.js renders for the top lines.
+//
+// it's pure — no DOM, no engine, no TitanState — so the content
+// script (engine.js / widget.js) and the extension pages share it.
+//
+// === SCORES ===
+//
+// uci scores are from the side to move's point of view. the
+// panel shows them from white's (TitanScore.format: +0.35, -1.20,
+// M3, -M5). while a search runs the lines can come from different
+// depths and briefly disagree with their multipv numbers, so
+// describe() and rankedArrows() order them by score
+// (TitanScore.compare) — a mate for the side to move above any
+// centipawn score, a mate against it below — and rank them in
+// that order.
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Pgn = window.TitanPgn;
+    const Score = window.TitanScore;
+
+    const MAX_LINES = 5;
+
+    // arrow styling per rank: the best line is drawn at full size,
+    // each one after it a little thinner and fainter
+    const RANK_SCALE = [1, 0.8, 0.65, 0.55, 0.45];
+    const RANK_OPACITY = [0.9, 0.75, 0.6, 0.5, 0.4];
+
+    // store a parsed info line (TitanUci.parseInfo) in `lines`
+    // (index = multipv - 1). only lines with a scored pv count —
+    // not currmove updates, and not lowerbound/upperbound scores,
+    // which are aspiration-window guesses and not worth showing.
+    // lines beyond `count` are dropped — stockfish can still send
+    // them for a moment after MultiPV is lowered.
+    function record(lines, info, count) {
+        if (!info || !info.score || info.bound || !info.pv || !info.pv.length) return false;
+        if (info.multipv > count) return false;
+        lines[info.multipv - 1] = info;
+        return true;
+    }
+
+    // the recorded lines, best score first (multipv order on ties)
+    function ordered(lines) {
+        return lines.filter(Boolean).sort((a, b) => Score.compare(a.score, b.score) || a.multipv - b.multipv);
+    }
+
+    // SAN line with move numbers: "12. Nf3 Nc6 13. Bb5" or, with
+    // black to move, "12... Nc6 13. Bb5"
+    function sanLine(fen, ucis) {
+        const pos = new R.Position(fen);
+        const sans = Pgn.uciLineToSan(fen, ucis);
+        let number = pos.fullmove, turn = pos.turn;
+        const out = [];
+        sans.forEach((san, i) => {
+            if (turn === 'w') out.push(`${number}. ${san}`);
+            else out.push(i === 0 ? `${number}... ${san}` : san);
+            if (turn === 'b') number++;
+            turn = turn === 'w' ? 'b' : 'w';
+        });
+        return out.join(' ');
+    }
+
+    // display rows for the lines panel, best line first.
+    // returns [{ rank, score, wdl, depth, move, san }] where `move` is
+    // the line's first move in UCI, `san` the numbered variation and
+    // `wdl` white's win/draw/loss text ('' when the line has none).
+    function describe(fen, lines) {
+        let turn = 'w';
+        try { turn = new R.Position(fen).turn; } catch (e) { return []; }
+        return ordered(lines).map((l, i) => ({
+            rank: i + 1,
+            score: Score.format(l.score, turn),
+            wdl: Score.formatWdl(Score.whiteWdl(l.wdl, turn)),
+            depth: l.depth,
+            move: l.pv[0],
+            san: sanLine(fen, l.pv)
+        }));
+    }
+
+    // ranked arrows for drawing.js — one per distinct first move,
+    // with a per-rank size/opacity so the best line stands out.
+    // worst rank first, so the best arrow is drawn on top. no
+    // color: drawing.js falls back to the user's arrow color.
+    function rankedArrows(lines) {
+        const seen = new Set();
+        const out = [];
+        ordered(lines).forEach((l, i) => {
+            const move = l.pv[0];
+            if (!move || seen.has(move)) return;
+            seen.add(move);
+            out.push({ move, rank: i + 1, scale: RANK_SCALE[i], opacity: RANK_OPACITY[i] });
+        });
+        return out.reverse();
+    }
+
+    window.TitanMultiPv = {
+        MAX_LINES,
+        record, ordered, sanLine, describe, rankedArrows
+    };
+})();
@@ -0,0 +1,454 @@
+// ============================================================
+// titan-free :: PGN import/export + SAN <-> UCI
+// ============================================================
+//
+// stockfish speaks UCI ('e2e4', 'e7e8q'), people and every other
+// chess tool speak SAN ('e4', 'exd8=Q+') inside PGN files. this
+// module is the translation layer between the two, built on the
+// rules in rules.js.
+//
+// === GAME OBJECT ===
+//
+// parse() returns (and write() accepts) plain objects:
+//
+//   game = {
+//     tags:     { Event: '...', White: '...', ... },
+//     startFen: 'rnbqkbnr/... w KQkq - 0 1',
+//     comments: ['comment before the first move'],
+//     shapes:   [],                      // drawings on the start position
+//     moves:    [node, node, ...],       // the main line
+//     result:   '1-0' | '0-1' | '1/2-1/2' | '*'
+//   }
+//
+//   node = {
+//     san, uci,            // 'Nf3', 'g1f3'
+//     fen,                 // position AFTER the move
+//     moveNumber, color,   // 1, 'w' — for writing "1." / "1..."
+//     nags: [1, 14],       // numeric annotation glyphs ($1 = !)
+//     preComments: [],     // comments before the move (RAV starts)
+//     comments: [],        // comments after the move
+//     shapes: [],          // drawings on the position after it
+//     variations: [[node, ...], ...]  // alternatives TO this move
+//   }
+//
+// a variation hangs off the move it replaces, so it starts from
+// the position before that move — exactly like RAV in the file.
+//
+// suffix annotations ('!', '?!', '??'...) are read into nags.
+// write() always emits the numeric $n form, which every tool
+// understands.
+//
+// === DRAWINGS ===
+//
+// arrows and circles (shapes.js) come out of the comments'
+// [%cal] / [%csl] commands into `shapes`, and the rest of the
+// comment stays a comment. write() puts them back as a comment of
+// their own after the move's — or after the game's opening
+// comments for the start position.
+//
+// === ERRORS ===
+//
+// parse() never throws on bad input. a game with an illegal or
+// unreadable move keeps everything up to that point and gets an
+// `error` string explaining where it stopped.
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Shapes = window.TitanShapes;
+
+    const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+    const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+    // suffix annotation → NAG number (PGN spec section 10)
+    const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+    const NAG_SYMBOLS = { 1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!' };
+
+    const SAN_RE = /^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([NBRQnbrq]))?$/;
+
+    // ---------- SAN ----------
+
+    // SAN for a legal move in `pos` (the position BEFORE the move).
+    function moveToSan(pos, move) {
+        let san;
+        if (move.castle) {
+            san = move.castle.toLowerCase() === 'k' ? 'O-O' : 'O-O-O';
+        } else {
+            const type = move.piece.toUpperCase();
+            const to = R.sqName(move.to);
+            const capture = move.captured ? 'x' : '';
+            if (type === 'P') {
+                san = (capture ? R.sqName(move.from)[0] + 'x' : '') + to;
+                if (move.promotion) san += '=' + move.promotion.toUpperCase();
+            } else {
+                // disambiguate against other pieces of the same kind
+                // that could also legally reach the target square
+                const rivals = pos.moves().filter(m => m.piece === move.piece && m.to === move.to && m.from !== move.from);
+                let from = '';
+                if (rivals.length) {
+                    const fromName = R.sqName(move.from);
+                    const sameFile = rivals.some(m => (m.from & 7) === (move.from & 7));
+                    const sameRank = rivals.some(m => (m.from >> 3) === (move.from >> 3));
+                    if (!sameFile) from = fromName[0];
+                    else if (!sameRank) from = fromName[1];
+                    else from = fromName;
+                }
+                san = type + from + capture + to;
+            }
+        }
+        pos.makeMove(move);
+        if (pos.inCheck()) san += pos.moves().length ? '+' : '#';
+        pos.unmakeMove();
+        return san;
+    }
+
+    // find the legal move a SAN string describes. tolerant of
+    // check/annotation suffixes, '0-0' castling, a missing '=' in
+    // promotions, and bare UCI. returns null if no single move fits.
+    function sanToMove(pos, san) {
+        if (typeof san !== 'string') return null;
+        const clean = san.trim().replace(/[+#!?]+$/, '').replace(/^0-0(-0)?$/, m => m.replace(/0/g, 'O'));
+        const legal = pos.moves();
+
+        if (clean === 'O-O' || clean === 'O-O-O') {
+            const side = clean === 'O-O' ? 'k' : 'q';
+            return legal.find(m => m.castle && m.castle.toLowerCase() === side) || null;
+        }
+
+        const m = clean.match(SAN_RE);
+        if (!m) return /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(clean) ? pos.moveFromUci(clean) : null;
+        const [, pieceLetter, fromFile, fromRank, , to, promo] = m;
+        const type = pieceLetter ? pieceLetter.toLowerCase() : 'p';
+        const toIdx = R.sqIndex(to);
+        const promotion = promo ? promo.toLowerCase() : null;
+
+        const candidates = legal.filter(mv =>
+            mv.piece.toLowerCase() === type &&
+            mv.to === toIdx &&
+            !mv.castle &&
+            (!fromFile || R.sqName(mv.from)[0] === fromFile) &&
+            (!fromRank || R.sqName(mv.from)[1] === fromRank) &&
+            (mv.promotion || null) === promotion
+        );
+        if (candidates.length === 1) return candidates[0];
+
+        // bare UCI like 'g1f3' also fits SAN_RE (as a pawn move from
+        // g1), finds no pawn, and ends up here.
+        return candidates.length === 0 && /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(clean) ? pos.moveFromUci(clean) : null;
+    }
+
+    function sanToUci(fen, san) {
+        const move = sanToMove(new R.Position(fen), san);
+        return move ? R.moveToUci(move) : null;
+    }
+
+    function uciToSan(fen, uci) {
+        const pos = new R.Position(fen);
+        const move = pos.moveFromUci(uci);
+        return move ? moveToSan(pos, move) : null;
+    }
+
+    // convert a whole UCI line (e.g. an engine PV) to SAN.
+    // stops at the first move that isn't legal.
+    function uciLineToSan(fen, ucis) {
+        const pos = new R.Position(fen);
+        const out = [];
+        for (const uci of ucis) {
+            const move = pos.moveFromUci(uci);
+            if (!move) break;
+            out.push(moveToSan(pos, move));
+            pos.makeMove(move);
+        }
+        return out;
+    }
+
+    // ---------- building games ----------
+
+    function newGame(startFen, tags) {
+        return {
+            tags: Object.assign({}, tags || {}),
+            startFen: startFen || R.START_FEN,
+            comments: [],
+            shapes: [],
+            moves: [],
+            result: (tags && tags.Result) || '*'
+        };
+    }
+
+    // make a node for `move` in `pos` and play it on `pos`.
+    function makeNode(pos, move) {
+        const node = {
+            san: moveToSan(pos, move),
+            uci: R.moveToUci(move),
+            moveNumber: pos.fullmove,
+            color: pos.turn,
+            nags: [],
+            preComments: [],
+            comments: [],
+            shapes: [],
+            variations: []
+        };
+        pos.makeMove(move);
+        node.fen = pos.fen();
+        return node;
+    }
+
+    // build a game from a list of UCI moves (e.g. a review or a
+    // game played on the analysis board). illegal moves end the line.
+    function fromUciMoves(ucis, startFen, tags) {
+        const game = newGame(startFen, tags);
+        const pos = new R.Position(game.startFen);
+        for (const uci of ucis) {
+            const move = pos.moveFromUci(uci);
+            if (!move) break;
+            game.moves.push(makeNode(pos, move));
+        }
+        return game;
+    }
+
+    // ---------- parsing ----------
+
+    // split movetext into tokens. comments keep their text,
+    // everything else is a bare string.
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (/\s/.test(ch)) { i++; continue; }
+            if (ch === '{') {
+                const end = text.indexOf('}', i + 1);
+                const stop = end < 0 ? text.length : end;
+                tokens.push({ comment: text.slice(i + 1, stop).replace(/\s+/g, ' ').trim() });
+                i = stop + 1;
+                continue;
+            }
+            if (ch === ';') {
+                const end = text.indexOf('\n', i);
+                const stop = end < 0 ? text.length : end;
+                tokens.push({ comment: text.slice(i + 1, stop).trim() });
+                i = stop;
+                continue;
+            }
+            // '%' escape: the whole line is ignored (only at line start)
+            if (ch === '%' && (i === 0 || text[i - 1] === '\n')) {
+                const end = text.indexOf('\n', i);
+                i = end < 0 ? text.length : end;
+                continue;
+            }
+            if (ch === '(' || ch === ')') { tokens.push(ch); i++; continue; }
+            let j = i;
+            while (j < text.length && !/[\s{}();]/.test(text[j])) j++;
+            tokens.push(text.slice(i, j));
+            i = j;
+        }
+        return tokens;
+    }
+
+    // parse the movetext of one game into game.moves.
+    // `line` is the array being filled, `pos` the position at the
+    // end of it. variations recurse with a position rewound to
+    // before the move they replace.
+    function parseMovetext(game, tokens) {
+        let idx = 0;
+
+        function parseLine(line, pos, preCommentsSink) {
+            let pending = [];    // comments waiting for the next move
+            while (idx < tokens.length) {
+                const tok = tokens[idx++];
+                if (typeof tok === 'object') {
+                    const last = line[line.length - 1];
+                    if (last && !pending.length) last.comments.push(tok.comment);
+                    else pending.push(tok.comment);
+                    continue;
+                }
+                if (tok === '(') {
+                    const last = line[line.length - 1];
+                    if (!last) throw new Error('variation with no move to replace');
+                    const branch = pos.clone();
+                    branch.unmakeMove();
+                    const variation = [];
+                    parseLine(variation, branch);
+                    if (variation.length) last.variations.push(variation);
+                    continue;
+                }
+                if (tok === ')') break;
+                if (RESULTS.includes(tok)) { game.result = tok; continue; }
+                if (/^\$\d+$/.test(tok)) {
+                    const last = line[line.length - 1];
+                    if (last) last.nags.push(parseInt(tok.slice(1), 10));
+                    continue;
+                }
+                if (SUFFIX_NAGS[tok]) {
+                    const last = line[line.length - 1];
+                    if (last) last.nags.push(SUFFIX_NAGS[tok]);
+                    continue;
+                }
+
+                // strip a move number glued to the move ("12.Nf3", "12...Nf3")
+                const sanTok = tok.replace(/^\d+\.+/, '');
+                if (!sanTok) continue;
+
+                const suffix = sanTok.match(/[!?]+$/);
+                const san = suffix ? sanTok.slice(0, -suffix[0].length) : sanTok;
+                const move = sanToMove(pos, san);
+                if (!move) throw new Error(`illegal or unreadable move "${sanTok}" at move ${pos.fullmove}${pos.turn === 'w' ? '.' : '...'}`);
+                const node = makeNode(pos, move);
+                if (suffix && SUFFIX_NAGS[suffix[0]]) node.nags.push(SUFFIX_NAGS[suffix[0]]);
+                if (pending.length) {
+                    if (!line.length && preCommentsSink) preCommentsSink.push(...pending);
+                    else node.preComments.push(...pending);
+                    pending = [];
+                }
+                line.push(node);
+            }
+            // trailing comments with nowhere to go (e.g. an empty game)
+            if (pending.length && preCommentsSink) preCommentsSink.push(...pending);
+        }
+
+        try {
+            parseLine(game.moves, new R.Position(game.startFen), game.comments);
+        } finally {
+            // a game cut short by a bad move keeps its drawings too
+            takeShapes(game);
+            game.moves.forEach(function walk(node) {
+                takeShapes(node);
+                node.variations.forEach(v => v.forEach(walk));
+            });
+        }
+    }
+
+    // move the drawings in a node's (or the game's) comments into
+    // its `shapes`; comments that held nothing else go away
+    function takeShapes(holder) {
+        const comments = [];
+        holder.comments.forEach(c => {
+            const found = Shapes.fromComment(c);
+            found.shapes.forEach(s => {
+                if (!holder.shapes.some(o => o.from === s.from && o.to === s.to)) holder.shapes.push(s);
+            });
+            if (found.text) comments.push(found.text);
+        });
+        holder.comments = comments;
+    }
+
+    // parse a PGN file. returns an array of games (see top of file).
+    function parse(text) {
+        const games = [];
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        let tags = null, movetext = [];
+
+        function flush() {
+            if (!tags && !movetext.join('').trim()) return;
+            tags = tags || {};
+            const startFen = tags.FEN || R.START_FEN;
+            const game = newGame(startFen, tags);
+            try {
+                new R.Position(startFen);
+                parseMovetext(game, tokenize(movetext.join('\n')));
+            } catch (err) {
+                game.error = err.message;
+            }
+            if (game.result !== '*' || !tags.Result) game.tags.Result = game.result;
+            else game.result = tags.Result;
+            games.push(game);
+            tags = null;
+            movetext = [];
+        }
+
+        for (const line of lines) {
+            const tagMatch = line.match(/^\s*\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/);
+            if (tagMatch) {
+                // a tag after movetext starts the next game
+                if (movetext.join('').trim()) flush();
+                tags = tags || {};
+                tags[tagMatch[1]] = tagMatch[2].replace(/\\(["\\])/g, '$1');
+                continue;
+            }
+            movetext.push(line);
+            // a result token ends the game's movetext
+            if (/(^|\s)(1-0|0-1|1\/2-1\/2|\*)\s*$/.test(line) && !/\{[^}]*$/.test(movetext.join('\n'))) flush();
+        }
+        flush();
+        return games;
+    }
+
+    // ---------- writing ----------
+
+    function escapeTag(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    function cleanComment(text) {
+        return String(text).replace(/}/g, ')').trim();
+    }
+
+    // movetext tokens for a line. `forceNumber` is true whenever
+    // a black move needs its "12..." number (start of a line, or
+    // right after a comment or variation).
+    function lineTokens(line) {
+        const out = [];
+        let forceNumber = true;
+        line.forEach(node => {
+            node.preComments.forEach(c => { out.push(`{${cleanComment(c)}}`); forceNumber = true; });
+            if (node.color === 'w') out.push(`${node.moveNumber}.`);
+            else if (forceNumber) out.push(`${node.moveNumber}...`);
+            out.push(node.san);
+            node.nags.forEach(n => out.push(`$${n}`));
+            forceNumber = false;
+            node.comments.forEach(c => { out.push(`{${cleanComment(c)}}`); forceNumber = true; });
+            if (node.shapes.length) { out.push(`{${Shapes.toComment(node.shapes)}}`); forceNumber = true; }
+            node.variations.forEach(v => {
+                out.push('(', ...lineTokens(v), ')');
+                forceNumber = true;
+            });
+        });
+        return out;
+    }
+
+    // serialize a game to PGN text. tags come out in Seven Tag
+    // Roster order (with '?' placeholders), then everything else.
+    function write(game) {
+        const tags = Object.assign({}, game.tags);
+        tags.Result = game.result || tags.Result || '*';
+        delete tags.SetUp;
+        delete tags.FEN;
+        if (game.startFen && game.startFen !== R.START_FEN) {
+            tags.SetUp = '1';
+            tags.FEN = game.startFen;
+        }
+        const defaults = { Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?' };
+        const header = SEVEN_TAG_ROSTER.map(k => `[${k} "${escapeTag(tags[k] !== undefined ? tags[k] : defaults[k])}"]`);
+        Object.keys(tags).forEach(k => {
+            if (!SEVEN_TAG_ROSTER.includes(k)) header.push(`[${k} "${escapeTag(tags[k])}"]`);
+        });
+
+        const tokens = game.comments.map(c => `{${cleanComment(c)}}`)
+            .concat(game.shapes.length ? [`{${Shapes.toComment(game.shapes)}}`] : [], lineTokens(game.moves), [tags.Result]);
+
+        // join with spaces, no space inside parentheses, wrap at 80
+        const lines = [];
+        let current = '';
+        tokens.forEach((tok, i) => {
+            const glue = !current || current.endsWith('(') || tok === ')' ? '' : ' ';
+            if (current && (current + glue + tok).length > 80) {
+                lines.push(current);
+                current = tok;
+            } else current += glue + tok;
+            if (i === tokens.length - 1) lines.push(current);
+        });
+
+        return header.join('\n') + '\n\n' + lines.join('\n') + '\n';
+    }
+
+    // main line as an array of nodes (convenience for reviewers)
+    function mainline(game) {
+        return game.moves.slice();
+    }
+
+    window.TitanPgn = {
+        NAG_SYMBOLS, SUFFIX_NAGS,
+        moveToSan, sanToMove, sanToUci, uciToSan, uciLineToSan,
+        newGame, makeNode, fromUciMoves, parse, write, mainline
+    };
+})();
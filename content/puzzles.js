@@ -0,0 +1,146 @@
+// ============================================================
+// titan-free :: puzzles from our own mistakes
+// ============================================================
+//
+// turns a finished review (review.js) into tactics puzzles: every
+// blunder where the engine had a clearly better line becomes the
+// position BEFORE the blunder, to be solved with the engine's
+// principal variation.
+//
+// a blunder qualifies when, from the blunderer's side:
+//   win    the best line is worth ≥ WIN_CP (or mates) — the
+//          position was winning and we threw it away
+//   save   the best line holds ≥ SAVE_CP while the move played
+//          drops to ≤ LOST_CP — there was a save and we missed it
+//
+// === SOLUTIONS ===
+//
+// the solution is the review's pv for that position: our moves at
+// even indexes, the engine's replies at odd ones, always ending
+// on one of ours. a forced mate keeps the whole line (up to
+// MAX_MATE_PLIES); anything else is cut to MAX_SOLUTION_PLIES —
+// past a couple of moves a depth-14 pv is a suggestion, not a
+// forced line.
+//
+// answer() checks a move against the line. a different move that
+// mates on the spot is also accepted — there's nothing to argue
+// with there.
+//
+// === RECORDS ===
+//
+//   { id, fen, solution: ['e2e4', ...], kind: 'win'|'save',
+//     mate,                       // n for a mate in n, else null
+//     played, playedSan,          // the blunder
+//     bestSan, side: 'w'|'b',
+//     source: { white, black, date, site, moveNumber },
+//     added, attempts, solves,
+//     due, interval, ease, reps, lapses }     // TitanSrs card
+//
+// `id` is the position key plus the first solution move, so the
+// same mistake reviewed twice is stored once.
+//
+// pure — content scripts build puzzles here and hand them to the
+// service worker, which keeps the puzzle bank (TitanDb).
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Mpv = window.TitanMultiPv;
+    const Srs = window.TitanSrs;
+
+    const WIN_CP = 200;
+    const SAVE_CP = -50;
+    const LOST_CP = -200;
+    const MAX_SOLUTION_PLIES = 5;
+    const MAX_MATE_PLIES = 9;
+
+    // the playable part of `pv` from `fen`, trimmed as described above
+    function solutionLine(fen, pv, mate) {
+        const pos = new R.Position(fen);
+        const line = [];
+        for (const uci of pv) {
+            const move = pos.moveFromUci(uci);
+            if (!move) break;
+            line.push(uci);
+            pos.makeMove(move);
+        }
+        const cap = mate ? MAX_MATE_PLIES : MAX_SOLUTION_PLIES;
+        // a mate longer than the cap isn't a puzzle we can check
+        if (mate && line.length > cap) return [];
+        const out = line.slice(0, cap);
+        if (out.length % 2 === 0) out.pop();
+        return out;
+    }
+
+    // puzzles from a review. options:
+    //   side   only this side's blunders ('w' | 'b'), e.g. our color
+    //          in a chess.com game; all of them when omitted
+    //   now    timestamp for `added` / the first due date
+    function fromReview(review, options) {
+        const opts = options || {};
+        const now = opts.now || Date.now();
+        const tags = (review.game && review.game.tags) || {};
+        const out = [];
+
+        review.moves.forEach(m => {
+            if (m.classification !== 'blunder') return;
+            if (opts.side && m.color !== opts.side) return;
+            const before = review.positions[m.ply], after = review.positions[m.ply + 1];
+            if (!before || !after || !before.bestmove || !before.pv.length) return;
+
+            const sign = m.color === 'w' ? 1 : -1;
+            const best = before.value * sign, played = after.value * sign;
+            const mating = before.score.mate !== undefined && before.score.mate * sign > 0;
+            let kind = null;
+            if (mating || best >= WIN_CP) kind = 'win';
+            else if (best >= SAVE_CP && played <= LOST_CP) kind = 'save';
+            if (!kind) return;
+
+            const solution = solutionLine(before.fen, before.pv, mating);
+            if (!solution.length) return;
+            const pos = new R.Position(before.fen);
+            out.push(Object.assign({
+                id: `${pos.key()}|${solution[0]}`,
+                fen: before.fen,
+                solution,
+                kind,
+                mate: mating ? Math.abs(before.score.mate) : null,
+                played: m.uci,
+                playedSan: m.san,
+                bestSan: m.bestSan,
+                side: m.color,
+                source: {
+                    white: tags.White || '?',
+                    black: tags.Black || '?',
+                    date: tags.Date || '',
+                    site: tags.Site || '',
+                    moveNumber: m.moveNumber
+                },
+                added: now,
+                attempts: 0,
+                solves: 0
+            }, Srs.newCard(now)));
+        });
+        return out;
+    }
+
+    // check move `uci` at solution index `step` (one of ours).
+    // returns { ok, done } — done when the puzzle is solved.
+    function answer(puzzle, step, uci) {
+        const pos = new R.Position(puzzle.fen);
+        for (let i = 0; i < step; i++) pos.makeMove(pos.moveFromUci(puzzle.solution[i]));
+        const move = pos.moveFromUci(uci);
+        if (!move) return { ok: false, done: false };
+        if (uci === puzzle.solution[step]) return { ok: true, done: step + 1 >= puzzle.solution.length };
+        pos.makeMove(move);
+        const mates = pos.isCheckmate();
+        return { ok: mates, done: mates };
+    }
+
+    // the solution in SAN with move numbers, for showing after a miss
+    function solutionSan(puzzle) {
+        return Mpv.sanLine(puzzle.fen, puzzle.solution);
+    }
+
+    window.TitanPuzzles = { WIN_CP, SAVE_CP, LOST_CP, fromReview, answer, solutionSan };
+})();
@@ -0,0 +1,265 @@
+// ============================================================
+// titan-free :: post-game review (engine-agnostic core)
+// ============================================================
+//
+// takes a finished game, asks an engine for an evaluation of
+// every position, and labels each move by how much it lost
+// compared to the engine's best move:
+//
+//   best        the engine's own move, or ≤ 10cp worse
+//   good        < 50cp lost
+//   inaccuracy  < 100cp lost
+//   mistake     < 300cp lost
+//   blunder     300cp or more
+//
+// this file doesn't know about the DOM, chess.com or stockfish.
+// the caller passes in an `evaluate(fen, limits)` function that
+// returns a promise of
+//
+//   { bestmove: 'e2e4', score: { cp: 31 } | { mate: -3 }, depth, pv: [...],
+//     wdl: { win, draw, loss } | null }
+//
+// with the score from the side-to-move's point of view (that's
+// what UCI gives us). in the content script that's
+// TitanEngine.evaluate(); an extension page can pass its own.
+//
+// === SCORES ===
+//
+// everything stored in a review is from WHITE's point of view.
+// `value` is the score as a single number (TitanScore.toCp):
+// centipawns, or ±(MATE_CP - n) for a mate in n, so mates always
+// sort above any centipawn score and shorter mates above longer
+// ones.
+//
+// loss is computed on scores clamped to ±LOSS_CLAMP so that, say,
+// choosing a mate in 7 over a mate in 3 in a completely won
+// position doesn't get flagged as a blunder.
+//
+// each position also keeps its `wdl` (per mille, white's side —
+// TitanScore.whiteWdl): the engine's own, or the model TitanUci
+// fills in from the score when the engine has none.
+//
+// === TABLEBASE ===
+//
+// positions TitanBitbase covers (KQK, KRK, KPK, KBNK) never reach
+// the engine: their score is the exact mate distance or 0, their
+// wdl a certain result, their best move and pv the table's, and
+// `tablebase` says it in words ('White wins in 12', 'Draw').
+// everywhere else `tablebase` is null.
+//
+// === DRAW MARGIN ===
+//
+// centipawns say who is better, not whether it wins: +2 in a
+// rook ending can be dead drawn. drawMargins(review) flags the
+// positions where the eval shows a clear edge (DRAWISH_CP or
+// more, not a mate) but the wdl still gives a draw at least
+// DRAWISH_DRAW per mille. they're counted for the side that was
+// ahead — "you were better here, but it was a draw". with a
+// modelled wdl that means an edge late enough in the game for
+// the model to expect it to be held.
+//
+// === ANNOTATED PGN ===
+//
+// annotate(review) turns a review back into a game for
+// TitanPgn.write(), the way lichess exports its analysis:
+//   - every move gets an [%eval] comment — the score after it,
+//     from white's side, in pawns ('0.31') or as a mate ('#-3')
+//   - inaccuracies, mistakes and blunders get their NAG ($6, $2,
+//     $4 — ?!, ?, ??), a "Mistake. Nf3 was best." note, and the
+//     engine's line from before the move as a variation, cut to
+//     VARIATION_PLIES
+// the game's own comments (clock times, say) and drawings are
+// kept; its own NAGs and variations make way for the review's.
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Pgn = window.TitanPgn;
+    const Score = window.TitanScore;
+    const Bitbase = window.TitanBitbase;
+
+    const LOSS_CLAMP = 1000;
+    const DEFAULT_DEPTH = 14;
+    const VARIATION_PLIES = 8;
+    const ANNOTATOR = 'Titan Chess (Stockfish)';
+    const DRAWISH_CP = 150;
+    const DRAWISH_DRAW = 500;
+    // classification → NAG for the annotated PGN
+    const NAGS = { inaccuracy: 6, mistake: 2, blunder: 4 };
+
+    // ordered from best to worst; the first class whose maxLoss
+    // is >= the move's loss wins.
+    const CLASSES = [
+        { name: 'best',       maxLoss: 10,       symbol: '★', color: '#22c55e' },
+        { name: 'good',       maxLoss: 49,       symbol: '✓', color: '#86efac' },
+        { name: 'inaccuracy', maxLoss: 99,       symbol: '?!', color: '#facc15' },
+        { name: 'mistake',    maxLoss: 299,      symbol: '?', color: '#fb923c' },
+        { name: 'blunder',    maxLoss: Infinity, symbol: '??', color: '#ef4444' }
+    ];
+
+    function clamp(value) {
+        return Math.max(-LOSS_CLAMP, Math.min(LOSS_CLAMP, value));
+    }
+
+    function classify(loss, isBest) {
+        if (isBest) return CLASSES[0];
+        return CLASSES.find(c => loss <= c.maxLoss);
+    }
+
+    function classInfo(name) {
+        return CLASSES.find(c => c.name === name) || null;
+    }
+
+    // evaluate one position. game-over positions are scored from
+    // the rules instead of asking the engine (stockfish answers
+    // 'bestmove (none)' there, which isn't useful).
+    async function evaluatePosition(fen, evaluate, limits) {
+        const pos = new R.Position(fen);
+        const sign = pos.turn === 'w' ? 1 : -1;
+        if (pos.isCheckmate()) {
+            const wdl = Score.whiteWdl({ win: 0, draw: 0, loss: 1000 }, pos.turn);
+            return { fen, bestmove: null, pv: [], depth: 0, score: { mate: 0 }, value: -Score.MATE_CP * sign, wdl, tablebase: null };
+        }
+        if (pos.isDraw()) {
+            return { fen, bestmove: null, pv: [], depth: 0, score: { cp: 0 }, value: 0, wdl: { win: 0, draw: 1000, loss: 0 }, tablebase: null };
+        }
+        const tb = Bitbase.probe(fen);
+        const res = tb
+            ? { bestmove: tb.bestmove, score: tb.score, depth: tb.plies, pv: tb.pv, wdl: tb.wdl }
+            : await evaluate(fen, limits);
+        const raw = res.score || { cp: 0 };
+        const score = sign === 1 ? raw : Score.negate(raw);
+        return {
+            fen,
+            bestmove: res.bestmove || null,
+            pv: res.pv || [],
+            depth: res.depth || 0,
+            score,
+            value: (Score.toCp(raw) * sign) || 0,
+            wdl: Score.whiteWdl(res.wdl || null, pos.turn),
+            tablebase: tb ? Bitbase.describe(tb) : null
+        };
+    }
+
+    // review a game object (see pgn.js). options:
+    //   depth        search depth per position (default 14)
+    //   onProgress   called as (done, total, positions) after each
+    //                position
+    //   shouldStop   polled between positions; return true to cancel
+    //   resume       positions from an earlier, interrupted run of
+    //                this game — the ones that still fit are kept
+    //
+    // resolves to:
+    //   { game, positions: [...], moves: [...], cancelled }
+    // positions[i] is the position before move i (positions has one
+    // more entry than moves). each move carries its classification.
+    async function run(game, evaluate, options) {
+        const opts = options || {};
+        const limits = { depth: opts.depth || DEFAULT_DEPTH };
+        const nodes = game.moves;
+        const fens = [game.startFen].concat(nodes.map(n => n.fen));
+        const positions = [];
+        for (const p of opts.resume || []) {
+            if (!p || p.fen !== fens[positions.length]) break;
+            positions.push(p);
+        }
+
+        for (let i = positions.length; i < fens.length; i++) {
+            if (opts.shouldStop && opts.shouldStop()) {
+                return { game, positions, moves: buildMoves(nodes, positions), cancelled: true };
+            }
+            positions.push(await evaluatePosition(fens[i], evaluate, limits));
+            if (opts.onProgress) opts.onProgress(i + 1, fens.length, positions);
+        }
+        return { game, positions, moves: buildMoves(nodes, positions), cancelled: false };
+    }
+
+    // label every move for which both surrounding positions are known
+    function buildMoves(nodes, positions) {
+        const moves = [];
+        for (let i = 0; i + 1 < positions.length && i < nodes.length; i++) {
+            const node = nodes[i], before = positions[i], after = positions[i + 1];
+            const sign = node.color === 'w' ? 1 : -1;
+            const loss = Math.max(0, clamp(before.value * sign) - clamp(after.value * sign));
+            const isBest = !!before.bestmove && before.bestmove === node.uci;
+            const cls = classify(loss, isBest);
+            moves.push({
+                ply: i,
+                san: node.san,
+                uci: node.uci,
+                color: node.color,
+                moveNumber: node.moveNumber,
+                loss,
+                classification: cls.name,
+                bestmove: before.bestmove,
+                bestSan: before.bestmove ? Pgn.uciToSan(before.fen, before.bestmove) : null
+            });
+        }
+        return moves;
+    }
+
+    // white-POV score object → [%eval] value
+    function evalText(score) {
+        if (score.mate !== undefined) return `#${score.mate}`;
+        return ((score.cp || 0) / 100).toFixed(2);
+    }
+
+    // the reviewed game with NAGs, [%eval] comments and the
+    // engine's lines (see top of file). the review's game is left
+    // untouched.
+    function annotate(review) {
+        const src = review.game;
+        const game = Pgn.newGame(src.startFen, Object.assign({}, src.tags, { Annotator: ANNOTATOR }));
+        game.result = src.result;
+        game.comments = src.comments.slice();
+        game.shapes = src.shapes.slice();
+        game.moves = src.moves.map((node, i) => {
+            const m = review.moves[i], after = review.positions[i + 1];
+            // past the end of a cancelled review: the move as it was
+            if (!m || !after) return node;
+            const out = Object.assign({}, node, { nags: [], variations: [] });
+            // mate 0: the game ended in checkmate, nothing to score
+            const notes = after.score.mate === 0 ? [] : [`[%eval ${evalText(after.score)}]`];
+            if (NAGS[m.classification]) {
+                const before = review.positions[i];
+                out.nags.push(NAGS[m.classification]);
+                if (m.bestSan) notes.push(`${m.classification[0].toUpperCase()}${m.classification.slice(1)}. ${m.bestSan} was best.`);
+                const line = before.pv.length ? before.pv : [m.bestmove];
+                const variation = Pgn.fromUciMoves(line.slice(0, VARIATION_PLIES), before.fen).moves;
+                if (variation.length) out.variations.push(variation);
+            }
+            // one comment per move, the game's own text first
+            const text = node.comments.concat(notes).join(' ');
+            out.comments = text ? [text] : [];
+            return out;
+        });
+        return game;
+    }
+
+    // per-side counts of each classification
+    function summarize(review) {
+        const out = { w: {}, b: {} };
+        CLASSES.forEach(c => { out.w[c.name] = 0; out.b[c.name] = 0; });
+        review.moves.forEach(m => { out[m.color][m.classification]++; });
+        return out;
+    }
+
+    // drawish edges (see top of file). returns
+    //   { w, b, flags } — counts for the side that was ahead, and
+    //   flags[i] true when review.positions[i] is one
+    function drawMargins(review) {
+        const out = { w: 0, b: 0, flags: [] };
+        review.positions.forEach((p, i) => {
+            const drawish = !!p.wdl && !Score.isMateValue(p.value) &&
+                Math.abs(p.value) >= DRAWISH_CP && p.wdl.draw >= DRAWISH_DRAW;
+            out.flags[i] = drawish;
+            if (drawish) out[p.value > 0 ? 'w' : 'b']++;
+        });
+        return out;
+    }
+
+    window.TitanReview = {
+        CLASSES, DEFAULT_DEPTH, DRAWISH_CP, DRAWISH_DRAW,
+        classify, classInfo, evaluatePosition, run, summarize, drawMargins, annotate
+    };
+})();
@@ -0,0 +1,579 @@
+// ============================================================
+// titan-free :: chess rules (legal moves, make/unmake, draws)
+// ============================================================
+//
+// a complete, dependency-free rules module. board.js can only
+// guess at a position from the DOM; everything that needs to
+// actually reason about chess (review, PGN, the analysis board)
+// goes through this file instead.
+//
+// what it does:
+//   - parses and writes FEN (all six fields)
+//   - generates legal moves, including castling, en passant
+//     and under-promotion
+//   - make / unmake with a full undo stack
+//   - check, checkmate, stalemate
+//   - fifty-move rule, threefold repetition, insufficient material
+//   - perft (move-path enumeration) for validating the generator
+//   - validateFen(): is a position actually playable (setup editor)
+//
+// === BOARD LAYOUT ===
+//
+// the board is a flat array of 64 squares in the same order as
+// board.js: index 0 = a8, 7 = h8, 56 = a1, 63 = h1. so
+//   file = idx & 7   (0 = a-file)
+//   row  = idx >> 3  (0 = 8th rank)
+// pieces are FEN letters: 'P','N','B','R','Q','K' for white,
+// lowercase for black, null for empty.
+//
+// === MOVES ===
+//
+// a move is a plain object:
+//   { from, to, piece, captured, promotion, castle, enPassant }
+// from/to are square indexes, piece/captured are FEN letters,
+// promotion is a lowercase piece letter ('q','r','b','n') or
+// null, castle is 'K','Q','k','q' or null.
+// moveToUci() turns one into 'e2e4' / 'e7e8q' for stockfish.
+//
+// === VALIDATION ===
+//
+// perft() counts leaf nodes of the legal move tree. the standard
+// reference positions (start position, "kiwipete", the chess
+// programming wiki positions 3-6) must match their published
+// counts exactly — if you touch move generation, run them in
+// node before shipping (test/perft.test.js does):
+//
+//   node --test test/
+//
+// load() only checks that a FEN is well-formed. validateFen()
+// goes further and lists everything that makes a position
+// impossible to play from — missing or extra kings, pawns on the
+// back ranks, the side not to move in check, castling rights
+// without the king and rook at home, an en passant square no
+// double push could have produced. the setup editor refuses to
+// leave until that list is empty.
+//
+// === WHAT NOT TO CHANGE ===
+//
+// - the square numbering — board.js and drawing.js share it
+// - makeMove/unmakeMove must stay exact inverses. every piece of
+//   state they touch (castling, ep, clocks, kings, keys) is in
+//   the undo record for a reason
+// ============================================================
+
+(function () {
+    const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    const FILES = 'abcdefgh';
+
+    // castling rights as a bitmask
+    const WK = 1, WQ = 2, BK = 4, BQ = 8;
+
+    // rights lost when a piece moves from / is captured on a square
+    const CASTLE_MASK = new Array(64).fill(0);
+    CASTLE_MASK[56] = WQ; CASTLE_MASK[60] = WK | WQ; CASTLE_MASK[63] = WK;
+    CASTLE_MASK[0] = BQ;  CASTLE_MASK[4] = BK | BQ;  CASTLE_MASK[7] = BK;
+
+    // castling: king path, squares that must be empty, rook move
+    const CASTLES = {
+        K: { right: WK, king: 60, to: 62, empty: [61, 62],     safe: [60, 61, 62], rookFrom: 63, rookTo: 61 },
+        Q: { right: WQ, king: 60, to: 58, empty: [59, 58, 57], safe: [60, 59, 58], rookFrom: 56, rookTo: 59 },
+        k: { right: BK, king: 4,  to: 6,  empty: [5, 6],       safe: [4, 5, 6],    rookFrom: 7,  rookTo: 5 },
+        q: { right: BQ, king: 4,  to: 2,  empty: [3, 2, 1],    safe: [4, 3, 2],    rookFrom: 0,  rookTo: 3 }
+    };
+
+    const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+    const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+    const ROOK_DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const BISHOP_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+    // precomputed target lists so the hot loops don't redo
+    // bounds checks. RAYS[d][sq] walks outward in direction d.
+    function stepTargets(steps) {
+        const table = [];
+        for (let sq = 0; sq < 64; sq++) {
+            const f = sq & 7, r = sq >> 3, list = [];
+            steps.forEach(([df, dr]) => {
+                const nf = f + df, nr = r + dr;
+                if (nf >= 0 && nf < 8 && nr >= 0 && nr < 8) list.push(nr * 8 + nf);
+            });
+            table.push(list);
+        }
+        return table;
+    }
+
+    function rayTargets(dirs) {
+        return dirs.map(([df, dr]) => {
+            const table = [];
+            for (let sq = 0; sq < 64; sq++) {
+                let f = (sq & 7) + df, r = (sq >> 3) + dr;
+                const list = [];
+                while (f >= 0 && f < 8 && r >= 0 && r < 8) { list.push(r * 8 + f); f += df; r += dr; }
+                table.push(list);
+            }
+            return table;
+        });
+    }
+
+    const KNIGHT_TARGETS = stepTargets(KNIGHT_STEPS);
+    const KING_TARGETS = stepTargets(KING_STEPS);
+    const ROOK_RAYS = rayTargets(ROOK_DIRS);
+    const BISHOP_RAYS = rayTargets(BISHOP_DIRS);
+
+    function sqName(idx) {
+        return FILES[idx & 7] + (8 - (idx >> 3));
+    }
+
+    // 'e4' → 36. returns -1 for anything that isn't a square.
+    function sqIndex(name) {
+        if (typeof name !== 'string' || name.length !== 2) return -1;
+        const f = FILES.indexOf(name[0]), rank = parseInt(name[1], 10);
+        if (f < 0 || !(rank >= 1 && rank <= 8)) return -1;
+        return (8 - rank) * 8 + f;
+    }
+
+    function colorOf(piece) {
+        return piece === piece.toUpperCase() ? 'w' : 'b';
+    }
+
+    function moveToUci(move) {
+        return sqName(move.from) + sqName(move.to) + (move.promotion || '');
+    }
+
+    class Position {
+        constructor(fen) {
+            if (!this.load(fen || START_FEN)) throw new Error(`[TitanRules] invalid FEN: ${fen}`);
+        }
+
+        // parse a FEN. returns false (and leaves the position
+        // untouched) if the string is structurally malformed.
+        // missing clock fields default to "0 1".
+        load(fen) {
+            if (typeof fen !== 'string') return false;
+            const parts = fen.trim().split(/\s+/);
+            if (parts.length < 2) return false;
+            const rows = parts[0].split('/');
+            if (rows.length !== 8) return false;
+
+            const board = new Array(64).fill(null);
+            const kings = { w: -1, b: -1 };
+            for (let r = 0; r < 8; r++) {
+                let f = 0;
+                for (const ch of rows[r]) {
+                    if (/[1-8]/.test(ch)) { f += parseInt(ch, 10); continue; }
+                    if (!/[pnbrqkPNBRQK]/.test(ch) || f > 7) return false;
+                    board[r * 8 + f] = ch;
+                    if (ch === 'K') kings.w = r * 8 + f;
+                    if (ch === 'k') kings.b = r * 8 + f;
+                    f++;
+                }
+                if (f !== 8) return false;
+            }
+
+            const turn = parts[1];
+            if (turn !== 'w' && turn !== 'b') return false;
+
+            const castleField = parts[2] || '-';
+            if (!/^(-|K?Q?k?q?)$/.test(castleField)) return false;
+            let castling = 0;
+            if (castleField.includes('K')) castling |= WK;
+            if (castleField.includes('Q')) castling |= WQ;
+            if (castleField.includes('k')) castling |= BK;
+            if (castleField.includes('q')) castling |= BQ;
+
+            const epField = parts[3] || '-';
+            const ep = epField === '-' ? -1 : sqIndex(epField);
+            if (epField !== '-' && ep < 0) return false;
+
+            const halfmove = parts[4] !== undefined ? parseInt(parts[4], 10) : 0;
+            const fullmove = parts[5] !== undefined ? parseInt(parts[5], 10) : 1;
+            if (!(halfmove >= 0) || !(fullmove >= 1)) return false;
+
+            this.board = board;
+            this.kings = kings;
+            this.turn = turn;
+            this.castling = castling;
+            this.ep = ep;
+            this.halfmove = halfmove;
+            this.fullmove = fullmove;
+            this.history = [];
+            this.keys = [this.key()];
+            return true;
+        }
+
+        // full six-field FEN. the en passant square is written
+        // whenever the last move was a double pawn push.
+        fen() {
+            return `${this.placement()} ${this.turn} ${this.castlingString()} ` +
+                `${this.ep >= 0 ? sqName(this.ep) : '-'} ${this.halfmove} ${this.fullmove}`;
+        }
+
+        placement() {
+            let out = '';
+            for (let r = 0; r < 8; r++) {
+                let empty = 0;
+                for (let f = 0; f < 8; f++) {
+                    const p = this.board[r * 8 + f];
+                    if (p) { if (empty) { out += empty; empty = 0; } out += p; } else empty++;
+                }
+                if (empty) out += empty;
+                if (r < 7) out += '/';
+            }
+            return out;
+        }
+
+        castlingString() {
+            let s = '';
+            if (this.castling & WK) s += 'K';
+            if (this.castling & WQ) s += 'Q';
+            if (this.castling & BK) s += 'k';
+            if (this.castling & BQ) s += 'q';
+            return s || '-';
+        }
+
+        // identity of a position for repetition purposes: placement,
+        // side to move, castling rights, and the ep square only when
+        // a pawn is actually placed to capture onto it.
+        key() {
+            let ep = '-';
+            if (this.ep >= 0) {
+                const pawn = this.turn === 'w' ? 'P' : 'p';
+                const row = this.turn === 'w' ? 3 : 4;
+                const f = this.ep & 7;
+                if ((f > 0 && this.board[row * 8 + f - 1] === pawn) ||
+                    (f < 7 && this.board[row * 8 + f + 1] === pawn)) ep = sqName(this.ep);
+            }
+            return `${this.placement()} ${this.turn} ${this.castlingString()} ${ep}`;
+        }
+
+        get(sq) {
+            return this.board[typeof sq === 'string' ? sqIndex(sq) : sq] || null;
+        }
+
+        clone() {
+            const copy = Object.create(Position.prototype);
+            copy.board = this.board.slice();
+            copy.kings = { w: this.kings.w, b: this.kings.b };
+            copy.turn = this.turn;
+            copy.castling = this.castling;
+            copy.ep = this.ep;
+            copy.halfmove = this.halfmove;
+            copy.fullmove = this.fullmove;
+            copy.history = this.history.slice();
+            copy.keys = this.keys.slice();
+            return copy;
+        }
+
+        // is `sq` attacked by any piece of color `by`?
+        isAttacked(sq, by) {
+            const b = this.board;
+            const f = sq & 7;
+            // pawns: a white pawn attacks diagonally "up" (towards row 0),
+            // so it sits one row below the target square.
+            const pawnRow = (sq >> 3) + (by === 'w' ? 1 : -1);
+            if (pawnRow >= 0 && pawnRow < 8) {
+                const pawn = by === 'w' ? 'P' : 'p';
+                if (f > 0 && b[pawnRow * 8 + f - 1] === pawn) return true;
+                if (f < 7 && b[pawnRow * 8 + f + 1] === pawn) return true;
+            }
+            const knight = by === 'w' ? 'N' : 'n';
+            for (const t of KNIGHT_TARGETS[sq]) if (b[t] === knight) return true;
+            const king = by === 'w' ? 'K' : 'k';
+            for (const t of KING_TARGETS[sq]) if (b[t] === king) return true;
+
+            const rook = by === 'w' ? 'R' : 'r', bishop = by === 'w' ? 'B' : 'b', queen = by === 'w' ? 'Q' : 'q';
+            for (const rays of ROOK_RAYS) {
+                for (const t of rays[sq]) {
+                    const p = b[t];
+                    if (!p) continue;
+                    if (p === rook || p === queen) return true;
+                    break;
+                }
+            }
+            for (const rays of BISHOP_RAYS) {
+                for (const t of rays[sq]) {
+                    const p = b[t];
+                    if (!p) continue;
+                    if (p === bishop || p === queen) return true;
+                    break;
+                }
+            }
+            return false;
+        }
+
+        inCheck(color) {
+            const side = color || this.turn;
+            const k = this.kings[side];
+            return k >= 0 && this.isAttacked(k, side === 'w' ? 'b' : 'w');
+        }
+
+        // pseudo-legal moves (may leave own king in check)
+        pseudoMoves() {
+            const b = this.board, us = this.turn, them = us === 'w' ? 'b' : 'w';
+            const moves = [];
+            const push = (from, to, piece, extra) => {
+                const captured = b[to];
+                moves.push(Object.assign({ from, to, piece, captured, promotion: null, castle: null, enPassant: false }, extra));
+            };
+
+            for (let sq = 0; sq < 64; sq++) {
+                const piece = b[sq];
+                if (!piece || colorOf(piece) !== us) continue;
+                const type = piece.toLowerCase();
+
+                if (type === 'p') {
+                    const dir = us === 'w' ? -8 : 8;
+                    const startRow = us === 'w' ? 6 : 1;
+                    const promoRow = us === 'w' ? 0 : 7;
+                    const f = sq & 7;
+                    const addPawnMove = (to, extra) => {
+                        if ((to >> 3) === promoRow) {
+                            for (const promo of ['q', 'r', 'b', 'n']) push(sq, to, piece, Object.assign({ promotion: promo }, extra));
+                        } else push(sq, to, piece, extra);
+                    };
+                    const one = sq + dir;
+                    if (!b[one]) {
+                        addPawnMove(one);
+                        if ((sq >> 3) === startRow && !b[one + dir]) push(sq, one + dir, piece);
+                    }
+                    for (const df of [-1, 1]) {
+                        if (f + df < 0 || f + df > 7) continue;
+                        const to = one + df;
+                        if (b[to] && colorOf(b[to]) === them) addPawnMove(to);
+                        else if (to === this.ep) push(sq, to, piece, { enPassant: true, captured: us === 'w' ? 'p' : 'P' });
+                    }
+                } else if (type === 'n' || type === 'k') {
+                    const targets = type === 'n' ? KNIGHT_TARGETS[sq] : KING_TARGETS[sq];
+                    for (const to of targets) {
+                        if (!b[to] || colorOf(b[to]) === them) push(sq, to, piece);
+                    }
+                } else {
+                    const rayTables = type === 'r' ? ROOK_RAYS : type === 'b' ? BISHOP_RAYS : ROOK_RAYS.concat(BISHOP_RAYS);
+                    for (const rays of rayTables) {
+                        for (const to of rays[sq]) {
+                            if (!b[to]) { push(sq, to, piece); continue; }
+                            if (colorOf(b[to]) === them) push(sq, to, piece);
+                            break;
+                        }
+                    }
+                }
+            }
+
+            // castling: right still held, path empty, king not passing
+            // through (or starting on, or landing on) an attacked square
+            for (const side of us === 'w' ? ['K', 'Q'] : ['k', 'q']) {
+                const c = CASTLES[side];
+                if (!(this.castling & c.right)) continue;
+                if (b[c.king] !== (us === 'w' ? 'K' : 'k') || b[c.rookFrom] !== (us === 'w' ? 'R' : 'r')) continue;
+                if (c.empty.some(sq => b[sq])) continue;
+                if (c.safe.some(sq => this.isAttacked(sq, them))) continue;
+                push(c.king, c.to, b[c.king], { castle: side });
+            }
+            return moves;
+        }
+
+        // all legal moves for the side to move
+        moves() {
+            const us = this.turn;
+            return this.pseudoMoves().filter(m => {
+                this.makeMove(m);
+                const legal = !this.inCheck(us);
+                this.unmakeMove();
+                return legal;
+            });
+        }
+
+        // apply a move object (assumed legal — use moves() or
+        // moveFromUci() to get one). pushes an undo record.
+        makeMove(move) {
+            const b = this.board, us = this.turn;
+            this.history.push({
+                move, castling: this.castling, ep: this.ep,
+                halfmove: this.halfmove, fullmove: this.fullmove
+            });
+
+            b[move.from] = null;
+            if (move.enPassant) b[move.to + (us === 'w' ? 8 : -8)] = null;
+            b[move.to] = move.promotion ? (us === 'w' ? move.promotion.toUpperCase() : move.promotion) : move.piece;
+            if (move.castle) {
+                const c = CASTLES[move.castle];
+                b[c.rookTo] = b[c.rookFrom];
+                b[c.rookFrom] = null;
+            }
+            if (move.piece === 'K' || move.piece === 'k') this.kings[us] = move.to;
+
+            this.castling &= ~(CASTLE_MASK[move.from] | CASTLE_MASK[move.to]);
+            const isPawn = move.piece === 'P' || move.piece === 'p';
+            this.ep = isPawn && Math.abs(move.to - move.from) === 16 ? (move.from + move.to) / 2 : -1;
+            this.halfmove = isPawn || move.captured ? 0 : this.halfmove + 1;
+            if (us === 'b') this.fullmove++;
+            this.turn = us === 'w' ? 'b' : 'w';
+            this.keys.push(this.key());
+            return move;
+        }
+
+        // take back the last move made with makeMove().
+        unmakeMove() {
+            const undo = this.history.pop();
+            if (!undo) return null;
+            const move = undo.move, b = this.board;
+            this.keys.pop();
+            this.turn = this.turn === 'w' ? 'b' : 'w';
+            const us = this.turn;
+
+            b[move.from] = move.piece;
+            b[move.to] = move.enPassant ? null : move.captured;
+            if (move.enPassant) b[move.to + (us === 'w' ? 8 : -8)] = move.captured;
+            if (move.castle) {
+                const c = CASTLES[move.castle];
+                b[c.rookFrom] = b[c.rookTo];
+                b[c.rookTo] = null;
+            }
+            if (move.piece === 'K' || move.piece === 'k') this.kings[us] = move.from;
+
+            this.castling = undo.castling;
+            this.ep = undo.ep;
+            this.halfmove = undo.halfmove;
+            this.fullmove = undo.fullmove;
+            return move;
+        }
+
+        // find the legal move for a UCI string ('e2e4', 'e7e8q').
+        // returns null if it isn't legal here.
+        moveFromUci(uci) {
+            if (typeof uci !== 'string' || uci.length < 4) return null;
+            const from = sqIndex(uci.slice(0, 2)), to = sqIndex(uci.slice(2, 4));
+            const promo = uci.length > 4 ? uci[4].toLowerCase() : null;
+            return this.moves().find(m => m.from === from && m.to === to && (m.promotion || null) === promo) || null;
+        }
+
+        // convenience: play a UCI move if legal. returns the move or null.
+        play(uci) {
+            const move = this.moveFromUci(uci);
+            return move ? this.makeMove(move) : null;
+        }
+
+        isCheckmate() {
+            return this.inCheck() && this.moves().length === 0;
+        }
+
+        isStalemate() {
+            return !this.inCheck() && this.moves().length === 0;
+        }
+
+        // 100 half-moves without a capture or pawn move. per FIDE
+        // a checkmate delivered on the 100th half-move still counts.
+        isFiftyMoves() {
+            return this.halfmove >= 100 && !this.isCheckmate();
+        }
+
+        // the current position has occurred three times. only the
+        // positions since the last irreversible move can repeat.
+        isThreefoldRepetition() {
+            const current = this.keys[this.keys.length - 1];
+            const start = Math.max(0, this.keys.length - 1 - this.halfmove);
+            let count = 0;
+            for (let i = start; i < this.keys.length; i++) if (this.keys[i] === current) count++;
+            return count >= 3;
+        }
+
+        // neither side can possibly mate: K v K, K+minor v K,
+        // or only bishops left, all on the same square color.
+        isInsufficientMaterial() {
+            const others = [];
+            for (let sq = 0; sq < 64; sq++) {
+                const p = this.board[sq];
+                if (p && p.toLowerCase() !== 'k') others.push({ type: p.toLowerCase(), sq });
+            }
+            if (others.length === 0) return true;
+            if (others.length === 1 && (others[0].type === 'n' || others[0].type === 'b')) return true;
+            if (others.every(o => o.type === 'b')) {
+                const shade = o => ((o.sq & 7) + (o.sq >> 3)) % 2;
+                return others.every(o => shade(o) === shade(others[0]));
+            }
+            return false;
+        }
+
+        isDraw() {
+            return this.isStalemate() || this.isFiftyMoves() ||
+                this.isThreefoldRepetition() || this.isInsufficientMaterial();
+        }
+
+        isGameOver() {
+            return this.moves().length === 0 || this.isDraw();
+        }
+
+        // PGN-style result: '1-0', '0-1', '1/2-1/2' or '*'
+        result() {
+            if (this.isCheckmate()) return this.turn === 'w' ? '0-1' : '1-0';
+            if (this.isDraw()) return '1/2-1/2';
+            return '*';
+        }
+
+        // count leaf nodes of the legal move tree to `depth`.
+        // this is the standard correctness test for move generators.
+        perft(depth) {
+            if (depth === 0) return 1;
+            const moves = this.moves();
+            if (depth === 1) return moves.length;
+            let nodes = 0;
+            for (const m of moves) {
+                this.makeMove(m);
+                nodes += this.perft(depth - 1);
+                this.unmakeMove();
+            }
+            return nodes;
+        }
+    }
+
+    // everything wrong with a FEN as a starting position, as a list
+    // of human-readable messages. empty list = playable.
+    function validateFen(fen) {
+        const pos = Object.create(Position.prototype);
+        if (!pos.load(fen)) return ['Malformed FEN'];
+        const errors = [];
+        const b = pos.board;
+        const count = (piece) => b.filter(p => p === piece).length;
+
+        if (count('K') !== 1) errors.push('White must have exactly one king');
+        if (count('k') !== 1) errors.push('Black must have exactly one king');
+        if (count('P') > 8) errors.push('White has more than 8 pawns');
+        if (count('p') > 8) errors.push('Black has more than 8 pawns');
+        for (let f = 0; f < 8; f++) {
+            if (/[pP]/.test(b[f] || '') || /[pP]/.test(b[56 + f] || '')) {
+                errors.push('Pawns can\'t stand on the first or eighth rank');
+                break;
+            }
+        }
+
+        if (count('K') === 1 && count('k') === 1) {
+            const other = pos.turn === 'w' ? 'b' : 'w';
+            if (pos.inCheck(other)) {
+                errors.push(`${other === 'w' ? 'White' : 'Black'} is in check, but it's ${pos.turn === 'w' ? 'White' : 'Black'} to move`);
+            }
+        }
+
+        Object.keys(CASTLES).forEach(side => {
+            const c = CASTLES[side];
+            if (!(pos.castling & c.right)) return;
+            const white = side === side.toUpperCase();
+            if (b[c.king] !== (white ? 'K' : 'k') || b[c.rookFrom] !== (white ? 'R' : 'r')) {
+                errors.push(`Castling right '${side}' needs the king and rook on their home squares`);
+            }
+        });
+
+        // ep square: behind a pawn that just made a double push
+        if (pos.ep >= 0) {
+            const row = pos.ep >> 3;
+            const pawn = pos.turn === 'w' ? 'p' : 'P';
+            const front = pos.turn === 'w' ? pos.ep + 8 : pos.ep - 8;
+            const origin = pos.turn === 'w' ? pos.ep - 8 : pos.ep + 8;
+            if (row !== (pos.turn === 'w' ? 2 : 5) || b[front] !== pawn || b[pos.ep] || b[origin]) {
+                errors.push(`En passant square ${sqName(pos.ep)} doesn't follow a double pawn push`);
+            }
+        }
+
+        return errors;
+    }
+
+    window.TitanRules = { START_FEN, Position, sqName, sqIndex, moveToUci, validateFen };
+})();
@@ -0,0 +1,146 @@
+// ============================================================
+// titan-free :: engine scores
+// ============================================================
+//
+// a UCI score is either centipawns or a mate distance, from the
+// side to move's point of view:
+//
+//   { cp: 35 }      35 centipawns better
+//   { mate: 3 }     mates in 3
+//   { mate: -5 }    gets mated in 5
+//   { mate: 0 }     is mated already (a checkmate position)
+//
+// this file is the one place that knows how to compare, flip and
+// print them, so the lines panel, the eval bar, the review, the
+// graph and the PGN export all agree about mates.
+//
+// === ONE NUMBER ===
+//
+// toCp(score) folds both kinds into centipawns: a mate in n is
+// ±(MATE_CP - n). mates sort above any centipawn score, shorter
+// mates above longer ones, and getting mated later above getting
+// mated sooner. isMateValue() recognises the folded mates again.
+//
+// === DISPLAY ===
+//
+// format(score, turn) shows a side-to-move score from white's
+// point of view, like every analysis board:
+//   +0.35   white is better by 35 centipawns
+//   -1.20   black is better
+//   M3      white mates in 3
+//   -M5     black mates in 5
+// mate 0 is shown for the side that delivered it (M0 / -M0).
+//
+// === WDL ===
+//
+// a win / draw / loss estimate, per mille and from the side to
+// move's point of view:
+//   { win: 412, draw: 501, loss: 87 }
+// whiteWdl(wdl, turn) turns it to white's side, formatWdl(wdl)
+// prints one as 'W 41% · D 50% · L 9%'. a centipawn edge says who
+// is better; the draw share says whether it's likely to matter.
+//
+// stockfish 12 and later report one with UCI_ShowWDL. the build
+// shipped here (stockfish 11) doesn't, so modelWdl(score, ply)
+// derives it from the score instead, with stockfish 12's
+// win-rate model: the chance a centipawn edge wins, fitted on
+// fishtest games, as a logistic curve that flattens as the game
+// goes on (the same edge converts less often in an endgame). a
+// modelled wdl has `model: true`, and formatWdl() says so:
+// 'W 58% · D 41% · L 1% (model)'. it knows nothing the score
+// doesn't — it's a reading of the score, not a second opinion.
+//
+// pure — no DOM, no engine, no TitanState.
+// ============================================================
+
+(function () {
+    const MATE_CP = 10000;
+
+    // score object → single number (see top of file)
+    function toCp(score) {
+        if (!score) return 0;
+        if (score.mate !== undefined) return score.mate > 0 ? MATE_CP - score.mate : -MATE_CP - score.mate;
+        return score.cp || 0;
+    }
+
+    // anything this close to MATE_CP is a mate score
+    function isMateValue(value) {
+        return Math.abs(value) > MATE_CP / 2;
+    }
+
+    // the same score from the other side. mate 0 stays 0 — who is
+    // mated depends on the side to move, not on the sign.
+    function negate(score) {
+        if (!score) return score;
+        if (score.mate !== undefined) return { mate: score.mate ? -score.mate : 0 };
+        return { cp: -(score.cp || 0) };
+    }
+
+    // sort comparator, best score (for the side to move) first
+    function compare(a, b) {
+        return toCp(b) - toCp(a);
+    }
+
+    // side-to-move score → white-POV display string
+    function format(score, turn) {
+        if (!score) return '';
+        const sign = turn === 'b' ? -1 : 1;
+        if (score.mate !== undefined) {
+            // mate 0: the side to move is already mated
+            const whiteWins = score.mate === 0 ? turn === 'b' : score.mate * sign > 0;
+            return (whiteWins ? 'M' : '-M') + Math.abs(score.mate);
+        }
+        const cp = score.cp * sign;
+        return (cp > 0 ? '+' : cp < 0 ? '-' : '') + (Math.abs(cp) / 100).toFixed(2);
+    }
+
+    // a white-POV score (as the review stores them) for display;
+    // `turn` is only needed to place a mate 0
+    function formatWhite(score, turn) {
+        return format(turn === 'b' ? negate(score) : score, turn);
+    }
+
+    // stockfish 12's win-rate model: per mille chance that `cp`
+    // wins at game ply `ply` (see top of file)
+    const WIN_RATE_AS = [-8.24404295, 64.23892342, -95.73056462, 153.86478679];
+    const WIN_RATE_BS = [-3.37154371, 28.44489198, -56.67657741, 72.05858751];
+    const WIN_RATE_MAX_PLY = 240;
+
+    function winRate(cp, ply) {
+        const m = Math.min(WIN_RATE_MAX_PLY, Math.max(0, ply)) / 64;
+        const poly = (c) => ((c[0] * m + c[1]) * m + c[2]) * m + c[3];
+        const x = Math.max(-1000, Math.min(1000, cp));
+        return Math.round(1000 / (1 + Math.exp((poly(WIN_RATE_AS) - x) / poly(WIN_RATE_BS))));
+    }
+
+    // side-to-move score → modelled side-to-move wdl, or null.
+    // a mate is a certain result.
+    function modelWdl(score, ply) {
+        if (!score) return null;
+        if (score.mate !== undefined) {
+            return score.mate > 0
+                ? { win: 1000, draw: 0, loss: 0, model: true }
+                : { win: 0, draw: 0, loss: 1000, model: true };
+        }
+        const win = winRate(score.cp || 0, ply || 0);
+        const loss = winRate(-(score.cp || 0), ply || 0);
+        return { win, draw: 1000 - win - loss, loss, model: true };
+    }
+
+    // side-to-move wdl → white's point of view
+    function whiteWdl(wdl, turn) {
+        if (!wdl) return null;
+        return turn === 'b' ? Object.assign({}, wdl, { win: wdl.loss, loss: wdl.win }) : wdl;
+    }
+
+    function formatWdl(wdl) {
+        if (!wdl) return '';
+        const pct = (n) => `${Math.round(n / 10)}%`;
+        return `W ${pct(wdl.win)} · D ${pct(wdl.draw)} · L ${pct(wdl.loss)}${wdl.model ? ' (model)' : ''}`;
+    }
+
+    window.TitanScore = {
+        MATE_CP, toCp, isMateValue, negate, compare, format, formatWhite,
+        modelWdl, whiteWdl, formatWdl
+    };
+})();
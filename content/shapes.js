@@ -0,0 +1,100 @@
+// ============================================================
+// titan-free :: user drawings (arrows and circles)
+// ============================================================
+//
+// arrows and circles the user draws on a board, the way lichess
+// and chess.com studies do: right-click drag from one square to
+// another for an arrow, right-click a square for a circle. the
+// same drawing again takes it off; the same squares in another
+// color recolor it.
+//
+//   shape = { color: 'G', from: 'e2', to: 'e4' }   arrow
+//   shape = { color: 'R', from: 'd4', to: null }   circle
+//
+// === COLORS ===
+//
+// four colors, picked by the modifier keys held while drawing:
+//   none            G  green
+//   shift or ctrl   R  red
+//   alt or meta     B  blue
+//   both            Y  yellow
+// COLORS holds the hex each one is drawn in.
+//
+// === PGN ===
+//
+// drawings travel in the move's comment as the lichess / chess.com
+// study commands, circles first:
+//   { [%csl Gd4,Re5][%cal Ge2e4,Bg1f3] }
+// fromComment() takes them out of a comment's text (leaving the
+// rest of it), toComment() writes them back. pgn.js keeps them as
+// `shapes` on the game and on every node.
+//
+// toArrows() turns them into T.arrows entries for drawing.js:
+// { move, color } for arrows, { square, color } for circles.
+//
+// pure — no DOM, no TitanState.
+// ============================================================
+
+(function () {
+    const COLORS = { G: '#15781b', R: '#882020', B: '#003088', Y: '#e68f00' };
+    // by modifier: none, shift/ctrl, alt/meta, both
+    const MODIFIER_COLORS = ['G', 'R', 'B', 'Y'];
+
+    const COMMAND_RE = /\[%(cal|csl)\s+([^\]]*)\]/g;
+    const ARROW_RE = /^([GRBY])([a-h][1-8])([a-h][1-8])$/;
+    const CIRCLE_RE = /^([GRBY])([a-h][1-8])$/;
+
+    // the color for a pointer / mouse event's modifier keys
+    function colorFor(e) {
+        const red = e.shiftKey || e.ctrlKey;
+        const blue = e.altKey || e.metaKey;
+        return MODIFIER_COLORS[(red ? 1 : 0) + (blue ? 2 : 0)];
+    }
+
+    function same(a, b) {
+        return a.from === b.from && (a.to || null) === (b.to || null);
+    }
+
+    // `shapes` with `shape` drawn on top: the same shape in the same
+    // color comes off, in another color it's recolored, otherwise
+    // it's added. returns a new list.
+    function toggle(shapes, shape) {
+        const old = shapes.find(s => same(s, shape));
+        const rest = shapes.filter(s => s !== old);
+        if (old && old.color === shape.color) return rest;
+        return rest.concat({ color: shape.color, from: shape.from, to: shape.to || null });
+    }
+
+    // { shapes, text } — the drawings in a comment and what's left
+    // of its text without them
+    function fromComment(comment) {
+        const shapes = [];
+        const text = String(comment).replace(COMMAND_RE, (all, kind, list) => {
+            list.split(/[\s,]+/).forEach(item => {
+                const arrow = kind === 'cal' && item.match(ARROW_RE);
+                const circle = kind === 'csl' && item.match(CIRCLE_RE);
+                if (arrow && arrow[2] !== arrow[3]) shapes.push({ color: arrow[1], from: arrow[2], to: arrow[3] });
+                else if (circle) shapes.push({ color: circle[1], from: circle[2], to: null });
+            });
+            return ' ';
+        }).replace(/\s+/g, ' ').trim();
+        return { shapes, text };
+    }
+
+    // the commands for a list of shapes ('' for none)
+    function toComment(shapes) {
+        const circles = shapes.filter(s => !s.to).map(s => s.color + s.from);
+        const arrows = shapes.filter(s => s.to).map(s => s.color + s.from + s.to);
+        return (circles.length ? `[%csl ${circles.join(',')}]` : '') +
+            (arrows.length ? `[%cal ${arrows.join(',')}]` : '');
+    }
+
+    // T.arrows entries (see top of file)
+    function toArrows(shapes) {
+        return shapes.map(s => s.to
+            ? { move: s.from + s.to, color: COLORS[s.color] }
+            : { square: s.from, color: COLORS[s.color] });
+    }
+
+    window.TitanShapes = { COLORS, colorFor, toggle, fromComment, toComment, toArrows };
+})();
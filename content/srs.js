@@ -0,0 +1,67 @@
+// ============================================================
+// titan-free :: spaced-repetition scheduling
+// ============================================================
+//
+// SM-2 style scheduling shared by everything we drill — opening
+// repertoire moves (analysis/repertoire.js) and puzzles from our
+// own games (puzzles.js). a card is any record carrying:
+//
+//   { due, interval, ease, reps, lapses }
+//
+//   due       ms timestamp of the next review
+//   interval  days until the next review after the last answer
+//   ease      growth factor for the interval
+//   reps      right answers in a row
+//   lapses    wrong answers in total
+//
+// rules:
+//   - new cards are due right away
+//   - right answer: the interval goes 1 day, 3 days, then × ease,
+//     and the ease creeps up a little
+//   - wrong answer: back to the start, due again in 10 minutes,
+//     and the ease drops so it comes back more often
+//
+// pure — no storage, no DOM. callers persist what schedule()
+// returns.
+// ============================================================
+
+(function () {
+    const DAY = 24 * 60 * 60 * 1000;
+    const RELEARN_MS = 10 * 60 * 1000;
+    const START_EASE = 2.5;
+    const MIN_EASE = 1.3;
+    const MAX_EASE = 3.0;
+
+    // schedule fields for a brand-new card
+    function newCard(now) {
+        return { due: now, interval: 0, ease: START_EASE, reps: 0, lapses: 0 };
+    }
+
+    // new schedule fields for a card after an answer
+    function schedule(card, correct, now) {
+        if (!correct) {
+            return {
+                reps: 0, interval: 0, lapses: card.lapses + 1,
+                ease: Math.max(MIN_EASE, card.ease - 0.2),
+                due: now + RELEARN_MS
+            };
+        }
+        const reps = card.reps + 1;
+        const interval = reps === 1 ? 1 : reps === 2 ? 3 : Math.round(card.interval * card.ease);
+        return {
+            reps, interval, lapses: card.lapses,
+            ease: Math.min(MAX_EASE, card.ease + 0.05),
+            due: now + interval * DAY
+        };
+    }
+
+    // due cards first (most overdue first); with nothing due, the
+    // soonest ones so there's always something to practise
+    function pick(cards, limit, now) {
+        const sorted = cards.slice().sort((a, b) => a.due - b.due);
+        const due = sorted.filter(c => c.due <= now);
+        return (due.length ? due : sorted).slice(0, limit);
+    }
+
+    window.TitanSrs = { RELEARN_MS, newCard, schedule, pick };
+})();
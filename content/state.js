@@ -38,8 +38,7 @@ window.TitanState = {
     monitorInterval: null,
     boardObserver: null,
 
-    // stockfish engine (runs in a blob Worker)
-    stockfishWorker: null,
+    // stockfish engine (the shared host, see enginehost.js)
     engineReady: false,
     currentElo: '1000',   // string key into ELO_CONFIG / COMBAT_CONFIG
     analyzing: false,      // true while waiting for bestmove
@@ -51,6 +50,27 @@ window.TitanState = {
     moveQueue: [],          // queued moves when queueMode is on
     currentMode: 'account', // 'account' | 'combat' | 'threat'
 
+    // multipv engine lines (see multipv.js). only used on analysis
+    // and finished-game pages; everywhere else the engine runs a
+    // single line as before.
+    multiPv: 1,            // lines to search, 1-5 (persisted)
+    pvLines: [],           // latest info per line, index = multipv - 1
+    pvFen: '',             // position the lines belong to
+    threat: null,          // THREAT mode: TitanThreat.find() for pvFen
+
+    // fair-play lockout (see gamestate.js). starts locked so nothing
+    // can run before the first detection pass has looked at the page.
+    gameState: 'idle',     // 'live' | 'daily' | 'finished' | 'analysis' | 'puzzle' | 'idle'
+    locked: true,          // true while a live/daily game is in progress
+
+    // post-game review (see review.js / widget.js). while reviewMode
+    // is on, monitor() leaves the overlay alone so the review arrows
+    // stay put.
+    reviewMode: false,
+    reviewRunning: false,
+    review: null,          // last finished review result
+    opening: null,         // { eco, name, ply } of the reviewed game (eco.js)
+
     // castling tracking — set to true once king/rook leaves
     // starting square during a game. reset on new game detection.
     // this prevents false castling rights in the FEN when a piece
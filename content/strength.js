@@ -0,0 +1,119 @@
+// ============================================================
+// titan-free :: engine strength levels
+// ============================================================
+//
+// the 14 calibrated strength levels, shared by the content-script
+// engine (engine.js — the widget's ELO slider) and the extension
+// pages (uci.js — the analysis board's PLAY opponent).
+//
+// each elo level maps to a stockfish config:
+//   - skillLevel: stockfish's internal skill (0-20)
+//   - depth: how many moves ahead to search
+//   - uciElo: UCI_Elo option (limits engine strength)
+//   - errorRate: chance to intentionally skip a move
+//     (makes the engine feel more human at lower levels)
+//   - movetime: (optional) max analysis time in ms for high elo
+//     levels. when set, stockfish uses `go depth X movetime Y`
+//     so it searches as deep as possible within the time cap.
+//
+// want to add a new elo level? add it to ELO_LEVELS, ELO_LABELS,
+// ELO_CONFIG, and COMBAT_CONFIG. keep them in sync or the widget
+// will break.
+//
+// COMBAT mode uses COMBAT_CONFIG instead — same elo keys but
+// with higher depth and skill for each level. it's basically
+// "try harder" mode.
+//
+// === UCI OPTIONS ===
+//
+// uciOptions(cfg) is the list of `setoption` commands for a
+// level, so every engine applies a level the same way.
+//
+// pure — no engine, no DOM.
+// ============================================================
+
+(function () {
+    // elo levels shown in the widget slider.
+    const ELO_LEVELS = [1000, 1200, 1300, 1400, 1500, 1600, 1700, 1800, 1900, 2000, 2200, 2500, 2800, 3000];
+    const ELO_LABELS = ['BRONZE', 'BRONZE+', 'SILVER', 'SILVER+', 'SILVER++', 'GOLD', 'GOLD+', 'GOLD++', 'EXPERT', 'MASTER', 'IM', 'GM', 'SUPER GM', 'STOCKFISH'];
+
+    // normal mode config — tweak these if you want different
+    // playing strength at each level. errorRate is the probability
+    // that the engine "misses" a move (0.25 = 25% chance to skip).
+    // human-like: lower elo = shallower depth + more errors.
+    // higher elo = deeper search, near-zero error rate.
+    //
+    // === UCI_LimitStrength ===
+    // levels 1000-2800: UCI_LimitStrength = true, UCI_Elo = <uciElo>
+    //   stockfish artificially weakens itself to play at the target rating.
+    // level 3000 (unlimited: true): UCI_LimitStrength = false
+    //   stockfish plays at FULL, unrestricted strength. no elo cap.
+    //   this is raw stockfish — the strongest possible play in WASM.
+    const ELO_CONFIG = {
+        '1000': { skillLevel: 1,  depth: 5,  uciElo: 800,  errorRate: 0.30 },
+        '1200': { skillLevel: 3,  depth: 7,  uciElo: 1100, errorRate: 0.22 },
+        '1300': { skillLevel: 5,  depth: 8,  uciElo: 1250, errorRate: 0.18 },
+        '1400': { skillLevel: 7,  depth: 9,  uciElo: 1350, errorRate: 0.14 },
+        '1500': { skillLevel: 9,  depth: 10, uciElo: 1450, errorRate: 0.10 },
+        '1600': { skillLevel: 11, depth: 11, uciElo: 1550, errorRate: 0.08 },
+        '1700': { skillLevel: 13, depth: 12, uciElo: 1650, errorRate: 0.06 },
+        '1800': { skillLevel: 15, depth: 13, uciElo: 1750, errorRate: 0.04 },
+        '1900': { skillLevel: 17, depth: 14, uciElo: 1850, errorRate: 0.03 },
+        '2000': { skillLevel: 18, depth: 16, uciElo: 2000, errorRate: 0.02 },
+        '2200': { skillLevel: 19, depth: 18, uciElo: 2200, errorRate: 0.01 },
+        '2500': { skillLevel: 20, depth: 20, uciElo: 2500, errorRate: 0.005, movetime: 5000 },
+        '2800': { skillLevel: 20, depth: 20, uciElo: 2800, errorRate: 0.0,   movetime: 6000 },
+        '3000': { skillLevel: 20, depth: 22, uciElo: 3000, errorRate: 0.0, movetime: 3000, unlimited: true }
+    };
+
+    // combat mode — same keys, but cranked up.
+    // depth is higher, skill is higher, error rate is lower.
+    // this is what kicks in when the user hits the COMBAT button.
+    const COMBAT_CONFIG = {
+        '1000': { skillLevel: 3,  depth: 10, uciElo: 1100, errorRate: 0.15 },
+        '1200': { skillLevel: 6,  depth: 12, uciElo: 1350, errorRate: 0.12 },
+        '1300': { skillLevel: 9,  depth: 14, uciElo: 1450, errorRate: 0.10 },
+        '1400': { skillLevel: 12, depth: 16, uciElo: 1550, errorRate: 0.08 },
+        '1500': { skillLevel: 15, depth: 18, uciElo: 1650, errorRate: 0.06 },
+        '1600': { skillLevel: 17, depth: 20, uciElo: 1750, errorRate: 0.04 },
+        '1700': { skillLevel: 18, depth: 22, uciElo: 1850, errorRate: 0.03 },
+        '1800': { skillLevel: 19, depth: 24, uciElo: 1950, errorRate: 0.02 },
+        '1900': { skillLevel: 20, depth: 26, uciElo: 2100, errorRate: 0.01 },
+        '2000': { skillLevel: 20, depth: 28, uciElo: 2300, errorRate: 0.005 },
+        '2200': { skillLevel: 20, depth: 30, uciElo: 2500, errorRate: 0.0 },
+        '2500': { skillLevel: 20, depth: 32, uciElo: 2800, errorRate: 0.0,   movetime: 8000 },
+        '2800': { skillLevel: 20, depth: 24, uciElo: 3000, errorRate: 0.0,   movetime: 10000 },
+        '3000': { skillLevel: 20, depth: 25, uciElo: 3200, errorRate: 0.0, movetime: 5000, unlimited: true }
+    };
+
+    // config for an elo key ('1000' … '3000'), unknown keys fall
+    // back to the lowest level
+    function config(elo, combat) {
+        const table = combat ? COMBAT_CONFIG : ELO_CONFIG;
+        return table[elo] || table['1000'];
+    }
+
+    // slider label for an elo key, e.g. 'GOLD+'
+    function label(elo) {
+        const i = ELO_LEVELS.indexOf(parseInt(elo, 10));
+        return i >= 0 ? ELO_LABELS[i] : 'CUSTOM';
+    }
+
+    // setoption commands for a level.
+    // unlimited (3000): no strength limiter and Contempt 50 (the
+    //   engine avoids draws aggressively).
+    // everything else: UCI_LimitStrength at uciElo.
+    // no Hash — the shared engine host keeps one table for every
+    // page (see enginehost.js).
+    function uciOptions(cfg) {
+        const out = cfg.unlimited
+            ? ['setoption name UCI_LimitStrength value false',
+               'setoption name Contempt value 50']
+            : ['setoption name UCI_LimitStrength value true',
+               `setoption name UCI_Elo value ${cfg.uciElo}`];
+        out.push(`setoption name Skill Level value ${cfg.skillLevel}`);
+        return out;
+    }
+
+    window.TitanStrength = { ELO_LEVELS, ELO_LABELS, ELO_CONFIG, COMBAT_CONFIG, config, label, uciOptions };
+})();
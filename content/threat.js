@@ -0,0 +1,161 @@
+// ============================================================
+// titan-free :: threats (null-move search)
+// ============================================================
+//
+// "what is the side that just moved threatening?" — the question
+// every study tool answers by letting that side move twice. the
+// position is searched with the other side to move (a null move:
+// same pieces, no en passant), and the engine's best move there
+// is the threat.
+//
+//   Threat.find(fen, evaluate, limits)
+//       → threat | null
+//
+// `evaluate` is a TitanUci-style evaluate(fen, limits) →
+// { bestmove, score, pv }. searcher(client) makes one that runs
+// on a TitanUci client of its own at that client's priority —
+// the client's evaluate() would drop to 'review' and wait behind
+// the lines the threat goes with. a position
+// in check (the threat is already on the board) or with the game
+// over has no threat: find() resolves with null without
+// searching. a position TitanBitbase covers is looked up instead.
+//
+//   threat = { fen,              // the null-move position
+//              move, san,        // the threatening move
+//              score, pv,        // from the threatening side
+//              mate,             // mate distance, or null
+//              gain,             // material it wins, in pawns
+//              text }            // 'threatens Nxf7 winning the exchange'
+//
+// === SUMMARY ===
+//
+// the threat's line is played out until it settles — up to
+// SETTLE_PLIES, stopping after the last move that isn't answered
+// by a capture — and the material either side lost on the way
+// names what it wins: the queen, a rook, the exchange, a piece,
+// a pawn or two. a mate says so instead ('threatens Qxf7#',
+// 'threatens Qh5, mate in 3'). a line that wins nothing is just
+// 'threatens Nf5'.
+//
+// === ARROW ===
+//
+// arrow(threat) is the T.arrows / setArrows() entry for it: red
+// and dashed, so it never reads as a move to play.
+// ============================================================
+
+(function () {
+    const R = window.TitanRules;
+    const Pgn = window.TitanPgn;
+    const Bitbase = window.TitanBitbase;
+
+    const COLOR = '#ff4d4d';
+    const SETTLE_PLIES = 6;
+    const VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9 };
+    const NAMES = { p: 'a pawn', n: 'a knight', b: 'a bishop', r: 'a rook', q: 'the queen' };
+
+    // `fen` with the other side to move, or null when the side to
+    // move is in check or the game is over
+    function nullMoveFen(fen) {
+        const pos = new R.Position(fen);
+        if (pos.inCheck(pos.turn) || pos.isGameOver()) return null;
+        const f = fen.split(' ');
+        f[1] = f[1] === 'w' ? 'b' : 'w';
+        f[3] = '-';
+        return f.join(' ');
+    }
+
+    // piece counts per color from a FEN's placement
+    function material(fen) {
+        const count = { w: { p: 0, n: 0, b: 0, r: 0, q: 0 }, b: { p: 0, n: 0, b: 0, r: 0, q: 0 } };
+        for (const ch of fen.split(' ')[0]) {
+            const type = ch.toLowerCase();
+            if (VALUES[type]) count[ch === type ? 'b' : 'w'][type]++;
+        }
+        return count;
+    }
+
+    // the position where `pv` (from `fen`) has settled: after the
+    // last of its first SETTLE_PLIES moves that isn't answered by
+    // a capture
+    function settledFen(fen, pv) {
+        const pos = new R.Position(fen);
+        let settled = fen;
+        for (let i = 0; i < Math.min(pv.length, SETTLE_PLIES); i++) {
+            const move = pos.moveFromUci(pv[i]);
+            if (!move) break;
+            pos.makeMove(move);
+            const next = i + 1 < pv.length ? pos.moveFromUci(pv[i + 1]) : null;
+            if (!next || !next.captured) settled = pos.fen();
+        }
+        return settled;
+    }
+
+    // what the side `us` wins between two positions:
+    // { gain, text } — text is '' when it wins nothing
+    function winnings(before, after, us) {
+        const them = us === 'w' ? 'b' : 'w';
+        const a = material(before), b = material(after);
+        const took = {}, lost = {};
+        let gain = 0;
+        Object.keys(VALUES).forEach(t => {
+            took[t] = a[them][t] - b[them][t];
+            lost[t] = a[us][t] - b[us][t];
+            gain += (took[t] - lost[t]) * VALUES[t];
+        });
+        if (gain < 1) return { gain, text: '' };
+        const minors = (side) => side.n + side.b;
+        let what;
+        if (took.q > lost.q && gain >= 6) what = NAMES.q;
+        else if (took.r > lost.r && minors(lost) > minors(took) && gain <= 3) what = 'the exchange';
+        else if (took.r > lost.r && gain >= 4) what = NAMES.r;
+        else if (minors(took) > minors(lost) && gain >= 2) what = took.n && took.b ? 'a piece' : took.n ? NAMES.n : NAMES.b;
+        else if (gain === 1) what = NAMES.p;
+        else if (gain === 2) what = 'two pawns';
+        else what = 'material';
+        return { gain, text: `winning ${what}` };
+    }
+
+    // the short summary (see top of file)
+    function describe(san, mate, won) {
+        if (mate === 1) return `threatens ${san}`;
+        if (mate) return `threatens ${san}, mate in ${mate}`;
+        return won.text ? `threatens ${san} ${won.text}` : `threatens ${san}`;
+    }
+
+    function find(fen, evaluate, limits) {
+        const nf = nullMoveFen(fen);
+        if (!nf) return Promise.resolve(null);
+        const tb = Bitbase.probe(nf);
+        const search = tb && tb.bestmove
+            ? Promise.resolve({ bestmove: tb.bestmove, score: tb.score, pv: tb.pv })
+            : evaluate(nf, limits);
+        return search.then(res => {
+            if (!res || !res.bestmove) return null;
+            const pv = res.pv && res.pv[0] === res.bestmove ? res.pv : [res.bestmove];
+            const score = res.score || { cp: 0 };
+            const mate = score.mate > 0 ? score.mate : null;
+            const won = winnings(nf, settledFen(nf, pv), nf.split(' ')[1]);
+            const san = Pgn.uciToSan(nf, res.bestmove) || res.bestmove;
+            return {
+                fen: nf, move: res.bestmove, san, score, pv, mate,
+                gain: won.gain,
+                text: describe(san, mate, won)
+            };
+        });
+    }
+
+    // evaluate() for find() on a TitanUci client (see top of file)
+    function searcher(client) {
+        return (fen, limits) => client.analyze(fen, limits).then(res => {
+            const top = res.lines[0] || {};
+            return { bestmove: res.bestmove, score: top.score || null, pv: top.pv || [] };
+        });
+    }
+
+    // T.arrows entry (see top of file)
+    function arrow(t) {
+        return { move: t.move, color: COLOR, dashed: true };
+    }
+
+    window.TitanThreat = { COLOR, nullMoveFen, find, searcher, arrow };
+})();
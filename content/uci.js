@@ -0,0 +1,299 @@
+// ============================================================
+// titan-free :: UCI client
+// ============================================================
+//
+// the one way the extension talks to Stockfish. the widget
+// (engine.js), the analysis board, its review and the batch queue
+// all search through a Client; the searches themselves run on the
+// shared engine host (enginehost.js). nothing else parses raw
+// `info` lines — parseInfo() below does it once, completely.
+//
+// === CLIENT ===
+//
+//   const engine = new TitanUci.Client({ priority: 'live' });
+//   await engine.init();                  // the host is up
+//   engine.setElo('1500', combat);        // or setFullStrength()
+//   engine.setMultiPv(3);
+//
+//   engine.analyze(fen, { depth, movetime })
+//       .on('info', info => …)            // every info line, parsed
+//       .on('lines', lines => …)          // the multipv table changed
+//       .then(res => …)                   // { bestmove, ponder, lines }
+//       .catch(TitanUci.quiet);
+//
+//   engine.evaluate(fen, { depth, movetime })
+//       → { bestmove, score, depth, pv, wdl }  // what TitanReview.run() wants
+//
+// a client runs one search at a time: analyze() and evaluate()
+// stop the one before, and stop() stops it outright. a stopped
+// search rejects with an error whose `stopped` is true — quiet()
+// swallows those and logs anything else. `lines` holds one info
+// per multipv line (index = multipv - 1), without bound-only
+// scores, as TitanMultiPv.record() keeps them.
+//
+// a search that runs past its allowance (twice movetime + 5s, or
+// twice 15s + 1.5s per depth above 10) is cancelled and rejects
+// with 'search timed out'. the allowance counts from when the host
+// starts the job, and starts over when a job that was stopped for
+// a higher priority runs again — waiting in the host's queue
+// behind other pages' and clients' jobs never times a search out.
+//
+// evaluate() always searches at full strength and one line,
+// whatever the client is set to, at 'review' priority (or the
+// client's own, if lower).
+//
+// every search turns on UCI_ShowWDL, so an engine that has it
+// (stockfish 12+) puts its win/draw/loss estimate next to the
+// score. the bundled stockfish 11 doesn't: its info lines get
+// TitanScore.modelWdl() from the score and the game ply instead,
+// marked `model: true`.
+//
+// === INFO ===
+//
+//   info depth 18 seldepth 24 multipv 2 score cp 21 lowerbound
+//        wdl 412 501 87 nodes 1843209 nps 912000 hashfull 312
+//        tbhits 0 time 2021 pv g1f3 d7d5 …
+//
+// parseInfo(line) →
+//   { depth, seldepth, multipv,           // multipv 1 when absent
+//     score: {cp}|{mate}|null,            // side to move's view
+//     bound: 'lower'|'upper'|null,        // aspiration-window guess
+//     wdl: { win, draw, loss }|null,      // per mille, side to move
+//                                         // (a Client fills in a model)
+//     nodes, nps, time, hashfull, tbhits, // null when absent
+//     currmove, currmovenumber,
+//     pv: [uci…]|null,                   // up to the first non-move
+//     string }                            // 'info string …' text
+//
+// parseBestmove(line) → { move, ponder } — move is null for
+// 'bestmove (none)' (no legal moves).
+// ============================================================
+
+(function () {
+    const S = window.TitanStrength;
+    const Mpv = window.TitanMultiPv;
+    const Host = window.TitanEngineHost;
+    const Score = window.TitanScore;
+
+    const DEFAULT_DEPTH = 14;
+    const SHOW_WDL = 'setoption name UCI_ShowWDL value true';
+
+    const NUMBERS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull', 'tbhits', 'currmovenumber'];
+
+    const UCI_MOVE = /^[a-h][1-8][a-h][1-8][qrbn]?$/;
+
+    // keywords whose value runs to the end of the line
+    const TAILS = ['string', 'refutation', 'currline'];
+
+    function parseInfo(line) {
+        if (!line.startsWith('info')) return null;
+        const info = {
+            depth: null, seldepth: null, multipv: 1,
+            score: null, bound: null, wdl: null,
+            nodes: null, nps: null, time: null, hashfull: null, tbhits: null,
+            currmove: null, currmovenumber: null,
+            pv: null, string: null
+        };
+        const tokens = line.trim().split(/\s+/);
+        for (let i = 1; i < tokens.length; i++) {
+            const key = tokens[i];
+            if (NUMBERS.includes(key)) {
+                info[key] = parseInt(tokens[++i], 10);
+            } else if (key === 'score') {
+                const kind = tokens[++i];
+                const value = parseInt(tokens[++i], 10);
+                info.score = kind === 'mate' ? { mate: value } : { cp: value };
+                if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+                    info.bound = tokens[++i] === 'lowerbound' ? 'lower' : 'upper';
+                }
+            } else if (key === 'wdl') {
+                info.wdl = {
+                    win: parseInt(tokens[i + 1], 10),
+                    draw: parseInt(tokens[i + 2], 10),
+                    loss: parseInt(tokens[i + 3], 10)
+                };
+                i += 3;
+            } else if (key === 'currmove') {
+                info.currmove = tokens[++i];
+            } else if (key === 'pv') {
+                // the moves only: stockfish 11 goes on with 'bmc 1.83'
+                const end = tokens.findIndex((t, j) => j > i && !UCI_MOVE.test(t));
+                info.pv = tokens.slice(i + 1, end < 0 ? tokens.length : end);
+                i = (end < 0 ? tokens.length : end) - 1;
+            } else if (TAILS.includes(key)) {
+                if (key === 'string') info.string = tokens.slice(i + 1).join(' ');
+                break;
+            }
+        }
+        return info;
+    }
+
+    function parseBestmove(line) {
+        const tokens = line.trim().split(/\s+/);
+        const move = UCI_MOVE.test(tokens[1]) ? tokens[1] : null;
+        const ponder = tokens[2] === 'ponder' ? tokens[3] || null : null;
+        return { move, ponder };
+    }
+
+    function stoppedError() {
+        const err = new Error('search stopped');
+        err.stopped = true;
+        return err;
+    }
+
+    // for .catch(): a stopped search is expected, anything else isn't
+    function quiet(err) {
+        if (err && err.stopped) return;
+        console.warn('[TitanFree] search failed', err);
+    }
+
+    // plies played before a FEN's position, for modelWdl()
+    function gamePly(fen) {
+        const fields = fen.split(' ');
+        const fullmove = parseInt(fields[5], 10) || 1;
+        return (fullmove - 1) * 2 + (fields[1] === 'b' ? 1 : 0);
+    }
+
+    function allowance(depth, movetime) {
+        return 2 * (movetime ? movetime + 5000 : 15000 + Math.max(0, depth - 10) * 1500);
+    }
+
+    class Client {
+        constructor(options) {
+            const opts = options || {};
+            this.priority = opts.priority || 'live';
+            this.ready = false;
+            this.elo = null;       // null: full strength
+            this.combat = false;
+            this.multiPv = 1;
+            this.current = null;
+        }
+
+        // resolves once the engine host is up
+        init() {
+            return Host.whenReady().then(() => {
+                this.ready = true;
+                return true;
+            });
+        }
+
+        // play at one of the widget's levels (TitanStrength)
+        setElo(elo, combat) {
+            this.elo = String(elo);
+            this.combat = !!combat;
+        }
+
+        setFullStrength() {
+            this.elo = null;
+        }
+
+        setMultiPv(n) {
+            this.multiPv = Math.max(1, Math.min(Mpv.MAX_LINES, n));
+        }
+
+        // the level's config, or null at full strength
+        config() {
+            return this.elo ? S.config(this.elo, this.combat) : null;
+        }
+
+        // setoption commands for a search. at full strength only
+        // MultiPV and WDL: the host resets what a job doesn't mention
+        options() {
+            const cfg = this.config();
+            return (cfg ? S.uciOptions(cfg) : []).concat(`setoption name MultiPV value ${this.multiPv}`, SHOW_WDL);
+        }
+
+        // limits: { depth, movetime }. depth defaults to the level's
+        // (or DEFAULT_DEPTH at full strength); movetime to none
+        analyze(fen, limits) {
+            const cfg = this.config();
+            const lim = limits || {};
+            return this.search(fen, {
+                depth: lim.depth || (cfg ? cfg.depth : DEFAULT_DEPTH),
+                movetime: lim.movetime
+            }, this.options(), this.multiPv, this.priority);
+        }
+
+        evaluate(fen, limits) {
+            const lim = limits || {};
+            const priority = Host.PRIORITY[this.priority] < Host.PRIORITY.review ? this.priority : 'review';
+            return this.search(fen, { depth: lim.depth || DEFAULT_DEPTH, movetime: lim.movetime }, [SHOW_WDL], 1, priority)
+                .then(res => {
+                    const top = res.lines[0] || {};
+                    return {
+                        bestmove: res.bestmove, score: top.score || null, depth: top.depth || 0,
+                        pv: top.pv || [], wdl: top.wdl || null
+                    };
+                });
+        }
+
+        search(fen, limits, options, lineCount, priority) {
+            this.stop();
+            const listeners = { info: [], lines: [] };
+            const table = [];
+            const emit = (type, value) => listeners[type].forEach(fn => fn(value));
+            let settle = null;
+            const promise = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+            promise.on = (type, fn) => {
+                listeners[type].push(fn);
+                return promise;
+            };
+            if (!this.ready) {
+                settle.reject(new Error('engine not ready'));
+                return promise;
+            }
+
+            const search = this.current = { settle, job: null, timer: null };
+            const ply = gamePly(fen);
+            const done = () => {
+                if (this.current !== search) return false;
+                this.current = null;
+                clearTimeout(search.timer);
+                return true;
+            };
+            search.job = Host.search({
+                fen,
+                limits,
+                options,
+                priority,
+                onStart: () => {
+                    if (this.current !== search) return;
+                    clearTimeout(search.timer);
+                    search.timer = setTimeout(() => {
+                        if (!done()) return;
+                        search.job.cancel();
+                        settle.reject(new Error('search timed out'));
+                    }, allowance(limits.depth, limits.movetime));
+                },
+                onInfo: (line) => {
+                    if (this.current !== search) return;
+                    const info = parseInfo(line);
+                    if (info.score && !info.wdl) info.wdl = Score.modelWdl(info.score, ply);
+                    emit('info', info);
+                    if (Mpv.record(table, info, lineCount)) emit('lines', table.filter(Boolean));
+                },
+                onBestmove: (line) => {
+                    if (!done()) return;
+                    const best = parseBestmove(line);
+                    settle.resolve({ bestmove: best.move, ponder: best.ponder, lines: table.filter(Boolean) });
+                },
+                onError: (err) => {
+                    if (done()) settle.reject(err);
+                }
+            });
+            return promise;
+        }
+
+        // stop the running search; its promise rejects as stopped
+        stop() {
+            const search = this.current;
+            if (!search) return;
+            this.current = null;
+            clearTimeout(search.timer);
+            search.job.cancel();
+            search.settle.reject(stoppedError());
+        }
+    }
+
+    window.TitanUci = { parseInfo, parseBestmove, quiet, Client };
+})();
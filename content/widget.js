@@ -4,12 +4,14 @@
 //
 // this is the main dashboard that floats on top of chess.com.
 // it handles everything the user interacts with:
-//   - tab navigation (engine, info, style, arrow, eval)
+//   - tab navigation (engine, info, style, arrow, eval, review)
 //   - elo slider with level labels
 //   - mode switching (account / combat / threat)
+//   - the multipv ENGINE LINES panel (ENGINE tab)
 //   - arrow color and mode selection
 //   - theme switching (dark, light, purple, green, orange)
 //   - drag-to-move, minimize, hide
+//   - the post-game review panel (REVIEW tab)
 //   - settings persistence via chrome.storage
 //
 // the widget is injected as a raw HTML string (no framework).
@@ -26,7 +28,8 @@
 // === SETTINGS PERSISTENCE ===
 //
 // all user preferences are saved to chrome.storage.local:
-//   elo, arrowMode, arrowColor, theme, engineMode, queueMode
+//   elo, arrowMode, arrowColor, theme, engineMode, queueMode,
+//   multiPv
 // loadWidgetSettings() restores them on page load.
 // if you add a new setting, save it in the relevant handler
 // and restore it in loadWidgetSettings().
@@ -47,11 +50,28 @@
     const B = window.TitanBoard;
     const D = window.TitanDraw;
     const Eng = window.TitanEngine;
+    const Rules = window.TitanRules;
+    const Pgn = window.TitanPgn;
+    const Shapes = window.TitanShapes;
+    const Threat = window.TitanThreat;
+    const Uci = window.TitanUci;
+    const Rev = window.TitanReview;
+    const Acc = window.TitanAccuracy;
+    const Graph = window.TitanGraph;
+    const Mpv = window.TitanMultiPv;
+    const Score = window.TitanScore;
+    const Eco = window.TitanEco;
+    const Puz = window.TitanPuzzles;
+    const Lib = window.TitanLibrary;
 
     // tracks which elo level is selected in the slider.
     // index into Eng.ELO_LEVELS and Eng.ELO_LABELS arrays.
     let currentEloIndex = 0;
 
+    // the review run in progress, { game }. a closed or replaced
+    // run finds it changed and drops its result (see startReview)
+    let reviewJob = null;
+
     // apply theme by setting data-theme on the widget root.
     // CSS custom properties in widget.css handle the rest.
     // don't apply to document.body — chess.com will override it.
@@ -91,12 +111,17 @@
                 <button class="widget-minimize" title="Minimize">−</button>
             </div>
             <div class="widget-body">
+                <div class="widget-lock-banner" id="widget-lock-banner" style="display:none">
+                    <div class="widget-lock-title">🔒 LOCKED DURING PLAY</div>
+                    <div class="widget-lock-desc">Engine resumes when the game ends</div>
+                </div>
                 <div class="widget-tabs">
                     <div class="widget-tab active" data-tab="engine">ENGINE</div>
                     <div class="widget-tab" data-tab="info">INFO</div>
                     <div class="widget-tab" data-tab="style">STYLE</div>
                     <div class="widget-tab" data-tab="arrow">ARROW</div>
                     <div class="widget-tab" data-tab="eval">EVAL</div>
+                    <div class="widget-tab" data-tab="review">REVIEW</div>
                 </div>
                 <div class="widget-icons">
                     <div class="widget-icon active" data-icon="engine" title="Engine">⚙️</div>
@@ -104,12 +129,13 @@
                     <div class="widget-icon" data-icon="style" title="Style">🎨</div>
                     <div class="widget-icon" data-icon="arrow" title="Arrow">➜</div>
                     <div class="widget-icon" data-icon="eval" title="Eval">📊</div>
+                    <div class="widget-icon" data-icon="review" title="Review">🔍</div>
                 </div>
                 <div class="tab-content-container">
                     <!-- ENGINE tab: mode buttons, elo slider, action buttons -->
                     <div class="tab-content active" data-content="engine">
                         <div class="widget-modes">
-                            <div class="mode-btn threat">THREAT</div>
+                            <div class="mode-btn threat" title="Show what the side that just moved threatens — analysis pages and reviews only">THREAT</div>
                             <div class="mode-btn account active">ACCOUNT</div>
                             <div class="mode-btn combat">COMBAT</div>
                         </div>
@@ -133,6 +159,19 @@
                             <div class="action-btn auto active" id="auto-btn">AUTO</div>
                             <div class="action-btn queue" id="queue-btn">QUEUE</div>
                         </div>
+                        <div class="pv-section">
+                            <div class="pv-header">
+                                <div class="section-label">ENGINE LINES</div>
+                                <div class="pv-count" id="pv-count">
+                                    <div class="pv-count-btn active" data-lines="1">1</div>
+                                    <div class="pv-count-btn" data-lines="2">2</div>
+                                    <div class="pv-count-btn" data-lines="3">3</div>
+                                    <div class="pv-count-btn" data-lines="4">4</div>
+                                    <div class="pv-count-btn" data-lines="5">5</div>
+                                </div>
+                            </div>
+                            <div class="pv-lines" id="pv-lines"><div class="pv-empty">Lines show on analysis and review pages</div></div>
+                        </div>
                     </div>
                     <!-- INFO tab: read-only status display -->
                     <div class="tab-content" data-content="info" style="display:none">
@@ -147,6 +186,17 @@
                                     <div class="info-row"><div class="info-label">STATUS</div><div class="info-value" id="info-status"><span class="status-dot connected"></span><span class="status-text">Connected</span></div></div>
                                     <div class="info-row"><div class="info-label">CURRENT ELO</div><div class="info-value highlight" id="info-elo">1000</div></div>
                                     <div class="info-row"><div class="info-label">ELO RANGE</div><div class="info-value">1000 — 3000</div></div>
+                                    <div class="info-row"><div class="info-label">GAME STATE</div><div class="info-value" id="info-game-state">—</div></div>
+                                </div>
+                            </div>
+                            <div class="info-section">
+                                <div class="info-section-header">
+                                    <div class="info-section-icon">📖</div>
+                                    <div class="info-section-title">Opening</div>
+                                </div>
+                                <div class="info-section-body">
+                                    <div class="info-row"><div class="info-label">ECO</div><div class="info-value highlight" id="info-eco">—</div></div>
+                                    <div class="info-row"><div class="info-label">NAME</div><div class="info-value info-opening" id="info-opening">Review or import a game</div></div>
                                 </div>
                             </div>
                             <div class="info-section">
@@ -202,6 +252,10 @@
                     </div>
                     <!-- EVAL tab: locked + theme picker -->
                     <div class="tab-content" data-content="eval" style="display:none">
+                        <div class="eval-section">
+                            <div class="section-label">EVAL GRAPH</div>
+                            <div class="eval-graph" id="eval-graph"><div class="eval-graph-empty">Review or import a game to see its graph</div></div>
+                        </div>
                         <div class="eval-section">
                             <div class="section-label">EVALUATION BAR</div>
                             <div class="eval-toggle-grid">
@@ -220,6 +274,25 @@
                             </div>
                         </div>
                     </div>
+                    <!-- REVIEW tab: post-game review of the finished game -->
+                    <div class="tab-content" data-content="review" style="display:none">
+                        <div class="review-section">
+                            <div class="section-label">GAME REVIEW</div>
+                            <div class="review-status" id="review-status">Finish a game to review it</div>
+                            <div class="review-actions">
+                                <div class="action-btn review-start" id="review-start-btn">REVIEW GAME</div>
+                                <div class="action-btn review-export disabled" id="review-export-btn" title="Download as PGN with NAGs, evals and engine lines">EXPORT</div>
+                                <div class="action-btn review-close" id="review-close-btn">CLOSE</div>
+                            </div>
+                            <div class="review-import-toggle" id="review-import-toggle">IMPORT PGN ▾</div>
+                            <div class="review-import" id="review-import" style="display:none">
+                                <textarea class="review-import-text" id="review-import-text" placeholder="Paste a PGN here"></textarea>
+                                <div class="action-btn review-start" id="review-import-btn">REVIEW PGN</div>
+                            </div>
+                        </div>
+                        <div class="review-summary" id="review-summary"></div>
+                        <div class="review-moves" id="review-moves"></div>
+                    </div>
                 </div>
                 <!-- bottom toolbar: quick toggles without opening tabs -->
                 <div class="widget-toolbar">
@@ -266,6 +339,7 @@
         makeWidgetDraggable();
         setupWidgetEvents();
         loadWidgetSettings();
+        updateLockState(T.locked, T.gameState);
     }
 
     // drag-to-move: mousedown on header starts tracking,
@@ -375,7 +449,9 @@
         // mode switching: account / combat / threat
         // these are mutually exclusive — clicking one deactivates the others.
         // combat mode uses COMBAT_CONFIG (higher depth/skill).
-        // threat mode is a placeholder in free version.
+        // threat mode adds the threat of the side that just moved
+        // (engine.js, THREAT MODE) — on analysis pages and in the
+        // review only; elsewhere it plays like account mode.
         // account mode is the default (normal elo-limited play).
         widget.querySelectorAll('.mode-btn').forEach(btn => {
             btn.addEventListener('click', function () {
@@ -385,13 +461,12 @@
                 this.classList.add('active');
                 T.currentMode = mode;
                 T.combatMode = (mode === 'combat');
+                // the next search picks up the mode's config
                 if (T.combatMode) {
-                    Eng.applyCombatConfig();
                     showStatusNotification('COMBAT MODE: ON');
                 } else if (mode === 'threat') {
-                    showStatusNotification('THREAT MODE');
+                    showStatusNotification('THREAT MODE: ANALYSIS & REVIEW');
                 } else {
-                    Eng.setElo(T.currentElo);
                     showStatusNotification('ACCOUNT MODE');
                 }
                 D.clearArrows();
@@ -412,6 +487,20 @@
             chrome.storage.local.set({ queueMode: T.queueMode });
         });
 
+        // multipv line count (1-5). takes effect on the next search,
+        // so force one right away.
+        widget.querySelectorAll('.pv-count-btn').forEach(btn => {
+            btn.addEventListener('click', function () {
+                T.multiPv = parseInt(this.dataset.lines, 10);
+                widget.querySelectorAll('.pv-count-btn').forEach(b => b.classList.toggle('active', b === this));
+                chrome.storage.local.set({ multiPv: T.multiPv });
+                showStatusNotification(`ENGINE LINES: ${T.multiPv}`);
+                D.clearArrows();
+                T.pendingArrows = [];
+                T.currentFen = '';
+            });
+        });
+
         // tab switching (text tabs at top).
         // we toggle both classList AND style.display because
         // chess.com's CSS can override one layer but not both.
@@ -453,7 +542,7 @@
                     if (T.arrows.length) D.draw(true);
                     updateInfoDisplay();
                 } else if (tool === 'eval') {
-                    showStatusNotification('EVAL BAR: PREMIUM ONLY');
+                    showStatusNotification(T.locked ? 'EVAL BAR: LOCKED DURING PLAY' : 'EVAL BAR: PREMIUM ONLY');
                 } else if (tool === 'color') {
                     // cycle through colors on each click
                     const colors = ['#00f2ff', '#00ff88', '#ff00ff', '#ffff00', '#ff8800'];
@@ -559,19 +648,285 @@
 
         // eval toggle cards — locked in free version
         widget.querySelectorAll('.eval-toggle-card').forEach(card => {
-            card.addEventListener('click', () => showStatusNotification('EVAL BAR: PREMIUM ONLY'));
+            card.addEventListener('click', () => showStatusNotification(T.locked ? 'EVAL BAR: LOCKED DURING PLAY' : 'EVAL BAR: PREMIUM ONLY'));
         });
 
         // upgrade link in info tab
         const upgradeLink = widget.querySelector('#info-upgrade-link');
         if (upgradeLink) upgradeLink.addEventListener('click', () => window.open('https://titanchess.online', '_blank'));
+
+        // review tab: start / close, and clicks on individual moves
+        const reviewStart = widget.querySelector('#review-start-btn');
+        if (reviewStart) reviewStart.addEventListener('click', () => startReview(readFinishedGame(), B.getPlayerColor()));
+        const importToggle = widget.querySelector('#review-import-toggle');
+        if (importToggle) importToggle.addEventListener('click', () => {
+            const box = widget.querySelector('#review-import');
+            box.style.display = box.style.display === 'none' ? 'block' : 'none';
+        });
+        const importBtn = widget.querySelector('#review-import-btn');
+        if (importBtn) importBtn.addEventListener('click', () => {
+            const games = Pgn.parse(widget.querySelector('#review-import-text').value);
+            if (!games.length || !games[0].moves.length) { showStatusNotification('IMPORT: NO GAME FOUND'); return; }
+            if (games[0].error) showStatusNotification('IMPORT: STOPPED AT AN ILLEGAL MOVE');
+            startReview(games[0]);
+        });
+        const reviewExport = widget.querySelector('#review-export-btn');
+        if (reviewExport) reviewExport.addEventListener('click', exportReview);
+        const reviewClose = widget.querySelector('#review-close-btn');
+        if (reviewClose) reviewClose.addEventListener('click', closeReview);
+        const reviewMoves = widget.querySelector('#review-moves');
+        if (reviewMoves) reviewMoves.addEventListener('click', (e) => {
+            const cell = e.target.closest('.review-move[data-ply]');
+            if (cell) selectReviewMove(parseInt(cell.dataset.ply, 10));
+        });
+    }
+
+    // === POST-GAME REVIEW ===
+    //
+    // reads the finished game from chess.com's move list (or takes
+    // a pasted PGN), runs every position through Eng.evaluate() via
+    // TitanReview.run(), and lists the moves with their
+    // classification. clicking a move — in the list or on the eval
+    // graph in the EVAL tab — draws the played move (in its class
+    // color) and the engine's preferred move (green) on the board.
+    //
+    // EXPORT downloads the review as annotated PGN — NAGs, [%eval]
+    // comments and the engine's line at every inaccuracy, mistake
+    // and blunder (TitanReview.annotate).
+    //
+    // an imported PGN's own arrows and circles ([%cal] / [%csl])
+    // are drawn with each move, read-only: right-click on the board
+    // is the site's, so drawing new ones is left to the analysis
+    // board.
+    //
+    // only available once the fair-play lock is off. if a new game
+    // starts, content.js calls closeReview().
+    //
+    // blunders with a clear winning or saving line become puzzles
+    // (TitanPuzzles) — only ours for a chess.com game, every one for
+    // an imported PGN. the service worker keeps the puzzle bank; the
+    // PUZZLES trainer on the analysis board plays them.
+    //
+    // the finished review is also saved, game and all, to the game
+    // library (TitanLibrary) — the LIBRARY panel on the analysis
+    // board reopens it.
+
+    function setReviewStatus(text) {
+        const el = document.querySelector('#titan-widget #review-status');
+        if (el) el.textContent = text;
+    }
+
+    // rebuild the game from the scraped SAN list. stops at the
+    // first move the rules don't accept (a scraping hiccup). the
+    // name at the bottom of the board plays getPlayerColor().
+    function readFinishedGame() {
+        const sans = B.getMoveList();
+        const names = B.getPlayerNames();
+        const bottomWhite = B.getPlayerColor() === 'w';
+        const game = Pgn.newGame(Rules.START_FEN, {
+            Site: B.getSite().name,
+            Date: new Date().toISOString().slice(0, 10).replace(/-/g, '.'),
+            White: (bottomWhite ? names.bottom : names.top) || '?',
+            Black: (bottomWhite ? names.top : names.bottom) || '?',
+            Result: B.getGameResult()
+        });
+        const pos = new Rules.Position();
+        for (const san of sans) {
+            const move = Pgn.sanToMove(pos, san);
+            if (!move) break;
+            game.moves.push(Pgn.makeNode(pos, move));
+        }
+        return game;
+    }
+
+    // hand the review's puzzles to the service worker. puzzles it
+    // already has keep their schedule; the count is of new ones.
+    function savePuzzles(review, side) {
+        const puzzles = Puz.fromReview(review, { side });
+        if (!puzzles.length) return;
+        chrome.runtime.sendMessage({ type: 'SAVE_PUZZLES', puzzles }, (res) => {
+            if (chrome.runtime.lastError || !res || !res.success || !res.added) return;
+            if (T.review !== review) return;
+            setReviewStatus(`${review.moves.length} moves reviewed · ${res.added} new puzzle${res.added === 1 ? '' : 's'} · click a move`);
+        });
+    }
+
+    // keep the reviewed game in the library (TitanDb `games`, via
+    // the service worker). a chess.com game knows our side; an
+    // imported PGN doesn't.
+    function saveGame(review, side) {
+        const record = Lib.fromGame(review.game, { source: side ? B.getSite().source : 'import', userColor: side, review });
+        chrome.runtime.sendMessage({ type: 'SAVE_GAME', record }, (res) => {
+            if (chrome.runtime.lastError || !res || !res.success) console.warn('[TitanFree] game not saved to the library');
+        });
+    }
+
+    // `side` is our color in a chess.com game: it limits puzzles to
+    // our blunders and marks the library record (null = unknown)
+    function startReview(game, side) {
+        if (T.locked) { showStatusNotification('REVIEW: LOCKED DURING PLAY'); return; }
+        if (T.reviewRunning) return;
+        if (!T.engineReady) { showStatusNotification('REVIEW: ENGINE NOT READY'); return; }
+        if (!game.moves.length) { showStatusNotification('REVIEW: NO MOVES FOUND'); return; }
+
+        const job = reviewJob = { game };
+        T.reviewMode = true;
+        T.reviewRunning = true;
+        T.review = null;
+        T.opening = Eco.tag(game);
+        updateInfoDisplay();
+        D.clearArrows();
+        renderReview();
+        setReviewStatus(`Analyzing 0/${game.moves.length + 1}`);
+
+        Rev.run(game, Eng.evaluate, {
+            onProgress: (done, total) => { if (reviewJob === job) setReviewStatus(`Analyzing ${done}/${total}`); },
+            shouldStop: () => reviewJob !== job
+        }).then(review => {
+            if (reviewJob !== job || review.cancelled) return;
+            reviewJob = null;
+            T.reviewRunning = false;
+            T.review = review;
+            setReviewStatus(`${review.moves.length} moves reviewed · click a move`);
+            renderReview();
+            savePuzzles(review, side || null);
+            saveGame(review, side || null);
+        }).catch(err => {
+            if (reviewJob !== job) return;
+            console.error('[TitanFree] review failed', err);
+            reviewJob = null;
+            T.reviewRunning = false;
+            setReviewStatus('Review failed — try again');
+            showStatusNotification('REVIEW: FAILED');
+        });
+    }
+
+    // leave review mode and hand the board back to monitor()
+    function closeReview() {
+        reviewJob = null;
+        T.reviewRunning = false;
+        T.reviewMode = false;
+        T.review = null;
+        T.opening = null;
+        updateInfoDisplay();
+        D.clearArrows();
+        T.currentFen = '';  // force re-analysis on next poll
+        renderReview();
+        setReviewStatus(T.locked ? 'Locked during play' : 'Finish a game to review it');
+    }
+
+    // download the finished review as annotated PGN
+    // (TitanReview.annotate: NAGs, [%eval] and the engine's lines)
+    function exportReview() {
+        if (!T.review) { showStatusNotification('EXPORT: REVIEW A GAME FIRST'); return; }
+        const pgn = Pgn.write(Rev.annotate(T.review));
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(new Blob([pgn], { type: 'application/x-chess-pgn' }));
+        a.download = `titan-review-${Lib.normalizeDate(T.review.game.tags.Date) || 'game'}.pgn`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    // eval graph in the EVAL tab, with the selected move marked
+    function renderGraph(selected) {
+        const graphEl = document.querySelector('#titan-widget #eval-graph');
+        if (!graphEl) return;
+        if (!T.review) {
+            graphEl.innerHTML = '<div class="eval-graph-empty">Review or import a game to see its graph</div>';
+            return;
+        }
+        Graph.render(graphEl, T.review, { selected, onSelect: selectReviewMove });
+    }
+
+    // summary counts + two-column move list
+    function renderReview() {
+        const widget = document.getElementById('titan-widget');
+        if (!widget) return;
+        const summaryEl = widget.querySelector('#review-summary');
+        const movesEl = widget.querySelector('#review-moves');
+        if (!summaryEl || !movesEl) return;
+        const review = T.review;
+        renderGraph(-1);
+        const exportBtn = widget.querySelector('#review-export-btn');
+        if (exportBtn) exportBtn.classList.toggle('disabled', !review);
+        if (!review) { summaryEl.innerHTML = ''; movesEl.innerHTML = ''; return; }
+
+        const counts = Rev.summarize(review);
+        const acc = Acc.summarize(review);
+        const margins = Rev.drawMargins(review);
+        const fmt = (v, digits) => v === null ? '—' : v.toFixed(digits);
+        const rows = [
+            `<div class="review-summary-row review-accuracy"><span>ACCURACY</span><span>${fmt(acc.w.accuracy, 1)}%</span><span>${fmt(acc.b.accuracy, 1)}%</span></div>`,
+            `<div class="review-summary-row"><span>AVG CP LOSS</span><span>${fmt(acc.w.acpl, 0)}</span><span>${fmt(acc.b.acpl, 0)}</span></div>`,
+            `<div class="review-summary-row" title="Positions where the side was better on the eval but likely to draw"><span>DRAWISH EDGES</span><span>${margins.w}</span><span>${margins.b}</span></div>`
+        ].concat(['inaccuracy', 'mistake', 'blunder'].map(name => {
+            const info = Rev.classInfo(name);
+            return `<div class="review-summary-row"><span style="color:${info.color}">${info.symbol} ${name.toUpperCase()}</span><span>${counts.w[name]}</span><span>${counts.b[name]}</span></div>`;
+        }));
+        summaryEl.innerHTML = `<div class="review-summary-row review-summary-head"><span></span><span>WHITE</span><span>BLACK</span></div>${rows.join('')}`;
+
+        let html = '';
+        review.moves.forEach(m => {
+            const info = Rev.classInfo(m.classification);
+            // grid is [number | white | black]; pad if black moves first
+            if (m.color === 'w') html += `<div class="review-num">${m.moveNumber}.</div>`;
+            else if (!html) html += `<div class="review-num">${m.moveNumber}.</div><div></div>`;
+            html += `<div class="review-move cls-${m.classification}" data-ply="${m.ply}" title="${m.classification}${m.bestSan && m.classification !== 'best' ? ' · best was ' + m.bestSan : ''}">` +
+                `${m.san}<span class="review-symbol" style="color:${info.color}">${info.symbol}</span></div>`;
+        });
+        movesEl.innerHTML = html;
+    }
+
+    // draw the played move and the engine's choice for one ply
+    function selectReviewMove(ply) {
+        const review = T.review;
+        if (!review || !T.reviewMode) return;
+        const m = review.moves[ply];
+        if (!m) return;
+        const widget = document.getElementById('titan-widget');
+        widget.querySelectorAll('.review-move.selected').forEach(el => el.classList.remove('selected'));
+        const cell = widget.querySelector(`.review-move[data-ply="${ply}"]`);
+        if (cell) cell.classList.add('selected');
+        renderGraph(ply);
+
+        const info = Rev.classInfo(m.classification);
+        T.arrows = [{ move: m.uci, color: info.color }];
+        if (m.bestmove && m.bestmove !== m.uci) T.arrows.push({ move: m.bestmove, color: Rev.classInfo('best').color });
+        // an imported game's own arrows and circles on this move
+        T.arrows.push(...Shapes.toArrows(review.game.moves[ply].shapes));
+        T.forceRedraw = true;
+        D.draw(true);
+        const text = m.classification === 'best' || !m.bestSan
+            ? `${m.moveNumber}${m.color === 'w' ? '.' : '...'} ${m.san} — ${m.classification}`
+            : `${m.moveNumber}${m.color === 'w' ? '.' : '...'} ${m.san} — ${m.classification} · best ${m.bestSan}`;
+        // the exact result after the move in a tablebase ending,
+        // else the win/draw/loss when the engine gave one
+        const after = review.positions[ply + 1];
+        const wdl = Score.formatWdl(after.wdl);
+        const status = after.tablebase ? `${text} · ${after.tablebase}`
+            : !wdl ? text : `${text} · ${wdl}${Rev.drawMargins(review).flags[ply + 1] ? ' (drawish)' : ''}`;
+        setReviewStatus(status);
+        if (T.currentMode === 'threat') showReviewThreat(ply, after.fen, status);
+    }
+
+    // THREAT mode: what the move just played threatens, as a
+    // dashed arrow and after the move's status line
+    function showReviewThreat(ply, fen, status) {
+        Eng.threat(fen).then(t => {
+            const cell = document.querySelector(`#titan-widget .review-move.selected[data-ply="${ply}"]`);
+            if (!t || !cell || !T.reviewMode) return;
+            T.arrows.push(Threat.arrow(t));
+            T.forceRedraw = true;
+            D.draw(true);
+            setReviewStatus(`${status} · ${t.text}`);
+        }).catch(Uci.quiet);
     }
 
     // restore saved preferences from chrome.storage.
     // runs once after widget creation. if you add a new
     // persisted setting, load it here and apply it to the UI.
     function loadWidgetSettings() {
-        chrome.storage.local.get(['elo', 'arrowMode', 'arrowColor', 'theme', 'engineMode', 'queueMode'], (result) => {
+        chrome.storage.local.get(['elo', 'arrowMode', 'arrowColor', 'theme', 'engineMode', 'queueMode', 'multiPv'], (result) => {
             const widget = document.getElementById('titan-widget');
             if (!widget) return;
 
@@ -612,7 +967,6 @@
                 widget.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
                 const modeBtn = widget.querySelector(`.mode-btn.${result.engineMode}`);
                 if (modeBtn) modeBtn.classList.add('active');
-                if (T.combatMode && T.engineReady) Eng.applyCombatConfig();
             }
 
             // restore queue mode
@@ -623,6 +977,12 @@
                 updateQueueDisplay();
             }
 
+            // restore multipv line count
+            if (result.multiPv) {
+                T.multiPv = result.multiPv;
+                widget.querySelectorAll('.pv-count-btn').forEach(b => b.classList.toggle('active', parseInt(b.dataset.lines, 10) === T.multiPv));
+            }
+
             // restore theme (default: dark)
             const theme = result.theme || 'dark';
             applyTheme(theme);
@@ -648,6 +1008,28 @@
         if (statusText) statusText.textContent = connected ? 'Connected' : 'Disconnected';
     }
 
+    // show or hide the "locked during play" banner.
+    // called by gamestate.js whenever the fair-play lock flips,
+    // and once on widget creation with the current state.
+    function updateLockState(locked, state) {
+        const widget = document.getElementById('titan-widget');
+        if (!widget) return;
+        widget.classList.toggle('locked', locked);
+        const banner = widget.querySelector('#widget-lock-banner');
+        if (banner) banner.style.display = locked ? 'block' : 'none';
+        const infoState = widget.querySelector('#info-game-state');
+        if (infoState) {
+            const names = { live: 'Live game', daily: 'Daily game', finished: 'Game over', analysis: 'Analysis', puzzle: 'Puzzle', idle: 'No game' };
+            infoState.textContent = (locked ? '🔒 ' : '') + (names[state] || 'Unknown');
+        }
+        if (!locked && state === 'finished') {
+            showStatusNotification('GAME OVER: ENGINE UNLOCKED');
+            if (!T.reviewMode) setReviewStatus('Game over — ready to review');
+        }
+        const reviewStart = widget.querySelector('#review-start-btn');
+        if (reviewStart) reviewStart.classList.toggle('disabled', locked);
+    }
+
     // toast notification that appears briefly at the top of the page.
     // auto-removes after 2 seconds. only one visible at a time.
     function showStatusNotification(text) {
@@ -674,6 +1056,10 @@
             const names = { '#00f2ff': 'Cyan', '#00ff88': 'Green', '#ff00ff': 'Magenta', '#ffff00': 'Yellow', '#ff8800': 'Orange' };
             infoColor.innerHTML = `<span class="color-indicator" style="background:${T.arrowColor};"></span><span>${names[T.arrowColor] || 'Custom'}</span>`;
         }
+        const infoEco = widget.querySelector('#info-eco');
+        if (infoEco) infoEco.textContent = T.opening ? T.opening.eco : '—';
+        const infoOpening = widget.querySelector('#info-opening');
+        if (infoOpening) infoOpening.textContent = T.opening ? T.opening.name : (T.reviewMode ? 'Unknown opening' : 'Review or import a game');
     }
 
     // update the queue button text to show move count
@@ -684,9 +1070,29 @@
         if (queueBtn) queueBtn.textContent = T.queueMode ? `QUEUE (${T.moveQueue.length})` : 'QUEUE';
     }
 
+    // repaint the ENGINE LINES panel from T.pvLines.
+    // called by engine.js while a search runs (throttled there).
+    function updatePvLines() {
+        const el = document.querySelector('#titan-widget #pv-lines');
+        if (!el) return;
+        const rows = T.pvFen ? Mpv.describe(T.pvFen, T.pvLines) : [];
+        if (!rows.length) {
+            el.innerHTML = `<div class="pv-empty">${T.pvFen ? 'Searching…' : 'Lines show on analysis and review pages'}</div>`;
+            return;
+        }
+        el.innerHTML = rows.map(r => `
+            <div class="pv-line" title="${r.san}">
+                <span class="pv-rank">${r.rank}</span>
+                <span class="pv-score">${r.score}</span>
+                <span class="pv-depth">d${r.depth}</span>
+                <span class="pv-san">${r.san}</span>
+            </div>`).join('') + (T.threat ? `<div class="pv-threat">${T.threat.text}</div>` : '');
+    }
+
     // public API — other modules call these to update the widget
     window.TitanWidget = {
         createFloatingWidget, updateStatus, showStatusNotification,
-        updateInfoDisplay, updateQueueDisplay
+        updateInfoDisplay, updateQueueDisplay, updateLockState, closeReview,
+        updatePvLines
     };
 })();
@@ -0,0 +1,225 @@
+// ============================================================
+// titan-free :: shared engine host (offscreen document)
+// ============================================================
+//
+// the one Stockfish worker of the extension. the service worker
+// opens this page as an offscreen document (see
+// background/engine-relay.js) and relays jobs to it from every
+// page that loads content/enginehost.js — chess.com tabs, the
+// analysis board and its batch queue.
+//
+// === MESSAGES ===
+//
+// over one port to the service worker. every message carries the
+// `client` (a page's port) it belongs to; job ids are per client.
+//
+//   in:   hello     { client }               answer 'ready' when up
+//         search    { client, id, fen, limits, options, priority }
+//         cancel    { client, id }
+//         drop      { client }               the page went away
+//   out:  ready     { client? }              no client: everyone
+//         started   { client, id }           its search began (again,
+//                                            after being stopped)
+//         info      { client, id, line }
+//         bestmove  { client, id, line }
+//         error     { client, id, message }
+//         load      { busy, queued }         for the popup
+//
+// === SCHEDULING ===
+//
+// one search at a time. `queue` is kept highest priority first,
+// in arrival order within a priority. a higher-priority job stops
+// the running one, which goes back to the front of its priority
+// and searches again later. a stopped search still answers with
+// a bestmove — `current.stopping` makes sure it's dropped.
+//
+// === OPTIONS ===
+//
+// each job brings its own setoption commands. before it runs,
+// every option is set to the job's value or to the default the
+// engine announced after 'uci', so one page's elo limit never
+// leaks into another's search. only changed options are sent.
+// Hash is fixed at HASH_MB and shared by everyone; ucinewgame is
+// never sent, so it survives from game to game and tab to tab.
+// ============================================================
+
+(function () {
+    const HOST_PORT = 'titan-engine-host';
+    const HASH_MB = 32;
+
+    let port = null;
+    let worker = null;
+    let ready = false;
+
+    // options from the engine's 'option name …' lines, and the
+    // values it has right now
+    let defaults = {};
+    let applied = {};
+
+    let queue = [];
+    let current = null;    // { job, stopping, requeue }
+
+    // ---------- service worker link ----------
+
+    function connect() {
+        if (port) return;
+        port = chrome.runtime.connect({ name: HOST_PORT });
+        port.onMessage.addListener(onMessage);
+        port.onDisconnect.addListener(() => {
+            // the service worker stopped — its pages lost their
+            // ports too and will send their jobs again
+            port = null;
+            queue = [];
+            if (current && !current.stopping) stopCurrent(false);
+        });
+        if (ready) post({ type: 'ready' });
+        reportLoad();
+    }
+
+    // a port that just dropped throws until its onDisconnect runs
+    function post(msg) {
+        try {
+            if (port) port.postMessage(msg);
+        } catch (err) {}
+    }
+
+    function reply(job, msg) {
+        post(Object.assign({ client: job.client, id: job.id }, msg));
+    }
+
+    function reportLoad() {
+        post({ type: 'load', busy: !!current, queued: queue.length });
+    }
+
+    // the service worker restarted and found this page still open
+    chrome.runtime.onMessage.addListener((msg) => {
+        if (msg && msg.type === 'ENGINE_HOST_CONNECT') connect();
+    });
+
+    function onMessage(msg) {
+        if (msg.type === 'hello') {
+            if (ready) post({ type: 'ready', client: msg.client });
+        } else if (msg.type === 'search') {
+            enqueue(msg, false);
+            pump();
+        } else if (msg.type === 'cancel') {
+            cancel(job => job.client === msg.client && job.id === msg.id);
+        } else if (msg.type === 'drop') {
+            cancel(job => job.client === msg.client);
+        }
+        reportLoad();
+    }
+
+    // ---------- scheduling ----------
+
+    // behind every job of the same or higher priority, or in
+    // front of its own priority when it was stopped for another
+    function enqueue(job, front) {
+        let i = queue.findIndex(q => front ? q.priority <= job.priority : q.priority < job.priority);
+        if (i < 0) i = queue.length;
+        queue.splice(i, 0, job);
+        if (current && !current.stopping && job.priority > current.job.priority) stopCurrent(true);
+    }
+
+    function cancel(match) {
+        queue = queue.filter(job => !match(job));
+        if (current && !current.stopping && match(current.job)) stopCurrent(false);
+    }
+
+    function stopCurrent(requeue) {
+        current.stopping = true;
+        current.requeue = requeue;
+        worker.postMessage('stop');
+    }
+
+    function pump() {
+        if (!ready || current || !queue.length) return;
+        const job = queue.shift();
+        current = { job, stopping: false, requeue: false };
+        applyOptions(job.options);
+        worker.postMessage(`position fen ${job.fen}`);
+        worker.postMessage(goCommand(job.limits));
+        reply(job, { type: 'started' });
+        reportLoad();
+    }
+
+    function goCommand(limits) {
+        const parts = ['go'];
+        if (limits.depth) parts.push(`depth ${limits.depth}`);
+        if (limits.movetime) parts.push(`movetime ${limits.movetime}`);
+        if (parts.length === 1) parts.push('depth 14');
+        return parts.join(' ');
+    }
+
+    function applyOptions(commands) {
+        const want = Object.assign({}, defaults);
+        commands.forEach(cmd => {
+            const m = cmd.match(/^setoption name (.+?) value (.*)$/);
+            if (m) want[m[1]] = m[2].trim();
+        });
+        want.Hash = String(HASH_MB);
+        Object.keys(want).forEach(name => {
+            if (applied[name] === want[name]) return;
+            applied[name] = want[name];
+            worker.postMessage(`setoption name ${name} value ${want[name]}`);
+        });
+    }
+
+    // ---------- engine ----------
+
+    function onLine(line) {
+        if (line === 'uciok') {
+            if (ready) return;
+            ready = true;
+            applied = Object.assign({}, defaults);
+            applyOptions([]);
+            post({ type: 'ready' });
+            pump();
+        } else if (line.startsWith('option name ')) {
+            const m = line.match(/^option name (.+?) type \S+ default (\S*)/);
+            if (m) defaults[m[1]] = m[2];
+        } else if (line.startsWith('info') && / score /.test(line)) {
+            if (current && !current.stopping) reply(current.job, { type: 'info', line });
+        } else if (line.startsWith('bestmove')) {
+            const done = current;
+            current = null;
+            if (done && !done.stopping) reply(done.job, { type: 'bestmove', line });
+            else if (done && done.requeue) enqueue(done.job, true);
+            pump();
+            reportLoad();
+        }
+    }
+
+    function start() {
+        ready = false;
+        defaults = {};
+        worker = new Worker(chrome.runtime.getURL('engine/stockfish.js'));
+        worker.onmessage = (e) => {
+            if (typeof e.data === 'string') onLine(e.data);
+        };
+        worker.onerror = (err) => {
+            console.error('[TitanFree] engine host: engine error', err);
+            // the job that was running fails (one that was stopped
+            // for another goes back in line); the queue waits for
+            // the restart
+            const done = current;
+            current = null;
+            if (done && !done.stopping) reply(done.job, { type: 'error', message: 'engine crashed' });
+            else if (done && done.requeue) enqueue(done.job, true);
+            worker.terminate();
+            setTimeout(start, 2000);
+        };
+
+        // the WASM module loads asynchronously and may miss the
+        // first 'uci' — keep poking until it answers
+        let retries = 0;
+        const poke = setInterval(() => {
+            if (ready || ++retries > 20) { clearInterval(poke); return; }
+            worker.postMessage('uci');
+        }, 500);
+        worker.postMessage('uci');
+    }
+
+    start();
+    connect();
+})();
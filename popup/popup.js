@@ -16,6 +16,41 @@
         }
     });
 
+    // Fair-play lock status of the active tab. The content script
+    // answers GET_GAME_STATE; tabs without it (other sites)
+    // just leave the default text in place.
+    const STATE_NAMES = {
+        live: 'LIVE GAME', daily: 'DAILY GAME', finished: 'GAME OVER',
+        analysis: 'ANALYSIS', puzzle: 'PUZZLE', idle: 'NO GAME'
+    };
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs || !tabs[0]) return;
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'GET_GAME_STATE' }, (res) => {
+            if (chrome.runtime.lastError || !res) return;
+            const stateEl = document.getElementById('gameState');
+            if (stateEl) stateEl.textContent = STATE_NAMES[res.state] || 'UNKNOWN';
+            if (res.locked) {
+                document.getElementById('popupStatus').classList.add('locked');
+                document.getElementById('statusText').textContent = 'Locked during play — engine off';
+            }
+        });
+    });
+
+    // Shared engine host (one Stockfish for every tab, see
+    // background/engine-relay.js). It starts on the first search,
+    // so "not running" just means nothing has asked yet.
+    chrome.runtime.sendMessage({ type: 'GET_ENGINE_STATUS' }, (res) => {
+        if (chrome.runtime.lastError || !res || !res.open) return;
+        const pages = `${res.pages} PAGE${res.pages === 1 ? '' : 'S'}`;
+        const load = res.busy ? `BUSY${res.queued ? ` +${res.queued}` : ''}` : 'IDLE';
+        document.getElementById('engineHost').textContent = `${load} · ${pages}`;
+    });
+
+    // Standalone analysis board (extension page, no chess.com needed)
+    document.getElementById('analysisBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('analysis/analysis.html') });
+    });
+
     // Upgrade button
     document.getElementById('upgradeBtn').addEventListener('click', () => {
         chrome.tabs.create({ url: 'https://titanchess.online' });
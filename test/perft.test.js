@@ -0,0 +1,39 @@
+// ============================================================
+// titan-free :: perft regression test
+// ============================================================
+//
+// the standard perft positions (see VALIDATION in rules.js)
+// against their published node counts. run from the repo root:
+//
+//   node --test test/
+//
+// depths are kept to what finishes in a few seconds; every
+// position still reaches castling, en passant, promotion and
+// checks at these depths.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.window = global;
+require('../content/rules.js');
+
+const SUITES = [
+    { name: 'start position', fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', counts: [20, 400, 8902, 197281] },
+    { name: 'kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', counts: [48, 2039, 97862] },
+    { name: 'cpw position 3', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', counts: [14, 191, 2812, 43238] },
+    { name: 'cpw position 4', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', counts: [6, 264, 9467] },
+    { name: 'cpw position 4 (mirrored)', fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1', counts: [6, 264, 9467] },
+    { name: 'cpw position 5', fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', counts: [44, 1486, 62379] },
+    { name: 'cpw position 6', fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10', counts: [46, 2079, 89890] }
+];
+
+for (const suite of SUITES) {
+    test(`perft: ${suite.name}`, () => {
+        suite.counts.forEach((expected, i) => {
+            const pos = new TitanRules.Position(suite.fen);
+            assert.strictEqual(pos.perft(i + 1), expected, `depth ${i + 1}`);
+            assert.strictEqual(pos.fen(), suite.fen, `position restored after depth ${i + 1}`);
+        });
+    });
+}